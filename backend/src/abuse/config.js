@@ -0,0 +1,88 @@
+// Which abuse rules run, and how strictly. Each rule has a mode:
+//   enforce - its decision counts
+//   monitor - it runs and its decision is logged, but the claim goes ahead anyway
+//   off     - it doesn't run at all
+// Rules that can flag something take an `action` of deny or challenge.
+
+const { config: appConfig } = require('../config');
+
+const DEFAULTS = {
+  blocklist: { mode: 'enforce', entries: [] },
+  ipCooldown: { mode: 'enforce' },
+  sessionCooldown: { mode: 'enforce' },
+  subnetThrottle: {
+    mode: 'monitor',
+    action: 'challenge',
+    maxAddresses: 10, // Different addresses from one /24 or /64...
+    windowMs: 10 * 60 * 1000 // ...claiming within this long
+  },
+  userAgent: { mode: 'monitor', action: 'challenge' },
+  poolVelocity: {
+    mode: 'monitor',
+    action: 'challenge',
+    maxClaims: 100, // Claims across the whole campaign...
+    windowMs: 60 * 1000 // ...within this long
+  }
+};
+
+// Changes on top of the defaults for each NODE_ENV
+const ENVIRONMENTS = {
+  // Everyone is on localhost, so subnets and the pool rate mean nothing
+  development: {
+    subnetThrottle: { mode: 'off' },
+    poolVelocity: { mode: 'off' }
+  },
+  test: {
+    subnetThrottle: { mode: 'off' },
+    userAgent: { mode: 'off' },
+    poolVelocity: { mode: 'off' }
+  }
+};
+
+const MODES = ['enforce', 'monitor', 'off'];
+const ACTIONS = ['deny', 'challenge'];
+
+// Turns ABUSE_RULES, an object of per-rule overrides, e.g.
+//   ABUSE_RULES='{"userAgent":{"mode":"enforce"},"poolVelocity":{"maxClaims":50}}'
+// and ABUSE_BLOCKLIST, a list of addresses and CIDR ranges, into one set of overrides
+const toOverrides = (rules, blocklist) => {
+  const overrides = { ...rules };
+  if (blocklist.length) {
+    overrides.blocklist = { ...overrides.blocklist, entries: blocklist };
+  }
+  return overrides;
+};
+
+// Builds the rule settings for an environment: defaults, then the environment's
+// changes, then anything from ABUSE_RULES and ABUSE_BLOCKLIST (read by ../config.js)
+const loadRuleConfig = ({ nodeEnv = appConfig.server.nodeEnv, rules = appConfig.abuse.rules, blocklist = appConfig.abuse.blocklist } = {}) => {
+  const layers = [ENVIRONMENTS[nodeEnv] || {}, toOverrides(rules, blocklist)];
+  const config = {};
+
+  for (const [name, defaults] of Object.entries(DEFAULTS)) {
+    config[name] = Object.assign({}, defaults, ...layers.map(layer => layer[name]));
+
+    if (!MODES.includes(config[name].mode)) {
+      throw new Error(`Abuse rule ${name} has mode "${config[name].mode}", expected one of: ${MODES.join(', ')}`);
+    }
+    if (config[name].action && !ACTIONS.includes(config[name].action)) {
+      throw new Error(`Abuse rule ${name} has action "${config[name].action}", expected one of: ${ACTIONS.join(', ')}`);
+    }
+  }
+
+  for (const layer of layers) {
+    const unknown = Object.keys(layer).filter(name => !DEFAULTS[name]);
+    if (unknown.length) {
+      throw new Error(`Unknown abuse rules: ${unknown.join(', ')}`);
+    }
+  }
+
+  return config;
+};
+
+module.exports = {
+  DEFAULTS,
+  ENVIRONMENTS,
+  MODES,
+  loadRuleConfig
+};
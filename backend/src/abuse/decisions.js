@@ -0,0 +1,30 @@
+// What a rule can say about a claim. Anything that isn't allow carries a short
+// reason code, a message for the user, and retryAt: when trying again could
+// work, or null if it never will.
+const allow = () => ({ action: 'allow' });
+
+const deny = (reason, { message, retryAt = null, ...details } = {}) => ({
+  action: 'deny',
+  reason,
+  message,
+  retryAt,
+  ...details
+});
+
+const challenge = (reason, { message, retryAt = null, ...details } = {}) => ({
+  action: 'challenge',
+  reason,
+  message,
+  retryAt,
+  ...details
+});
+
+// For rules whose action (deny or challenge) comes from their settings
+const flag = (action, reason, details) => (action === 'deny' ? deny : challenge)(reason, details);
+
+module.exports = {
+  allow,
+  deny,
+  challenge,
+  flag
+};
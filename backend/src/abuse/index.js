@@ -0,0 +1,117 @@
+const ClaimTracker = require('../models/ClaimTracker');
+const { loadRuleConfig } = require('./config');
+const { outlasts } = require('../utils/claimLimits');
+const { parseCidr } = require('../utils/ipAddress');
+const { matchIpLists } = require('../utils/ipLists');
+const { logger } = require('../utils/logger');
+
+// Every rule a claim goes through, in order. Each is a module with a name and an
+// evaluate(context, options) that returns allow, deny or challenge (see decisions.js).
+// Rules marked exemptWhenAllowlisted are skipped for allowlisted addresses.
+// To add a rule, write the module, add it here and give it defaults in config.js.
+const RULES = [
+  require('./rules/blocklist'),
+  require('./rules/ipCooldown'),
+  require('./rules/sessionCooldown'),
+  require('./rules/subnetThrottle'),
+  require('./rules/userAgent'),
+  require('./rules/poolVelocity')
+];
+
+// Read once at startup, so a bad ABUSE_RULES stops the server instead of every claim
+const ruleConfig = loadRuleConfig();
+
+// Ranges from ABUSE_BLOCKLIST, blocked on top of the ones admins manage
+const staticBlocklist = ruleConfig.blocklist.entries.map(entry => {
+  const range = parseCidr(entry);
+  if (!range) {
+    logger.error('Ignoring ABUSE_BLOCKLIST entry, it isn\'t an IP address or CIDR range', { entry });
+  }
+  return range;
+}).filter(Boolean);
+
+const getRuleConfig = () => ruleConfig;
+
+// Which blocklist and allowlist entries an address is on, ABUSE_BLOCKLIST included
+const checkIpLists = (ipAddress, now = new Date()) => matchIpLists(ipAddress, { now, extraBlocked: staticBlocklist });
+
+const getRuleMode = (name) => ruleConfig[name].mode;
+
+// Picks the decision that counts from what the enforced rules said. If anything
+// denies, the denial that lasts longest wins (like the binding claim limit). If
+// not, the first challenge. Otherwise the claim is allowed.
+const decide = (results) => {
+  const enforced = results.filter(result => result.mode === 'enforce');
+
+  const denials = enforced.filter(result => result.action === 'deny');
+  if (denials.length) {
+    return denials.reduce((binding, result) => (outlasts(result.retryAt, binding.retryAt) ? result : binding));
+  }
+
+  return enforced.find(result => result.action === 'challenge') || { action: 'allow' };
+};
+
+// Runs a claim (or an eligibility check, with purpose 'eligibility') through every
+// rule that isn't off and returns the decision, along with what each rule said.
+// Every decision is logged with the rules that flagged it, so refusals can be traced.
+const evaluateClaim = async ({ campaign, ipAddress, sessionId, userAgent, now = new Date(), purpose = 'claim' }) => {
+  let trackers = null;
+  let ipLists = null;
+  const context = {
+    campaign,
+    ipAddress,
+    sessionId,
+    userAgent,
+    now,
+    // Both cooldown rules need the trackers, so only load them once
+    getTrackers: () => {
+      trackers = trackers || ClaimTracker.findForClaim(campaign, ipAddress, sessionId);
+      return trackers;
+    },
+    // Which blocklist and allowlist entries the address is on
+    getIpLists: () => {
+      ipLists = ipLists || checkIpLists(ipAddress, now);
+      return ipLists;
+    }
+  };
+
+  const { allowed } = await context.getIpLists();
+  const activeRules = RULES.filter(rule =>
+    ruleConfig[rule.name].mode !== 'off' && !(allowed && rule.exemptWhenAllowlisted)
+  );
+  const results = await Promise.all(activeRules.map(async (rule) => {
+    const options = ruleConfig[rule.name];
+    const result = await rule.evaluate(context, options);
+    return { rule: rule.name, mode: options.mode, ...result };
+  }));
+
+  const decision = decide(results);
+
+  // Eligibility checks happen on every page view and stream refresh, so only claims
+  // are logged at info
+  const log = purpose === 'eligibility' ? logger.debug : logger.info;
+  log('Abuse check', {
+    purpose,
+    campaign: campaign.slug,
+    ipAddress,
+    sessionId,
+    allowlisted: Boolean(allowed),
+    decision: decision.action,
+    rule: decision.rule,
+    reason: decision.reason,
+    flagged: results
+      .filter(result => result.action !== 'allow')
+      .map(result => `${result.rule}: ${result.action} (${result.reason})${result.mode === 'monitor' ? ' [monitor]' : ''}`)
+  });
+
+  return { ...decision, results };
+};
+
+module.exports = {
+  RULES,
+  decide,
+  evaluateClaim,
+  checkIpLists,
+  getRuleConfig,
+  getRuleMode
+};
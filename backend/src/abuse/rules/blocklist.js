@@ -0,0 +1,20 @@
+const { allow, deny } = require('../decisions');
+
+// Refuses claims from addresses and ranges on the blocklist, which is the entries
+// admins manage in Mongo plus anything in ABUSE_BLOCKLIST. Allowlisted addresses
+// always get through, so a block on a whole range can have exceptions.
+module.exports = {
+  name: 'blocklist',
+
+  async evaluate(context) {
+    const { allowed, blocked } = await context.getIpLists();
+    if (allowed || !blocked) return allow();
+
+    return deny('blocked', {
+      message: 'Coupons cannot be claimed from your network.',
+      status: 403,
+      retryAt: blocked.expiresAt || null, // Temporary bans end by themselves
+      range: blocked.range
+    });
+  }
+};
@@ -0,0 +1,27 @@
+const Coupon = require('../../models/Coupon');
+const { allow, flag } = require('../decisions');
+
+// Slows things down when the whole campaign is being drained unusually fast,
+// whoever it is. Usually a sign of a botnet that the per-user rules can't see.
+module.exports = {
+  name: 'poolVelocity',
+  exemptWhenAllowlisted: true,
+
+  async evaluate(context, { action, maxClaims, windowMs }) {
+    // The oldest of the latest maxClaims claims. If it's inside the window, we're over.
+    const [oldest] = await Coupon.find({
+      campaign: context.campaign._id,
+      claimedAt: { $gt: new Date(context.now.getTime() - windowMs) }
+    }, { claimedAt: 1 })
+      .sort({ claimedAt: -1 })
+      .skip(maxClaims - 1)
+      .limit(1);
+
+    if (!oldest) return allow();
+
+    return flag(action, 'pool_velocity', {
+      message: 'Coupons are being claimed very quickly right now. Please try again shortly.',
+      retryAt: new Date(oldest.claimedAt.getTime() + windowMs)
+    });
+  }
+};
@@ -0,0 +1,4 @@
+const { createTrackerRule } = require('./trackerCooldown');
+
+// One claim per browser session per cooldown, within the campaign's claim limits
+module.exports = createTrackerRule('sessionCooldown', 'session');
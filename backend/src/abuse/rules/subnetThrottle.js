@@ -0,0 +1,36 @@
+const ClaimTracker = require('../../models/ClaimTracker');
+const { allow, flag } = require('../decisions');
+const { subnetOf } = require('../../utils/ipAddress');
+
+// Catches someone rotating through addresses on one network: too many different
+// addresses from the same /24 (IPv4) or /64 (IPv6) claiming in a short time
+module.exports = {
+  name: 'subnetThrottle',
+  exemptWhenAllowlisted: true,
+
+  async evaluate(context, { action, maxAddresses, windowMs }) {
+    const subnet = subnetOf(context.ipAddress);
+    if (!subnet) return allow();
+
+    // The oldest of the latest maxAddresses other addresses to claim from this subnet.
+    // If there is one inside the window, the subnet is full until it drops out.
+    const [oldest] = await ClaimTracker.find({
+      campaign: context.campaign._id,
+      type: 'ip',
+      subnet,
+      identifier: { $ne: context.ipAddress },
+      lastClaimAt: { $gt: new Date(context.now.getTime() - windowMs) }
+    }, { lastClaimAt: 1 })
+      .sort({ lastClaimAt: -1 })
+      .skip(maxAddresses - 1)
+      .limit(1);
+
+    if (!oldest) return allow();
+
+    return flag(action, 'subnet_throttled', {
+      message: 'Too many coupons have been claimed from your network. Please try again later.',
+      retryAt: new Date(oldest.lastClaimAt.getTime() + windowMs),
+      subnet
+    });
+  }
+};
@@ -0,0 +1,46 @@
+const { allow, deny } = require('../decisions');
+const { findBindingLimit, outlasts } = require('../../utils/claimLimits');
+
+// Works out what's stopping a tracker from claiming right now, if anything.
+// The campaign's claim limits and its cooldown are all checked, and the one that
+// lasts longest is the binding one, since that's when they can actually claim again.
+const findTrackerRestriction = (campaign, tracker, now) => {
+  const candidates = [];
+  const reached = findBindingLimit(campaign.getClaimLimits(), tracker, now);
+  if (reached) {
+    candidates.push({ kind: 'limit', tracker, ...reached });
+  }
+  if (tracker.nextClaimTime > now) {
+    candidates.push({ kind: 'cooldown', tracker, resetsAt: tracker.nextClaimTime });
+  }
+
+  return candidates.reduce(
+    (binding, candidate) => (!binding || outlasts(candidate.resetsAt, binding.resetsAt) ? candidate : binding),
+    null
+  );
+};
+
+// Builds the cooldown and claim limit rule for one kind of tracker (ip or session)
+const createTrackerRule = (name, type) => ({
+  name,
+
+  async evaluate(context) {
+    const { ipTracker, sessionTracker } = await context.getTrackers();
+    const tracker = type === 'ip' ? ipTracker : sessionTracker;
+    if (!tracker) return allow();
+
+    const restriction = findTrackerRestriction(context.campaign, tracker, context.now);
+    if (!restriction) return allow();
+
+    // The controller turns the restriction into the detailed cooldown/limit response
+    return deny(restriction.kind === 'limit' ? 'claim_limit' : 'cooldown', {
+      retryAt: restriction.resetsAt,
+      restriction
+    });
+  }
+});
+
+module.exports = {
+  findTrackerRestriction,
+  createTrackerRule
+};
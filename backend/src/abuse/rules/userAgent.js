@@ -0,0 +1,30 @@
+const { allow, flag } = require('../decisions');
+
+// HTTP libraries and headless browsers. Real browsers don't send any of these.
+const AUTOMATION_PATTERN = /\b(curl|wget|python-requests|python-urllib|aiohttp|httpie|go-http-client|okhttp|java\/|libwww-perl|node-fetch|undici|axios|postman|insomnia|headlesschrome|phantomjs|selenium|puppeteer|playwright|scrapy|[a-z]*bot|spider|crawler)\b/i;
+
+// Flags claims that don't look like they come from a person using a browser
+module.exports = {
+  name: 'userAgent',
+  exemptWhenAllowlisted: true,
+
+  async evaluate(context, { action }) {
+    const userAgent = (context.userAgent || '').trim();
+
+    if (!userAgent) {
+      return flag(action, 'missing_user_agent', {
+        message: 'Please claim coupons from a web browser.'
+      });
+    }
+
+    const match = AUTOMATION_PATTERN.exec(userAgent);
+    if (match) {
+      return flag(action, 'automated_user_agent', {
+        message: 'Please claim coupons from a web browser.',
+        matched: match[1]
+      });
+    }
+
+    return allow();
+  }
+};
@@ -0,0 +1,211 @@
+const fs = require('fs');
+const path = require('path');
+
+// Every setting the backend reads, in one place. Values come from environment
+// variables (and backend/.env), then from the JSON file named by CONFIG_FILE, then
+// the defaults below. Everything is checked when the server starts, and a bad value
+// stops it with a list of what's wrong instead of misbehaving later.
+//
+// A CONFIG_FILE looks like { "CLAIM_COOLDOWN_MINUTES": 1, "CORS_ORIGINS": ["https://example.com"] }.
+
+require('dotenv').config({ path: path.resolve(__dirname, '../.env') });
+
+const DEFAULT_CORS_ORIGINS = [
+  'https://the-sales-studio.vercel.app',
+  'https://the-sales-studio-pl7as4ncp-surajs-projects-6ee14365.vercel.app',
+  'http://localhost:3000'
+];
+
+// name: env var, path: where it ends up in the config object. Secrets never show
+// up in the admin snapshot, only whether they're set.
+const SETTINGS = [
+  { name: 'NODE_ENV', path: 'server.nodeEnv', type: 'enum', values: ['development', 'production', 'test'], default: null },
+  { name: 'PORT', path: 'server.port', type: 'integer', min: 1, max: 65535, default: 5000 },
+  { name: 'MONGODB_URI', path: 'database.uri', type: 'string', default: null, secret: true },
+  { name: 'CORS_ORIGINS', path: 'server.corsOrigins', type: 'list', default: DEFAULT_CORS_ORIGINS },
+  { name: 'RATE_LIMIT_WINDOW_MINUTES', path: 'rateLimit.windowMinutes', type: 'number', min: 1, default: 15 },
+  { name: 'RATE_LIMIT_MAX', path: 'rateLimit.max', type: 'integer', min: 1, default: 100 },
+  { name: 'LOGIN_RATE_LIMIT_MAX', path: 'rateLimit.loginMax', type: 'integer', min: 1, default: 10 },
+
+  { name: 'CLAIM_COOLDOWN_MINUTES', path: 'claims.cooldownMinutes', type: 'number', min: 0, default: 0.5 },
+  { name: 'CLAIM_SESSION_SECRET', path: 'claims.sessionSecret', type: 'string', default: null, secret: true },
+  { name: 'CLAIM_SESSION_TTL_DAYS', path: 'claims.sessionTtlDays', type: 'number', min: 0.01, default: 30 },
+  { name: 'TRUSTED_PROXIES', path: 'claims.trustedProxies', type: 'string', default: 'loopback' },
+  { name: 'IPV6_GROUP_PREFIX', path: 'claims.ipv6GroupPrefix', type: 'integer', min: 1, max: 128, default: null },
+
+  { name: 'COUPON_MIN_STOCK', path: 'coupons.minimumStock', type: 'integer', min: 0, default: 20 },
+  { name: 'COUPON_REPLENISH_COUNT', path: 'coupons.replenishCount', type: 'integer', min: 1, max: 10000, default: 50 },
+  { name: 'COUPON_SEED_COUNT', path: 'coupons.seedCount', type: 'integer', min: 1, max: 10000, default: 100 },
+  { name: 'COUPON_EXPIRY_SWEEP_SECONDS', path: 'coupons.expirySweepSeconds', type: 'number', min: 1, default: 60 },
+
+  { name: 'CLAIM_EVENT_RETENTION_DAYS', path: 'claims.eventRetentionDays', type: 'number', min: 1, default: 30 },
+  { name: 'CLAIM_TRACKER_RETENTION_HOURS', path: 'claims.trackerRetentionHours', type: 'number', min: 1, default: 24 },
+
+  { name: 'JOB_REPLENISH_SECONDS', path: 'jobs.replenishSeconds', type: 'number', min: 1, default: 15 },
+  { name: 'JOB_TRACKER_CLEANUP_SECONDS', path: 'jobs.trackerCleanupSeconds', type: 'number', min: 60, default: 3600 },
+
+  { name: 'STREAM_STOCK_POLL_SECONDS', path: 'stream.stockPollSeconds', type: 'number', min: 1, default: 5 },
+  { name: 'STREAM_MAX_PER_IP', path: 'stream.maxPerIp', type: 'integer', min: 1, default: 5 },
+
+  { name: 'LOG_LEVEL', path: 'logging.level', type: 'enum', values: ['debug', 'info', 'warn', 'error'], default: 'info' },
+  { name: 'LOG_PRIVACY', path: 'logging.privacy', type: 'enum', values: ['hash', 'redact', 'off'], default: 'hash' },
+  { name: 'LOG_HASH_SECRET', path: 'logging.hashSecret', type: 'string', default: null, secret: true },
+
+  { name: 'METRICS_TOKEN', path: 'metrics.token', type: 'string', default: null, secret: true },
+
+  { name: 'ADMIN_TOKEN_SECRET', path: 'admin.tokenSecret', type: 'string', default: null, secret: true },
+  { name: 'ADMIN_SESSION_TTL_HOURS', path: 'admin.sessionTtlHours', type: 'number', min: 0.01, default: 12 },
+
+  { name: 'ABUSE_RULES', path: 'abuse.rules', type: 'json', default: {} },
+  { name: 'ABUSE_BLOCKLIST', path: 'abuse.blocklist', type: 'list', default: [] },
+
+  { name: 'CHALLENGE_MODE', path: 'challenge.mode', type: 'enum', values: ['flagged', 'always', 'off'], default: 'flagged' },
+  { name: 'CHALLENGE_SECRET', path: 'challenge.secret', type: 'string', default: null, secret: true },
+  { name: 'CHALLENGE_DIFFICULTY', path: 'challenge.difficulty', type: 'integer', min: 1, max: 32, default: 16 },
+  { name: 'CHALLENGE_MAX_DIFFICULTY', path: 'challenge.maxDifficulty', type: 'integer', min: 1, max: 32, default: 22 },
+  { name: 'CHALLENGE_VELOCITY_PER_MINUTE', path: 'challenge.velocityPerMinute', type: 'integer', min: 0, default: 30 }
+];
+
+// Turns a raw value (a string from the environment, or anything from the JSON file)
+// into the setting's type. Throws with a message about the value if it can't.
+const PARSERS = {
+  string: (value) => String(value),
+  integer: (value) => {
+    const number = Number(value);
+    if (!Number.isInteger(number)) throw new Error('must be a whole number');
+    return number;
+  },
+  number: (value) => {
+    const number = Number(value);
+    if (value === '' || !Number.isFinite(number)) throw new Error('must be a number');
+    return number;
+  },
+  enum: (value, setting) => {
+    if (!setting.values.includes(value)) throw new Error(`must be one of: ${setting.values.join(', ')}`);
+    return value;
+  },
+  list: (value) => (Array.isArray(value) ? value : String(value).split(','))
+    .map(item => String(item).trim())
+    .filter(Boolean),
+  json: (value) => {
+    if (typeof value !== 'string') return value;
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      throw new Error(`is not valid JSON: ${error.message}`);
+    }
+  }
+};
+
+const readConfigFile = (file) => {
+  if (!file) return {};
+  try {
+    return JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read CONFIG_FILE ${file}: ${error.message}`);
+  }
+};
+
+const setPath = (target, dottedPath, value) => {
+  const keys = dottedPath.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((node, key) => (node[key] = node[key] || {}), target);
+  parent[last] = value;
+};
+
+const deepFreeze = (value) => {
+  if (value && typeof value === 'object' && !Object.isFrozen(value)) {
+    Object.values(value).forEach(deepFreeze);
+    Object.freeze(value);
+  }
+  return value;
+};
+
+// Builds the config from an environment (process.env by default). Throws one error
+// listing every bad setting, so they can all be fixed in one go.
+const loadConfig = (env = process.env) => {
+  const file = readConfigFile(env.CONFIG_FILE);
+  const config = {};
+  const sources = {};
+  const problems = [];
+
+  for (const setting of SETTINGS) {
+    const fromEnv = env[setting.name] !== undefined && env[setting.name] !== '';
+    const raw = fromEnv ? env[setting.name] : file[setting.name];
+    let value = setting.default;
+
+    if (raw !== undefined && raw !== null) {
+      try {
+        value = PARSERS[setting.type](raw, setting);
+        if (setting.min !== undefined && value < setting.min) throw new Error(`must be at least ${setting.min}`);
+        if (setting.max !== undefined && value > setting.max) throw new Error(`must be at most ${setting.max}`);
+      } catch (error) {
+        problems.push(`${setting.name} ${error.message} (got ${JSON.stringify(raw)})`);
+      }
+    }
+
+    sources[setting.name] = fromEnv ? 'env' : raw !== undefined && raw !== null ? 'file' : 'default';
+    setPath(config, setting.path, value);
+  }
+
+  const unknown = Object.keys(file).filter(name => !SETTINGS.some(setting => setting.name === name));
+  if (unknown.length) {
+    problems.push(`CONFIG_FILE has unknown settings: ${unknown.join(', ')}`);
+  }
+  if (config.challenge.maxDifficulty < config.challenge.difficulty) {
+    problems.push('CHALLENGE_MAX_DIFFICULTY must be at least CHALLENGE_DIFFICULTY');
+  }
+  if (!config.abuse.rules || typeof config.abuse.rules !== 'object' || Array.isArray(config.abuse.rules)) {
+    problems.push('ABUSE_RULES must be a JSON object');
+  }
+  // Without these a random secret is made per process, which changes on every restart
+  // and differs between servers. That's fine on a laptop but not in production.
+  if (config.server.nodeEnv === 'production') {
+    if (!config.logging.hashSecret) {
+      problems.push('LOG_HASH_SECRET must be set in production, so claim events can be searched by IP across restarts and servers');
+    }
+    if (!config.claims.sessionSecret) {
+      problems.push('CLAIM_SESSION_SECRET must be set in production, so claim sessions (and their cooldowns) survive restarts and work on every server');
+    }
+    if (!config.admin.tokenSecret) {
+      problems.push('ADMIN_TOKEN_SECRET must be set in production, so admins can sign in');
+    }
+    if (!config.challenge.secret && config.challenge.mode !== 'off') {
+      problems.push('CHALLENGE_SECRET must be set in production unless CHALLENGE_MODE is off, so a challenge from one server can be solved on another');
+    }
+  }
+
+  if (problems.length) {
+    throw new Error(`Invalid configuration:\n  - ${problems.join('\n  - ')}`);
+  }
+
+  // Handy derived values, so nobody has to convert units themselves
+  config.claims.cooldownMs = Math.round(config.claims.cooldownMinutes * 60 * 1000);
+  config.claims.sessionTtlMs = Math.round(config.claims.sessionTtlDays * 24 * 60 * 60 * 1000);
+  config.admin.sessionTtlMs = Math.round(config.admin.sessionTtlHours * 60 * 60 * 1000);
+  config.rateLimit.windowMs = Math.round(config.rateLimit.windowMinutes * 60 * 1000);
+
+  Object.defineProperty(config, 'sources', { value: sources, enumerable: false });
+  return deepFreeze(config);
+};
+
+// What the admin endpoint shows: every setting with its value and where it came
+// from, and secrets replaced by whether they're set
+const toSnapshot = (config) => SETTINGS.map(setting => {
+  const value = setting.path.split('.').reduce((node, key) => node[key], config);
+  return {
+    name: setting.name,
+    path: setting.path,
+    value: setting.secret ? (value ? '[set]' : null) : value,
+    source: config.sources[setting.name]
+  };
+});
+
+const config = loadConfig();
+
+module.exports = {
+  config,
+  SETTINGS,
+  loadConfig,
+  toSnapshot
+};
@@ -0,0 +1,22 @@
+const { config, toSnapshot } = require('../config');
+const { getRuleConfig } = require('../abuse');
+const { logger } = require('../utils/logger');
+
+const adminConfigController = {
+  // The settings the server is running with, where each one came from, and the
+  // abuse rules they add up to. Read-only: settings change by restarting with new
+  // env vars or CONFIG_FILE. Secrets only say whether they're set.
+  getConfig: async (req, res) => {
+    try {
+      res.json({
+        settings: toSnapshot(config),
+        abuseRules: getRuleConfig()
+      });
+    } catch (error) {
+      logger.error('Error reading config', { error });
+      res.status(500).json({ message: 'Error reading config' });
+    }
+  }
+};
+
+module.exports = adminConfigController;
@@ -0,0 +1,407 @@
+const mongoose = require('mongoose');
+const Coupon = require('../models/Coupon');
+const Campaign = require('../models/Campaign');
+const { generateCoupons, reserveSequenceNumbers } = require('../utils/couponGenerator');
+const { importCoupons, ImportFormatError } = require('../utils/couponImporter');
+const { STATUS_FILTERS, isValidStatus, resolveCampaign, getDateError, buildCouponFilter } = require('../utils/couponFilters');
+const { exportCoupons, FORMATS } = require('../utils/couponExporter');
+const { parseValidity } = require('../utils/couponValidity');
+const { logger } = require('../utils/logger');
+
+const MAX_PAGE_SIZE = 100;
+const MAX_GENERATE_COUNT = 10000;
+
+// Orders the coupon list can be sorted in
+const SORT_ORDERS = {
+  sequence: { campaign: 1, sequenceNumber: 1 },
+  claimedAt: { claimedAt: -1 }, // Most recent claims first
+  createdAt: { createdAt: -1 }
+};
+
+const adminCouponController = {
+  // Shows all coupons, with filters and pagination so we don't overload things
+  listCoupons: async (req, res) => {
+    try {
+      if (req.query.status && !isValidStatus(req.query.status)) {
+        return res.status(400).json({ message: `status must be one or more of: ${Object.keys(STATUS_FILTERS).join(', ')}` });
+      }
+      const dateError = getDateError(req.query);
+      if (dateError) {
+        return res.status(400).json({ message: dateError });
+      }
+
+      const filter = await buildCouponFilter(req.query);
+      if (!filter) {
+        return res.status(404).json({ message: 'Campaign not found' });
+      }
+
+      const page = Math.max(parseInt(req.query.page) || 1, 1);
+      const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), MAX_PAGE_SIZE);
+      const skip = (page - 1) * limit;
+
+      const coupons = await Coupon.find(filter)
+        .sort(SORT_ORDERS[req.query.sort] || SORT_ORDERS.sequence)
+        .skip(skip)
+        .limit(limit)
+        .populate('campaign', 'name slug');
+
+      // Stats cover the same campaign as the list, but ignore the other filters
+      const statsScope = filter.campaign ? { campaign: filter.campaign } : {};
+      const [matching, byStatus] = await Promise.all([
+        Coupon.countDocuments(filter),
+        Coupon.countByStatus(statsScope)
+      ]);
+
+      const total = Object.values(byStatus).reduce((sum, count) => sum + count, 0);
+      const activeCoupons = byStatus.available;
+      const claimedCoupons = byStatus.claimed + byStatus.redeemed; // Redeemed ones were claimed first
+      const voidedCoupons = byStatus.voided;
+
+      res.json({
+        coupons,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(matching / limit),
+          totalCoupons: matching,
+          activeCoupons,
+          claimedCoupons
+        },
+        stats: {
+          totalCoupons: total,
+          activeCoupons,
+          claimedCoupons,
+          voidedCoupons,
+          redeemedCoupons: byStatus.redeemed,
+          expiredCoupons: byStatus.expired,
+          byStatus,
+          usagePercentage: total ? ((claimedCoupons / total) * 100).toFixed(2) + '%' : '0.00%'
+        }
+      });
+    } catch (error) {
+      logger.error('Error getting all coupons', { error });
+      res.status(500).json({ message: 'Error getting coupons' });
+    }
+  },
+
+  // Streams a claimed-coupon report as a CSV or NDJSON download.
+  // Takes the same filters as the list, but defaults to issued coupons with from/to on claimedAt.
+  exportCoupons: async (req, res) => {
+    const format = req.query.format || 'csv';
+    if (!FORMATS[format]) {
+      return res.status(400).json({ message: `format must be one of: ${Object.keys(FORMATS).join(', ')}` });
+    }
+    if (req.query.status && req.query.status !== 'all' && !isValidStatus(req.query.status)) {
+      return res.status(400).json({ message: `status must be all, or one or more of: ${Object.keys(STATUS_FILTERS).join(', ')}` });
+    }
+    const dateError = getDateError(req.query);
+    if (dateError) {
+      return res.status(400).json({ message: dateError });
+    }
+
+    try {
+      // Check this up front, while we can still answer with a normal error
+      if (req.query.campaign && !(await resolveCampaign(req.query.campaign))) {
+        return res.status(404).json({ message: 'Campaign not found' });
+      }
+
+      const filename = `coupons-${new Date().toISOString().slice(0, 10)}.${FORMATS[format].extension}`;
+      res.setHeader('Content-Type', FORMATS[format].contentType);
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+      await exportCoupons({ query: req.query, format, output: res });
+    } catch (error) {
+      logger.error('Error exporting coupons', { error });
+      // Once rows have gone out we can't send a JSON error, so just cut the download short
+      if (res.headersSent) {
+        res.destroy(error);
+      } else {
+        res.removeHeader('Content-Disposition');
+        res.status(500).json({ message: 'Error exporting coupons' });
+      }
+    }
+  },
+
+  // Tells us how many coupons are left to claim in each campaign.
+  // remainingCoupons only counts ones that can be claimed right now; available coupons
+  // that aren't valid yet, or are past expiry but not swept yet, aren't included.
+  getInventory: async (req, res) => {
+    try {
+      const campaigns = await Campaign.find({}).sort({ createdAt: 1 });
+      const now = new Date();
+
+      const inventory = await Promise.all(campaigns.map(async (campaign) => {
+        const claimable = { campaign: campaign._id, ...Coupon.claimableFilter(now) };
+        const [byStatus, remainingCoupons, nextCoupon] = await Promise.all([
+          Coupon.countByStatus({ campaign: campaign._id }),
+          Coupon.countDocuments(claimable),
+          Coupon.findOne(claimable, { sequenceNumber: 1 }, { sort: { sequenceNumber: 1 } })
+        ]);
+
+        return {
+          campaign: { name: campaign.name, slug: campaign.slug },
+          remainingCoupons,
+          claimedCoupons: byStatus.claimed + byStatus.redeemed,
+          redeemedCoupons: byStatus.redeemed,
+          expiredCoupons: byStatus.expired,
+          voidedCoupons: byStatus.voided,
+          byStatus,
+          nextSequenceNumber: nextCoupon?.sequenceNumber
+        };
+      }));
+
+      res.json({ inventory });
+    } catch (error) {
+      logger.error('Error getting remaining coupons', { error });
+      res.status(500).json({ message: 'Error getting remaining coupons' });
+    }
+  },
+
+  // Creates a single coupon with a code chosen by the admin
+  createCoupon: async (req, res) => {
+    try {
+      const code = req.body.code ? String(req.body.code).trim().toUpperCase() : null;
+      if (!code) {
+        return res.status(400).json({ message: 'code is required, use /generate for random codes' });
+      }
+
+      const validity = parseValidity(req.body);
+      if (validity.error) {
+        return res.status(400).json({ message: validity.error.message });
+      }
+
+      const campaign = await resolveCampaign(req.body.campaign);
+      if (!campaign) {
+        return res.status(404).json({ message: 'Campaign not found' });
+      }
+
+      const coupon = await Coupon.create({
+        campaign: campaign._id,
+        code,
+        sequenceNumber: await reserveSequenceNumbers(campaign._id, 1),
+        validFrom: validity.validFrom,
+        expiresAt: validity.expiresAt
+      });
+
+      res.status(201).json({ coupon });
+    } catch (error) {
+      if (error.code === 11000) {
+        return res.status(409).json({ message: 'A coupon with that code already exists' });
+      }
+      logger.error('Error creating coupon', { error });
+      res.status(500).json({ message: 'Error creating coupon' });
+    }
+  },
+
+  // Generates a batch of random coupons for a campaign, optionally with a
+  // validFrom/expiresAt window shared by the whole batch
+  generateCoupons: async (req, res) => {
+    try {
+      const count = parseInt(req.body.count);
+      if (!count || count < 1 || count > MAX_GENERATE_COUNT) {
+        return res.status(400).json({ message: `count must be between 1 and ${MAX_GENERATE_COUNT}` });
+      }
+
+      const validity = parseValidity(req.body);
+      if (validity.error) {
+        return res.status(400).json({ message: validity.error.message });
+      }
+
+      const campaign = await resolveCampaign(req.body.campaign);
+      if (!campaign) {
+        return res.status(404).json({ message: 'Campaign not found' });
+      }
+
+      const result = await generateCoupons(count, campaign, {
+        validFrom: validity.validFrom,
+        expiresAt: validity.expiresAt
+      });
+      if (!result.created) {
+        return res.status(500).json({ message: 'Error generating coupons', ...result });
+      }
+
+      const remainingCoupons = await Coupon.countDocuments({ campaign: campaign._id, ...Coupon.claimableFilter() });
+      res.status(201).json({
+        message: `Generated ${result.created} of ${count} coupons for ${campaign.name}`,
+        generated: result.created,
+        ...result,
+        remainingCoupons
+      });
+    } catch (error) {
+      logger.error('Error generating coupons', { error });
+      res.status(500).json({ message: 'Error generating coupons' });
+    }
+  },
+
+  // Imports externally issued codes from a CSV or JSON body and reports on every row.
+  // Send CSV as text/csv, or JSON as an array of codes or { coupons: [...] }.
+  // validFrom/expiresAt in the query string apply to rows that don't set their own.
+  importCoupons: async (req, res) => {
+    try {
+      const format = req.query.format || (req.is('application/json') ? 'json' : 'csv');
+      if (!['csv', 'json'].includes(format)) {
+        return res.status(400).json({ message: 'format must be csv or json' });
+      }
+
+      const content = req.body;
+      if (format === 'csv' && typeof content !== 'string') {
+        return res.status(400).json({ message: 'Send CSV imports with a text/csv content type' });
+      }
+
+      const validity = parseValidity(req.query);
+      if (validity.error) {
+        return res.status(400).json({ message: validity.error.message });
+      }
+
+      const campaign = await resolveCampaign(req.query.campaign);
+      if (!campaign) {
+        return res.status(404).json({ message: 'Campaign not found' });
+      }
+
+      const report = await importCoupons({
+        content,
+        format,
+        campaign,
+        validity: { validFrom: req.query.validFrom, expiresAt: req.query.expiresAt },
+        dryRun: req.query.dryRun === 'true'
+      });
+
+      res.status(report.dryRun ? 200 : 201).json(report);
+    } catch (error) {
+      if (error instanceof ImportFormatError) {
+        return res.status(400).json({ message: error.message });
+      }
+      logger.error('Error importing coupons', { error });
+      res.status(500).json({ message: 'Error importing coupons' });
+    }
+  },
+
+  // Takes a set of unclaimed coupons out of circulation, by id or by code
+  voidCoupons: async (req, res) => {
+    try {
+      const ids = Array.isArray(req.body.ids) ? req.body.ids : [];
+      const codes = Array.isArray(req.body.codes) ? req.body.codes.map(code => String(code).toUpperCase()) : [];
+
+      if (!ids.length && !codes.length) {
+        return res.status(400).json({ message: 'Provide ids or codes to void' });
+      }
+      if (ids.some(id => !mongoose.isValidObjectId(id))) {
+        return res.status(400).json({ message: 'One or more ids are invalid' });
+      }
+
+      // Claimed coupons are already in someone's hands, so they're left alone unless
+      // includeClaimed is set (e.g. to stop a leaked code from being redeemed)
+      const voidable = req.body.includeClaimed === true ? ['available', 'claimed'] : ['available'];
+      const result = await Coupon.updateMany(
+        {
+          $or: [{ _id: { $in: ids } }, { code: { $in: codes } }],
+          status: { $in: voidable }
+        },
+        {
+          status: 'voided',
+          voidedAt: new Date(),
+          voidReason: req.body.reason || null
+        }
+      );
+
+      res.json({
+        message: `Voided ${result.modifiedCount} coupons`,
+        requested: ids.length + codes.length,
+        voided: result.modifiedCount
+      });
+    } catch (error) {
+      logger.error('Error voiding coupons', { error });
+      res.status(500).json({ message: 'Error voiding coupons' });
+    }
+  },
+
+  // Edits a single coupon: void it, make it available again, change its code
+  // or its validity window. Only coupons that have never been handed out can be edited.
+  updateCoupon: async (req, res) => {
+    try {
+      if (!mongoose.isValidObjectId(req.params.id)) {
+        return res.status(400).json({ message: 'Invalid coupon id' });
+      }
+
+      const coupon = await Coupon.findById(req.params.id);
+      if (!coupon) {
+        return res.status(404).json({ message: 'Coupon not found' });
+      }
+
+      if (coupon.claimedAt || !['available', 'voided'].includes(coupon.status)) {
+        return res.status(409).json({ message: `Coupons that are ${coupon.status} cannot be edited` });
+      }
+
+      // isActive is the older way of saying available/voided
+      let { status } = req.body;
+      if (status === undefined && req.body.isActive !== undefined) {
+        status = req.body.isActive ? 'available' : 'voided';
+      }
+      if (status !== undefined && !['available', 'voided'].includes(status)) {
+        return res.status(400).json({ message: 'status can only be changed to available or voided' });
+      }
+
+      if (req.body.code !== undefined) {
+        coupon.code = String(req.body.code).trim().toUpperCase();
+      }
+
+      // Send null to clear either date
+      if (req.body.validFrom !== undefined || req.body.expiresAt !== undefined) {
+        const validity = parseValidity({
+          validFrom: req.body.validFrom === undefined ? coupon.validFrom : req.body.validFrom,
+          expiresAt: req.body.expiresAt === undefined ? coupon.expiresAt : req.body.expiresAt
+        });
+        if (validity.error) {
+          return res.status(400).json({ message: validity.error.message });
+        }
+        coupon.validFrom = validity.validFrom;
+        coupon.expiresAt = validity.expiresAt;
+      }
+
+      if (status === 'voided' && coupon.status !== 'voided') {
+        coupon.status = 'voided';
+        coupon.voidedAt = new Date();
+        coupon.voidReason = req.body.reason || null;
+      } else if (status === 'available' && coupon.status !== 'available') {
+        coupon.status = 'available';
+        coupon.voidedAt = null;
+        coupon.voidReason = null;
+      }
+
+      await coupon.save();
+      res.json({ coupon });
+    } catch (error) {
+      if (error.code === 11000) {
+        return res.status(409).json({ message: 'A coupon with that code already exists' });
+      }
+      logger.error('Error updating coupon', { error });
+      res.status(500).json({ message: 'Error updating coupon' });
+    }
+  },
+
+  // Removes a coupon that nobody has claimed yet
+  deleteCoupon: async (req, res) => {
+    try {
+      if (!mongoose.isValidObjectId(req.params.id)) {
+        return res.status(400).json({ message: 'Invalid coupon id' });
+      }
+
+      const coupon = await Coupon.findById(req.params.id);
+      if (!coupon) {
+        return res.status(404).json({ message: 'Coupon not found' });
+      }
+
+      // Keep claimed coupons around so we still know who got what
+      if (coupon.claimedAt || !['available', 'voided'].includes(coupon.status)) {
+        return res.status(409).json({ message: 'Claimed coupons cannot be deleted, void them instead' });
+      }
+
+      await coupon.deleteOne();
+      res.json({ message: 'Coupon deleted' });
+    } catch (error) {
+      logger.error('Error deleting coupon', { error });
+      res.status(500).json({ message: 'Error deleting coupon' });
+    }
+  }
+};
+
+module.exports = adminCouponController;
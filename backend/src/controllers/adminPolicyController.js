@@ -0,0 +1,119 @@
+const ClaimPolicy = require('../models/ClaimPolicy');
+const ClaimPolicyChange = require('../models/ClaimPolicyChange');
+const { MAX_LIMIT } = require('../utils/claimLimits');
+const { invalidateClaimPolicy } = require('../utils/claimPolicy');
+const { logger } = require('../utils/logger');
+
+const MAX_HISTORY_LIMIT = 100;
+
+// Checks the fields in a policy update. Returns an error message, or null if they're fine.
+// null clears an override, so the campaigns' own settings apply again.
+const getPolicyError = (updates) => {
+  const { paused, maintenanceMessage, cooldownMs, maxClaimsPerUser } = updates;
+  if (paused !== undefined && typeof paused !== 'boolean') {
+    return 'paused must be true or false';
+  }
+  if (maintenanceMessage !== undefined && typeof maintenanceMessage !== 'string') {
+    return 'maintenanceMessage must be a string';
+  }
+  if (cooldownMs !== undefined && cooldownMs !== null && !(Number.isInteger(cooldownMs) && cooldownMs >= 0)) {
+    return 'cooldownMs must be a whole number of milliseconds, or null to use each campaign\'s cooldown';
+  }
+  if (maxClaimsPerUser !== undefined && maxClaimsPerUser !== null &&
+      !(Number.isInteger(maxClaimsPerUser) && maxClaimsPerUser >= 1 && maxClaimsPerUser <= MAX_LIMIT)) {
+    return `maxClaimsPerUser must be between 1 and ${MAX_LIMIT}, or null to use each campaign's cap`;
+  }
+  return null;
+};
+
+const toChangeJSON = (change) => ({
+  id: change._id,
+  changes: change.changes,
+  changedBy: change.changedBy,
+  note: change.note,
+  createdAt: change.createdAt
+});
+
+const adminPolicyController = {
+  // The claim policy every campaign is running under
+  getPolicy: async (req, res) => {
+    try {
+      const policy = await ClaimPolicy.getCurrent();
+      res.json({ policy: policy.toPolicyJSON() });
+    } catch (error) {
+      logger.error('Error getting claim policy', { error });
+      res.status(500).json({ message: 'Error getting claim policy' });
+    }
+  },
+
+  // Changes the claim policy. Takes any of paused, maintenanceMessage, cooldownMs and
+  // maxClaimsPerUser, plus an optional note for the audit trail. Applies within seconds.
+  updatePolicy: async (req, res) => {
+    try {
+      const updates = {};
+      for (const field of ClaimPolicy.FIELDS) {
+        if (req.body[field] !== undefined) updates[field] = req.body[field];
+      }
+      if (Object.keys(updates).length === 0) {
+        return res.status(400).json({ message: `Nothing to change. Send any of: ${ClaimPolicy.FIELDS.join(', ')}` });
+      }
+
+      const policyError = getPolicyError(updates);
+      if (policyError) {
+        return res.status(400).json({ message: policyError });
+      }
+
+      const policy = await ClaimPolicy.getCurrent();
+      const changes = Object.entries(updates)
+        .filter(([field, value]) => policy[field] !== value)
+        .map(([field, value]) => ({ field, from: policy[field], to: value }));
+      if (changes.length === 0) {
+        return res.json({ policy: policy.toPolicyJSON(), change: null });
+      }
+
+      policy.set(updates);
+      policy.updatedBy = req.admin.name;
+      await policy.save();
+      invalidateClaimPolicy();
+
+      const change = await ClaimPolicyChange.create({
+        changes,
+        changedBy: req.admin.name,
+        note: typeof req.body.note === 'string' ? req.body.note : ''
+      });
+
+      logger.info('Claim policy changed', { by: req.admin.name, changes });
+      res.json({ policy: policy.toPolicyJSON(), change: toChangeJSON(change) });
+    } catch (error) {
+      logger.error('Error updating claim policy', { error });
+      res.status(500).json({ message: 'Error updating claim policy' });
+    }
+  },
+
+  // Who changed the policy and how, newest first
+  listPolicyChanges: async (req, res) => {
+    try {
+      const page = Math.max(parseInt(req.query.page) || 1, 1);
+      const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), MAX_HISTORY_LIMIT);
+
+      const [changes, total] = await Promise.all([
+        ClaimPolicyChange.find({}).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit),
+        ClaimPolicyChange.countDocuments({})
+      ]);
+
+      res.json({
+        changes: changes.map(toChangeJSON),
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalChanges: total
+        }
+      });
+    } catch (error) {
+      logger.error('Error listing claim policy changes', { error });
+      res.status(500).json({ message: 'Error listing claim policy changes' });
+    }
+  }
+};
+
+module.exports = adminPolicyController;
@@ -0,0 +1,166 @@
+const mongoose = require('mongoose');
+const AdminUser = require('../models/AdminUser');
+const ApiKey = require('../models/ApiKey');
+const { logger } = require('../utils/logger');
+
+// Helper function to check a role name from the request body
+const isValidRole = (role) => AdminUser.ROLES.includes(role);
+
+const adminUserController = {
+  // Lists everyone who can sign in to the admin API
+  listUsers: async (req, res) => {
+    try {
+      const users = await AdminUser.find({}).sort({ createdAt: 1 });
+      res.json({ users: users.map(user => user.toSafeJSON()) });
+    } catch (error) {
+      logger.error('Error listing admin users', { error });
+      res.status(500).json({ message: 'Error listing admin users' });
+    }
+  },
+
+  // Adds a new admin user
+  createUser: async (req, res) => {
+    try {
+      const { email, name, password, role = 'viewer' } = req.body;
+      if (!email) {
+        return res.status(400).json({ message: 'Email is required' });
+      }
+      if (!isValidRole(role)) {
+        return res.status(400).json({ message: `role must be one of: ${AdminUser.ROLES.join(', ')}` });
+      }
+
+      const user = new AdminUser({ email, name, role });
+      try {
+        await user.setPassword(password);
+      } catch (error) {
+        return res.status(400).json({ message: error.message });
+      }
+      await user.save();
+
+      res.status(201).json({ user: user.toSafeJSON() });
+    } catch (error) {
+      if (error.code === 11000) {
+        return res.status(409).json({ message: 'A user with that email already exists' });
+      }
+      logger.error('Error creating admin user', { error });
+      res.status(500).json({ message: 'Error creating admin user' });
+    }
+  },
+
+  // Changes a user's role, name, password or enabled status
+  updateUser: async (req, res) => {
+    try {
+      if (!mongoose.isValidObjectId(req.params.id)) {
+        return res.status(400).json({ message: 'Invalid user id' });
+      }
+
+      const user = await AdminUser.findById(req.params.id);
+      if (!user) {
+        return res.status(404).json({ message: 'User not found' });
+      }
+
+      const { name, role, isActive, password } = req.body;
+      if (isActive !== undefined && typeof isActive !== 'boolean') {
+        return res.status(400).json({ message: 'isActive must be true or false' });
+      }
+
+      // Stop owners from locking themselves out by accident
+      const isSelf = req.admin.type === 'user' && user._id.equals(req.admin.id);
+      if (isSelf && ((role && role !== 'owner') || isActive === false)) {
+        return res.status(400).json({ message: 'You cannot demote or disable yourself' });
+      }
+
+      if (role !== undefined) {
+        if (!isValidRole(role)) {
+          return res.status(400).json({ message: `role must be one of: ${AdminUser.ROLES.join(', ')}` });
+        }
+        user.role = role;
+      }
+      if (name !== undefined) user.name = name;
+      if (isActive !== undefined) user.isActive = isActive;
+      if (password !== undefined) {
+        try {
+          await user.setPassword(password);
+        } catch (error) {
+          return res.status(400).json({ message: error.message });
+        }
+      }
+
+      await user.save();
+      res.json({ user: user.toSafeJSON() });
+    } catch (error) {
+      logger.error('Error updating admin user', { error });
+      res.status(500).json({ message: 'Error updating admin user' });
+    }
+  },
+
+  // Lists API keys (never the keys themselves, we don't have them)
+  listApiKeys: async (req, res) => {
+    try {
+      const apiKeys = await ApiKey.find({}).sort({ createdAt: -1 });
+      res.json({ apiKeys: apiKeys.map(apiKey => apiKey.toSafeJSON()) });
+    } catch (error) {
+      logger.error('Error listing API keys', { error });
+      res.status(500).json({ message: 'Error listing API keys' });
+    }
+  },
+
+  // Issues a new API key. The key is only shown in this response.
+  createApiKey: async (req, res) => {
+    try {
+      const { name, role = 'viewer', expiresAt } = req.body;
+      if (!name) {
+        return res.status(400).json({ message: 'Name is required' });
+      }
+      if (!isValidRole(role)) {
+        return res.status(400).json({ message: `role must be one of: ${AdminUser.ROLES.join(', ')}` });
+      }
+
+      const expiry = expiresAt ? new Date(expiresAt) : null;
+      if (expiry && (isNaN(expiry.getTime()) || expiry <= new Date())) {
+        return res.status(400).json({ message: 'expiresAt must be a date in the future' });
+      }
+
+      const { apiKey, plainKey } = await ApiKey.issue({
+        name,
+        role,
+        expiresAt: expiry,
+        createdBy: req.admin.type === 'user' ? req.admin.id : null
+      });
+
+      res.status(201).json({
+        message: 'Store this key somewhere safe, it will not be shown again',
+        key: plainKey,
+        apiKey: apiKey.toSafeJSON()
+      });
+    } catch (error) {
+      logger.error('Error creating API key', { error });
+      res.status(500).json({ message: 'Error creating API key' });
+    }
+  },
+
+  // Stops an API key from working
+  revokeApiKey: async (req, res) => {
+    try {
+      if (!mongoose.isValidObjectId(req.params.id)) {
+        return res.status(400).json({ message: 'Invalid API key id' });
+      }
+
+      const apiKey = await ApiKey.findOneAndUpdate(
+        { _id: req.params.id, revokedAt: null },
+        { revokedAt: new Date() },
+        { new: true }
+      );
+      if (!apiKey) {
+        return res.status(404).json({ message: 'API key not found or already revoked' });
+      }
+
+      res.json({ apiKey: apiKey.toSafeJSON() });
+    } catch (error) {
+      logger.error('Error revoking API key', { error });
+      res.status(500).json({ message: 'Error revoking API key' });
+    }
+  }
+};
+
+module.exports = adminUserController;
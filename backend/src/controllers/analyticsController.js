@@ -0,0 +1,83 @@
+const { resolveCampaign } = require('../utils/couponFilters');
+const { parseRange, getClaimSeries, getClaimants, getDenialSeries } = require('../utils/claimAnalytics');
+const { logger } = require('../utils/logger');
+
+// Works out the campaign and date range an analytics request is about, or sends a
+// 400/404 and returns null. Without ?campaign= it covers every campaign.
+const readScope = async (req, res) => {
+  const { range, error } = parseRange(req.query);
+  if (error) {
+    res.status(400).json({ message: error });
+    return null;
+  }
+
+  let campaign = null;
+  if (req.query.campaign) {
+    campaign = await resolveCampaign(req.query.campaign);
+    if (!campaign) {
+      res.status(404).json({ message: 'Campaign not found' });
+      return null;
+    }
+  }
+
+  return { campaign, range };
+};
+
+// What every analytics response starts with, so it's clear what was counted
+const describeScope = ({ campaign, range }) => ({
+  campaign: campaign ? campaign.slug : null,
+  range
+});
+
+const analyticsController = {
+  // Claims per hour, day or week, with unique IPs and sessions in each
+  getClaimSeries: async (req, res) => {
+    try {
+      const scope = await readScope(req, res);
+      if (!scope) return;
+
+      res.json({
+        ...describeScope(scope),
+        ...(await getClaimSeries(scope.campaign, scope.range))
+      });
+    } catch (error) {
+      logger.error('Error getting claim analytics', { error });
+      res.status(500).json({ message: 'Error getting claim analytics' });
+    }
+  },
+
+  // Unique claimants in the range, how many came back for more, and the same
+  // from the claim trackers still kept
+  getClaimants: async (req, res) => {
+    try {
+      const scope = await readScope(req, res);
+      if (!scope) return;
+
+      res.json({
+        ...describeScope(scope),
+        ...(await getClaimants(scope.campaign, scope.range))
+      });
+    } catch (error) {
+      logger.error('Error getting claimant analytics', { error });
+      res.status(500).json({ message: 'Error getting claimant analytics' });
+    }
+  },
+
+  // Claim attempts by outcome per bucket, the denial rate, and denials by reason
+  getDenials: async (req, res) => {
+    try {
+      const scope = await readScope(req, res);
+      if (!scope) return;
+
+      res.json({
+        ...describeScope(scope),
+        ...(await getDenialSeries(scope.campaign, scope.range))
+      });
+    } catch (error) {
+      logger.error('Error getting denial analytics', { error });
+      res.status(500).json({ message: 'Error getting denial analytics' });
+    }
+  }
+};
+
+module.exports = analyticsController;
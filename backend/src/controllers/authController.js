@@ -0,0 +1,98 @@
+const AdminUser = require('../models/AdminUser');
+const { signToken } = require('../utils/tokens');
+const { config } = require('../config');
+const { logger } = require('../utils/logger');
+
+// Session tokens last 12 hours unless ADMIN_SESSION_TTL_HOURS says otherwise
+const SESSION_TTL_MS = config.admin.sessionTtlMs;
+
+const authController = {
+  // Swap an email and password for a session token
+  login: async (req, res) => {
+    try {
+      const secret = config.admin.tokenSecret;
+      if (!secret) {
+        return res.status(503).json({ message: 'Admin sign in is not configured' });
+      }
+
+      const { email, password } = req.body;
+      if (!email || !password) {
+        return res.status(400).json({ message: 'Email and password are required' });
+      }
+
+      const user = await AdminUser.findOne({ email: String(email).toLowerCase().trim() });
+
+      // Same message either way so we don't reveal which emails have accounts
+      if (!user || !user.isActive || !(await user.verifyPassword(password))) {
+        return res.status(401).json({ message: 'Invalid email or password' });
+      }
+
+      user.lastLoginAt = new Date();
+      await user.save();
+
+      const token = signToken({ sub: user._id.toString(), ver: user.tokenVersion }, secret, SESSION_TTL_MS);
+      res.json({
+        token,
+        expiresAt: new Date(Date.now() + SESSION_TTL_MS),
+        user: user.toSafeJSON()
+      });
+    } catch (error) {
+      logger.error('Error signing in', { error });
+      res.status(500).json({ message: 'Error signing in' });
+    }
+  },
+
+  // Tells the caller who they're authenticated as
+  me: async (req, res) => {
+    try {
+      if (req.admin.type === 'apiKey') {
+        return res.json({ type: 'apiKey', name: req.admin.name, role: req.admin.role });
+      }
+
+      const user = await AdminUser.findById(req.admin.id);
+      res.json({ type: 'user', user: user.toSafeJSON() });
+    } catch (error) {
+      logger.error('Error getting current admin', { error });
+      res.status(500).json({ message: 'Error getting current admin' });
+    }
+  },
+
+  // Lets a signed in user change their own password. This signs out their other sessions.
+  changePassword: async (req, res) => {
+    try {
+      if (req.admin.type !== 'user') {
+        return res.status(400).json({ message: 'API keys do not have passwords' });
+      }
+
+      const secret = config.admin.tokenSecret;
+      if (!secret) {
+        return res.status(503).json({ message: 'Admin sign in is not configured' });
+      }
+
+      const { currentPassword, newPassword } = req.body;
+      const user = await AdminUser.findById(req.admin.id);
+      if (!(await user.verifyPassword(currentPassword))) {
+        return res.status(401).json({ message: 'Current password is incorrect' });
+      }
+
+      try {
+        await user.setPassword(newPassword);
+      } catch (error) {
+        return res.status(400).json({ message: error.message });
+      }
+      await user.save();
+
+      const token = signToken({ sub: user._id.toString(), ver: user.tokenVersion }, secret, SESSION_TTL_MS);
+      res.json({
+        message: 'Password changed',
+        token,
+        expiresAt: new Date(Date.now() + SESSION_TTL_MS)
+      });
+    } catch (error) {
+      logger.error('Error changing password', { error });
+      res.status(500).json({ message: 'Error changing password' });
+    }
+  }
+};
+
+module.exports = authController;
@@ -0,0 +1,57 @@
+const Campaign = require('../models/Campaign');
+const Coupon = require('../models/Coupon');
+const { verifyCode } = require('../utils/codeFormats');
+const { logger } = require('../utils/logger');
+
+const campaignController = {
+  // Lists the campaigns people can currently claim from
+  listCampaigns: async (req, res) => {
+    try {
+      const currentTime = new Date();
+      const campaigns = await Campaign.find({
+        isActive: true,
+        $and: [
+          { $or: [{ startsAt: null }, { startsAt: { $lte: currentTime } }] },
+          { $or: [{ endsAt: null }, { endsAt: { $gt: currentTime } }] }
+        ]
+      }).sort({ createdAt: 1 });
+
+      res.json({
+        campaigns: campaigns.map(campaign => campaign.toPublicJSON())
+      });
+    } catch (error) {
+      logger.error('Error listing campaigns', { error });
+      res.status(500).json({ message: 'Error listing campaigns' });
+    }
+  },
+
+  // Shows a single campaign along with how many coupons it has left
+  getCampaign: async (req, res) => {
+    try {
+      const campaign = req.campaign;
+      const availableCoupons = await Coupon.countDocuments({ campaign: campaign._id, ...Coupon.claimableFilter() });
+
+      res.json({
+        campaign: campaign.toPublicJSON(),
+        status: campaign.getClaimWindowStatus(),
+        availableCoupons
+      });
+    } catch (error) {
+      logger.error('Error getting campaign', { error });
+      res.status(500).json({ message: 'Error getting campaign' });
+    }
+  },
+
+  // Checks whether a code is well formed for this campaign (right shape, right check
+  // character) so checkout forms can catch typos. It doesn't say whether the code exists.
+  validateCode: (req, res) => {
+    if (!req.query.code) {
+      return res.status(400).json({ message: 'code is required' });
+    }
+
+    const result = verifyCode(req.query.code, req.campaign.getCodeFormat());
+    res.json(result);
+  }
+};
+
+module.exports = campaignController;
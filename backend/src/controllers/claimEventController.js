@@ -0,0 +1,49 @@
+const ClaimEvent = require('../models/ClaimEvent');
+const { resolveCampaign } = require('../utils/couponFilters');
+const { buildClaimEventFilter } = require('../utils/claimEventFilter');
+const { logger } = require('../utils/logger');
+
+const MAX_LIMIT = 100;
+
+const claimEventController = {
+  // Claim attempts, newest first. Filter by campaign, outcome, reason, ip, subnet,
+  // ipHash, subnetHash, session, requestId, from and to.
+  listClaimEvents: async (req, res) => {
+    try {
+      const { filter, error } = buildClaimEventFilter(req.query);
+      if (error) {
+        return res.status(400).json({ message: error });
+      }
+
+      if (req.query.campaign) {
+        const campaign = await resolveCampaign(req.query.campaign);
+        if (!campaign) {
+          return res.status(404).json({ message: 'Campaign not found' });
+        }
+        filter.campaign = campaign._id;
+      }
+
+      const page = Math.max(parseInt(req.query.page) || 1, 1);
+      const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), MAX_LIMIT);
+
+      const [events, total] = await Promise.all([
+        ClaimEvent.find(filter).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit),
+        ClaimEvent.countDocuments(filter)
+      ]);
+
+      res.json({
+        events: events.map(event => event.toEventJSON()),
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalEvents: total
+        }
+      });
+    } catch (error) {
+      logger.error('Error listing claim events', { error });
+      res.status(500).json({ message: 'Error listing claim events' });
+    }
+  }
+};
+
+module.exports = claimEventController;
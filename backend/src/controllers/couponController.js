@@ -1,11 +1,24 @@
 const Coupon = require('../models/Coupon');
+const Campaign = require('../models/Campaign');
 const ClaimTracker = require('../models/ClaimTracker');
-const { checkAndReplenishCoupons } = require('../utils/couponGenerator');
-
-// Set cooldown time to 30 seconds (in milliseconds)
-const CLAIM_COOLDOWN = 30 * 1000; // 30 seconds
-const COOKIE_NAME = 'claim_session';
-const COOKIE_MAX_AGE = 30 * 1000; // Match cooldown time exactly
+const ClaimStat = require('../models/ClaimStat');
+const ClaimEvent = require('../models/ClaimEvent');
+const { triggerJob } = require('../utils/jobs');
+const { describeLimit } = require('../utils/claimLimits');
+const { evaluateClaim, getRuleMode } = require('../abuse');
+const { ensureClaimSession } = require('../utils/claimSession');
+const { getClientIp } = require('../utils/clientIp');
+const { getChallengeMode, issueChallenge, verifyChallenge } = require('../utils/proofOfWork');
+const { getClaimPolicy, applyClaimPolicy, pausedMessage } = require('../utils/claimPolicy');
+const { config } = require('../config');
+const { logger } = require('../utils/logger');
+const { recordClaim } = require('../utils/metrics');
+const { watchStock, notifyStockChanged } = require('../utils/stockWatcher');
+
+const TRACKER_LABELS = {
+  ip: 'IP Address',
+  session: 'Browser Session'
+};
 
 // Helper function to format remaining time
 const formatTimeRemaining = (milliseconds) => {
@@ -21,179 +34,520 @@ const formatTimeRemaining = (milliseconds) => {
   return parts.join(' ');
 };
 
-// Helper function to update tracker (moved outside the controller object)
-async function updateTracker(identifier, type, currentTime) {
+// Messages for when the campaign itself isn't accepting claims
+const WINDOW_MESSAGES = {
+  inactive: 'This campaign is not currently active.',
+  not_started: 'This campaign has not started yet.',
+  ended: 'This campaign has ended.'
+};
+
+// Takes the IP's claim slot, then the session's. If the session can't claim,
+// the IP slot is given back. Returns the slots, or null if either was refused.
+// A tracker whose cooldown rule isn't enforced still records the claim, but never refuses.
+async function acquireClaimSlots(campaign, ipAddress, sessionId, currentTime) {
+  const ipSlot = await ClaimTracker.acquireSlot(campaign, ipAddress, 'ip', currentTime, {
+    enforce: getRuleMode('ipCooldown') === 'enforce'
+  });
+  if (!ipSlot) return null;
+  if (!sessionId) return [ipSlot];
+
+  let sessionSlot;
   try {
-    const nextClaimTime = new Date(currentTime.getTime() + CLAIM_COOLDOWN);
-    
-    const tracker = await ClaimTracker.findOne({ identifier, type });
-    if (tracker) {
-      await ClaimTracker.updateOne(
-        { identifier, type },
-        { 
-          lastClaimAt: currentTime,
-          nextClaimTime,
-          $inc: { claimCount: 1 }
-        }
-      );
-    } else {
-      await ClaimTracker.create({
-        identifier,
-        type,
-        lastClaimAt: currentTime,
-        nextClaimTime,
-        claimCount: 1
-      });
-    }
+    sessionSlot = await ClaimTracker.acquireSlot(campaign, sessionId, 'session', currentTime, {
+      enforce: getRuleMode('sessionCooldown') === 'enforce'
+    });
   } catch (error) {
-    console.error('Error updating tracker:', error);
+    await ClaimTracker.releaseSlot(ipSlot);
     throw error;
   }
+  if (!sessionSlot) {
+    await ClaimTracker.releaseSlot(ipSlot);
+    return null;
+  }
+  return [ipSlot, sessionSlot];
+}
+
+// Gives back tracker slots when a claim doesn't go through
+function releaseClaimSlots(slots) {
+  return Promise.all(slots.map(slot => ClaimTracker.releaseSlot(slot)));
+}
+
+// What we tell the user about a claim limit they've hit
+const toLimitJSON = ({ limit, used, resetsAt }) => ({
+  ...limit,
+  description: describeLimit(limit),
+  used,
+  resetsAt
+});
+
+// Message for a reached claim limit
+const limitMessage = ({ limit, resetsAt }, currentTime) => {
+  if (!resetsAt) {
+    return `You have reached the limit of ${limit.max} coupons for this campaign.`;
+  }
+  return `You have reached the limit of ${describeLimit(limit)}. ` +
+    `Please wait ${formatTimeRemaining(resetsAt.getTime() - currentTime.getTime())} before claiming another coupon.`;
+};
+
+// Tells the user they can't claim because of a cooldown or claim limit: 403 for a
+// lifetime limit they'll never get past, 429 for anything that frees up later
+function sendRestriction(res, campaign, restriction, currentTime) {
+  const { tracker, resetsAt } = restriction;
+
+  if (restriction.kind === 'limit' && !resetsAt) {
+    return res.status(403).json({
+      message: limitMessage(restriction, currentTime),
+      reason: 'claim_limit',
+      limit: toLimitJSON(restriction),
+      totalClaims: tracker.claimCount,
+      trackerType: TRACKER_LABELS[tracker.type]
+    });
+  }
+
+  const remainingMs = resetsAt.getTime() - currentTime.getTime();
+  const source = tracker.type === 'ip' ? 'from this IP' : 'in this browser';
+  const details = restriction.kind === 'limit'
+    ? { message: limitMessage(restriction, currentTime), reason: 'claim_limit', limit: toLimitJSON(restriction) }
+    : { message: `Please wait ${formatTimeRemaining(remainingMs)} before claiming another coupon ${source}.`, reason: 'cooldown' };
+
+  return res.status(429).json({
+    ...details,
+    nextClaimTime: resetsAt,
+    remainingTime: {
+      total: remainingMs,
+      formatted: formatTimeRemaining(remainingMs)
+    },
+    trackerType: TRACKER_LABELS[tracker.type]
+  });
+}
+
+// Tells the user why the abuse rules stopped their claim. Cooldowns and claim
+// limits get their detailed response, challenges say what to do, and other
+// denials say what they flagged and, if it's temporary, when to try again.
+function sendDecision(res, campaign, decision, currentTime) {
+  if (decision.restriction) {
+    return sendRestriction(res, campaign, decision.restriction, currentTime);
+  }
+
+  // A challenge can be passed straight away, so there's nothing to wait for.
+  // With challenges off it's refused like a denial, with the rule's own message.
+  if (decision.action === 'challenge' && getChallengeMode() !== 'off') {
+    return res.status(403).json({
+      message: 'Please complete a quick check before claiming a coupon.',
+      reason: 'challenge_required',
+      rule: decision.rule,
+      challenge: { reason: decision.reason }
+    });
+  }
+
+  const body = { message: decision.message, reason: decision.reason, rule: decision.rule };
+  if (decision.retryAt) {
+    const remainingMs = decision.retryAt.getTime() - currentTime.getTime();
+    return res.status(decision.status || 429).json({
+      ...body,
+      nextClaimTime: decision.retryAt,
+      remainingTime: {
+        total: remainingMs,
+        formatted: formatTimeRemaining(remainingMs)
+      }
+    });
+  }
+  return res.status(decision.status || 403).json(body);
+}
+
+// Whether a claim has to come with a solved proof-of-work challenge: when a rule
+// asked for one, or for every claim in CHALLENGE_MODE=always. With challenges off,
+// challenged claims are refused like before.
+function needsChallenge(decision) {
+  const mode = getChallengeMode();
+  if (mode === 'off') return false;
+  return decision.action === 'challenge' || (mode === 'always' && decision.action === 'allow');
+}
+
+// Why the abuse rules turned a claim down, for the metrics: which tracker's cooldown
+// or limit it hit (e.g. ip_cooldown, session_limit), or the reason the rule gave.
+// Challenges that need solving are counted as challenge_required where they're sent.
+function denialReason(decision) {
+  if (decision.restriction) {
+    return `${decision.restriction.tracker.type}_${decision.restriction.kind}`;
+  }
+  return decision.reason;
 }
 
+// Asks for a challenge to be solved, with a fresh one so the claim can be retried straight away
+async function sendChallenge(res, campaign, sessionId, decision, failure, currentTime) {
+  return res.status(403).json({
+    message: failure === 'missing'
+      ? 'Please complete a quick check before claiming a coupon.'
+      : 'The check did not go through. Please try again.',
+    reason: 'challenge_required',
+    rule: decision.rule,
+    challenge: {
+      ...(await issueChallenge(campaign, sessionId, currentTime)),
+      reason: decision.reason || 'always',
+      failure
+    }
+  });
+}
+
+// Sets aside the next claimable coupon in the campaign, in sequence order, skipping
+// any that aren't valid yet or have expired. It stays reserved until the claim
+// finishes, so nobody else can get it.
+function reserveNextCoupon(campaign, ipAddress, sessionId, currentTime) {
+  return Coupon.findOneAndUpdate(
+    { campaign: campaign._id, ...Coupon.claimableFilter(currentTime) },
+    { 
+      status: 'reserved',
+      reservedAt: currentTime,
+      claimedBy: ipAddress,
+      sessionId: sessionId || null
+    },
+    { 
+      new: true,
+      sort: { sequenceNumber: 1 }
+    }
+  );
+}
+
+// Turns a reservation into a finished claim
+async function completeClaim(coupon, currentTime) {
+  const result = await Coupon.updateOne(
+    { _id: coupon._id, status: 'reserved' },
+    { status: 'claimed', claimedAt: currentTime, reservedAt: null }
+  );
+  // Only happens if the claim took so long that the reservation was released
+  if (!result.modifiedCount) {
+    throw new Error(`Reservation for coupon ${coupon.code} was lost`);
+  }
+}
+
+// Puts a reserved coupon back in the pool when the claim couldn't finish
+function releaseReservation(coupon) {
+  return Coupon.updateOne(
+    { _id: coupon._id, status: 'reserved' },
+    { status: 'available', reservedAt: null, claimedBy: null, sessionId: null }
+  );
+}
+
+// Whether this visitor can claim from the campaign right now, and if not, why and
+// until when. It's what check-eligibility answers and what the live stream pushes.
+async function getEligibility(campaign, { ipAddress, sessionId, userAgent }, currentTime) {
+  // Answer with the cooldown and cap claims are actually using right now
+  const policy = await getClaimPolicy(currentTime);
+  applyClaimPolicy(campaign, policy);
+
+  // Same rules as a real claim, so this answers the same way a claim would
+  const decision = await evaluateClaim({
+    campaign,
+    ipAddress,
+    sessionId,
+    userAgent,
+    now: currentTime,
+    purpose: 'eligibility'
+  });
+
+  const claimable = { campaign: campaign._id, ...Coupon.claimableFilter(currentTime) };
+  const availableCoupons = await Coupon.countDocuments(claimable);
+  
+  // Get next sequence number
+  const nextCoupon = await Coupon.findOne(
+    claimable,
+    { sequenceNumber: 1 },
+    { sort: { sequenceNumber: 1 } }
+  );
+
+  const common = {
+    campaign: campaign.toPublicJSON(),
+    availableCoupons,
+    nextSequenceNumber: nextCoupon?.sequenceNumber,
+    timestamp: currentTime.toISOString()
+  };
+
+  // Claims are paused everywhere, so nobody can claim
+  if (policy.paused) {
+    return {
+      canClaim: false,
+      reason: 'paused',
+      message: pausedMessage(policy),
+      remainingTime: {
+        total: 0,
+        formatted: pausedMessage(policy)
+      },
+      ...common
+    };
+  }
+
+  // The campaign itself isn't taking claims, so nobody can claim
+  const windowStatus = campaign.getClaimWindowStatus(currentTime);
+  if (!windowStatus.open) {
+    return {
+      canClaim: false,
+      reason: windowStatus.reason,
+      message: WINDOW_MESSAGES[windowStatus.reason],
+      remainingTime: {
+        total: 0,
+        formatted: WINDOW_MESSAGES[windowStatus.reason]
+      },
+      ...common
+    };
+  }
+  
+  // If nothing stops them, user can claim. A challenge still lets them
+  // claim, they just have to pass it first, so hand them one to solve.
+  // With challenges off, a challenged claim is refused below, the same as claimCoupon does.
+  if (decision.action === 'allow' || needsChallenge(decision)) {
+    const challengeRequired = needsChallenge(decision);
+    return {
+      canClaim: true,
+      challengeRequired,
+      challenge: challengeRequired ? await issueChallenge(campaign, sessionId, currentTime) : undefined,
+      remainingTime: {
+        total: 0,
+        formatted: "You can claim now"
+      },
+      totalClaims: 0,
+      ...common
+    };
+  }
+
+  // Refused by one of the other abuse rules
+  const { restriction } = decision;
+  if (!restriction) {
+    const retryMs = decision.retryAt ? decision.retryAt.getTime() - currentTime.getTime() : 0;
+    return {
+      canClaim: false,
+      reason: decision.reason,
+      rule: decision.rule,
+      message: decision.message,
+      resetsAt: decision.retryAt ? decision.retryAt.toISOString() : null,
+      remainingTime: {
+        total: retryMs,
+        formatted: retryMs ? formatTimeRemaining(retryMs) : decision.message
+      },
+      ...common
+    };
+  }
+
+  const { tracker } = restriction;
+
+  // Report whichever limit or cooldown is binding, and when it runs out.
+  // A lifetime limit never does, so there's nothing to count down to.
+  const remainingMs = restriction.resetsAt ? restriction.resetsAt.getTime() - currentTime.getTime() : 0;
+  const base = {
+    canClaim: false,
+    lastClaimAt: tracker.lastClaimAt.toISOString(),
+    totalClaims: tracker.claimCount,
+    trackerType: TRACKER_LABELS[tracker.type],
+    resetsAt: restriction.resetsAt ? restriction.resetsAt.toISOString() : null,
+    ...common
+  };
+
+  if (restriction.kind === 'limit') {
+    return {
+      ...base,
+      reason: 'claim_limit',
+      message: limitMessage(restriction, currentTime),
+      limit: toLimitJSON(restriction),
+      remainingTime: {
+        total: remainingMs,
+        formatted: remainingMs ? formatTimeRemaining(remainingMs) : 'Claim limit reached'
+      }
+    };
+  }
+
+  // Return the specific cooldown that's preventing the claim
+  return {
+    ...base,
+    reason: 'cooldown',
+    remainingTime: {
+      total: remainingMs,
+      formatted: formatTimeRemaining(remainingMs)
+    },
+    nextClaimTime: tracker.nextClaimTime.toISOString()
+  };
+}
+
+// Live update streams. Browsers wait RETRY_MS before reconnecting a dropped stream,
+// and a comment goes out every HEARTBEAT_MS so proxies don't close it for being idle.
+const STREAM_RETRY_MS = 5000;
+const STREAM_HEARTBEAT_MS = 25 * 1000;
+// Longer cooldowns are checked again after this long, which waits out the rest
+const MAX_STREAM_REFRESH_MS = 6 * 60 * 60 * 1000;
+// Open streams per client IP, so one client can't hold every connection open
+const openStreams = new Map();
+// Every open stream's visitor and how to send them their eligibility again
+const streams = new Set();
+
+// After a claim, sends the claimant's open streams (by IP or session) their new
+// wait straight away, which also sets them up to hear when it's over
+function refreshVisitorStreams(campaign, ipAddress, sessionId) {
+  const campaignId = campaign._id.toString();
+  for (const stream of streams) {
+    if (stream.campaignId === campaignId && (stream.ipAddress === ipAddress || stream.sessionId === sessionId)) {
+      stream.refresh();
+    }
+  }
+}
+
+// Messages and status codes for each way a redemption can be refused
+const REDEEM_ERRORS = {
+  unknown_code: { status: 404, message: 'This coupon code does not exist.' },
+  not_claimed: { status: 409, message: 'This coupon has not been issued to a customer.' },
+  already_redeemed: { status: 409, message: 'This coupon has already been redeemed.' },
+  expired: { status: 410, message: 'This coupon has expired.' },
+  voided: { status: 410, message: 'This coupon has been cancelled.' }
+};
+
+// What the checkout service gets back about a redeemed coupon
+const toRedemptionJSON = (coupon, campaign) => ({
+  code: coupon.code,
+  status: coupon.status,
+  redeemedAt: coupon.redeemedAt,
+  expiresAt: coupon.expiresAt,
+  orderId: coupon.redemption.orderId,
+  campaign: campaign ? { slug: campaign.slug, name: campaign.name } : null,
+  discount: campaign ? campaign.discount : null
+});
+
 const couponController = {
   // Claim a coupon
   claimCoupon: async (req, res) => {
+    const startedAt = Date.now();
+    // Who's claiming, filled in as we find out, for the claim event
+    const attempt = { campaign: req.campaign, userAgent: req.get('User-Agent'), requestId: req.id };
+    // Records the attempt in the metrics, the hourly stats behind the analytics and
+    // the claim event log. The stats and event are best effort: the claim's answer
+    // doesn't wait for them.
+    const countClaim = (outcome, reason = null, details = {}) => {
+      const latencyMs = Date.now() - startedAt;
+      recordClaim({ campaign: req.campaign.slug, outcome, reason, durationMs: latencyMs });
+      ClaimStat.record(req.campaign, outcome, reason)
+        .catch(error => logger.error('Error recording claim stats', { error }));
+      ClaimEvent.record({ ...attempt, outcome, reason, latencyMs, ...details })
+        .catch(error => logger.error('Error recording claim event', { error }));
+    };
+
     try {
-      const ipAddress = req.ip;
+      const campaign = req.campaign;
+      const ipAddress = getClientIp(req);
       const currentTime = new Date();
-      const sessionId = req.cookies[COOKIE_NAME];
-
-      console.log('Claim attempt:', { ipAddress, sessionId, currentTime });
-
-      // Check IP address cooldown
-      const ipTracker = await ClaimTracker.findOne({ 
-        identifier: ipAddress,
-        type: 'ip',
-        nextClaimTime: { $gt: currentTime }
-      });
-
-      // Only check session if IP is not in cooldown
-      if (!ipTracker && sessionId) {
-        const sessionTracker = await ClaimTracker.findOne({
-          identifier: sessionId,
-          type: 'session',
-          nextClaimTime: { $gt: currentTime }
-        });
-
-        if (sessionTracker) {
-          const remainingMs = sessionTracker.nextClaimTime.getTime() - currentTime.getTime();
-          return res.status(429).json({
-            message: `Please wait ${formatTimeRemaining(remainingMs)} before claiming another coupon in this browser.`,
-            nextClaimTime: sessionTracker.nextClaimTime,
-            remainingTime: {
-              total: remainingMs,
-              formatted: formatTimeRemaining(remainingMs)
-            },
-            trackerType: 'Browser Session'
-          });
-        }
-      } else if (ipTracker) {
-        const remainingMs = ipTracker.nextClaimTime.getTime() - currentTime.getTime();
-        return res.status(429).json({
-          message: `Please wait ${formatTimeRemaining(remainingMs)} before claiming another coupon from this IP.`,
-          nextClaimTime: ipTracker.nextClaimTime,
-          remainingTime: {
-            total: remainingMs,
-            formatted: formatTimeRemaining(remainingMs)
-          },
-          trackerType: 'IP Address'
+      const { id: sessionId } = ensureClaimSession(req, res);
+      Object.assign(attempt, { ipAddress, sessionId });
+
+      logger.info('Claim attempt', { campaign: campaign.slug, ipAddress, sessionId });
+
+      // Admins can pause claims or override the cooldown and cap while we're running
+      const policy = await getClaimPolicy(currentTime);
+      applyClaimPolicy(campaign, policy);
+      if (policy.paused) {
+        countClaim('denied', 'paused');
+        return res.status(503).json({
+          message: pausedMessage(policy),
+          reason: 'paused',
+          campaign: campaign.toPublicJSON()
         });
       }
 
-      // Set session cookie if not exists
-      if (!sessionId) {
-        const newSessionId = Date.now().toString();
-        res.cookie(COOKIE_NAME, newSessionId, {
-          maxAge: COOKIE_MAX_AGE,
-          httpOnly: true,
-          secure: process.env.NODE_ENV === 'production'
+      const windowStatus = campaign.getClaimWindowStatus(currentTime);
+      if (!windowStatus.open) {
+        countClaim('denied', windowStatus.reason);
+        return res.status(403).json({
+          message: WINDOW_MESSAGES[windowStatus.reason],
+          reason: windowStatus.reason,
+          campaign: campaign.toPublicJSON()
         });
       }
 
-      // Check available coupons
-      const availableCoupons = await Coupon.countDocuments({ isActive: true });
-      if (availableCoupons === 0) {
-        await checkAndReplenishCoupons();
+      // Run the claim past the abuse rules first, so refusals don't touch anything
+      const abuseCheck = { campaign, ipAddress, sessionId, userAgent: req.get('User-Agent'), now: currentTime };
+      const decision = await evaluateClaim(abuseCheck);
+      if (needsChallenge(decision)) {
+        const result = await verifyChallenge(req.body && req.body.challenge, { campaign, sessionId });
+        if (!result.valid) {
+          logger.info('Challenge failed', { campaign: campaign.slug, ipAddress, sessionId, failure: result.reason });
+          countClaim('denied', 'challenge_required', { rule: decision.rule });
+          return sendChallenge(res, campaign, sessionId, decision, result.reason, currentTime);
+        }
+      } else if (decision.action !== 'allow') {
+        countClaim('denied', denialReason(decision), { rule: decision.rule });
+        return sendDecision(res, campaign, decision, currentTime);
       }
 
-      // Find next available coupon
-      const coupon = await Coupon.findOneAndUpdate(
-        { isActive: true, claimedBy: null },
-        { 
-          claimedBy: ipAddress,
-          claimedAt: currentTime,
-          isActive: false
-        },
-        { 
-          new: true,
-          sort: { sequenceNumber: 1 }
+      // Now take the claim on the trackers for real. This is what stops two requests
+      // from the same IP or session both getting a coupon: only one of them gets the
+      // slot, and nothing below runs without it.
+      const slots = await acquireClaimSlots(campaign, ipAddress, sessionId, currentTime);
+      if (!slots) {
+        // Another claim got in between the check above and now
+        // (any challenge was passed above, so it doesn't count again)
+        const latest = await evaluateClaim({ ...abuseCheck, purpose: 'claim_retry' });
+        if (latest.action !== 'allow' && !needsChallenge(latest)) {
+          countClaim('denied', denialReason(latest), { rule: latest.rule });
+          return sendDecision(res, campaign, latest, currentTime);
         }
-      );
+        countClaim('denied', 'conflict');
+        return res.status(409).json({
+          message: 'Another claim is already in progress. Please try again.',
+          shouldRetry: true
+        });
+      }
 
-      if (!coupon) {
-        await checkAndReplenishCoupons();
-        const retryCoupon = await Coupon.findOneAndUpdate(
-          { isActive: true, claimedBy: null },
-          { 
-            claimedBy: ipAddress,
-            claimedAt: currentTime,
-            isActive: false
-          },
-          { 
-            new: true,
-            sort: { sequenceNumber: 1 }
-          }
-        );
-
-        if (!retryCoupon) {
-          return res.status(404).json({ 
-            message: 'No coupons available. Please try again later.',
-            shouldRetry: false
-          });
+      // Reserve the next available coupon. If the pool is empty, take back any
+      // reservations from claims that died and try once more. Topping the pool up is
+      // left to the replenish job, so this claim doesn't wait for coupons to be generated.
+      // The tracker slots are given back if we end up without a coupon.
+      let coupon;
+      try {
+        coupon = await reserveNextCoupon(campaign, ipAddress, sessionId, currentTime);
+        if (!coupon) {
+          await Coupon.releaseStaleReservations(currentTime);
+          coupon = await reserveNextCoupon(campaign, ipAddress, sessionId, currentTime);
         }
+      } catch (error) {
+        await releaseClaimSlots(slots);
+        throw error;
+      }
 
-        // Update trackers
-        await Promise.all([
-          updateTracker(ipAddress, 'ip', currentTime),
-          sessionId ? updateTracker(sessionId, 'session', currentTime) : null
-        ].filter(Boolean));
-
-        return res.json({
-          message: 'Coupon claimed successfully!',
-          coupon: retryCoupon.code,
-          sequenceNumber: retryCoupon.sequenceNumber,
-          claimTime: currentTime,
-          nextClaimTime: new Date(currentTime.getTime() + CLAIM_COOLDOWN),
-          cooldownPeriod: {
-            total: CLAIM_COOLDOWN,
-            formatted: formatTimeRemaining(CLAIM_COOLDOWN)
-          }
+      if (!coupon) {
+        await releaseClaimSlots(slots);
+        countClaim('denied', 'no_stock');
+        // Run the replenish job now rather than when it's next due
+        triggerJob('replenish-coupons');
+        return res.status(404).json({ 
+          message: 'No coupons available right now. More are on the way, please try again shortly.',
+          shouldRetry: true
         });
       }
 
-      // Update trackers
-      await Promise.all([
-        updateTracker(ipAddress, 'ip', currentTime),
-        sessionId ? updateTracker(sessionId, 'session', currentTime) : null
-      ].filter(Boolean));
+      try {
+        await completeClaim(coupon, currentTime);
+      } catch (error) {
+        await Promise.all([releaseReservation(coupon), releaseClaimSlots(slots)]);
+        throw error;
+      }
 
+      countClaim('success', null, { coupon });
+      notifyStockChanged(campaign._id);
+      refreshVisitorStreams(campaign, ipAddress, sessionId);
       res.json({
         message: 'Coupon claimed successfully!',
         coupon: coupon.code,
         sequenceNumber: coupon.sequenceNumber,
+        expiresAt: coupon.expiresAt,
+        campaign: campaign.toPublicJSON(),
         claimTime: currentTime,
-        nextClaimTime: new Date(currentTime.getTime() + CLAIM_COOLDOWN),
+        nextClaimTime: new Date(currentTime.getTime() + campaign.cooldownMs),
         cooldownPeriod: {
-          total: CLAIM_COOLDOWN,
-          formatted: formatTimeRemaining(CLAIM_COOLDOWN)
+          total: campaign.cooldownMs,
+          formatted: formatTimeRemaining(campaign.cooldownMs)
         }
       });
     } catch (error) {
-      console.error('Error claiming coupon:', error);
+      logger.error('Error claiming coupon', { error });
+      countClaim('error');
       res.status(500).json({ 
         message: 'Error claiming coupon',
-        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        error: config.server.nodeEnv === 'development' ? error.message : undefined
       });
     }
   },
@@ -201,174 +555,184 @@ const couponController = {
   // Check eligibility
   checkEligibility: async (req, res) => {
     try {
-      const ipAddress = req.ip;
+      const campaign = req.campaign;
+      const ipAddress = getClientIp(req);
       const currentTime = new Date();
-      const sessionId = req.cookies[COOKIE_NAME];
-      
-      console.log('Checking eligibility:', { ipAddress, sessionId, currentTime });
-
-      // Check both IP and session trackers
-      const [ipTracker, sessionTracker] = await Promise.all([
-        ClaimTracker.findOne({ 
-          identifier: ipAddress, 
-          type: 'ip',
-          nextClaimTime: { $gt: currentTime }
-        }),
-        sessionId ? ClaimTracker.findOne({ 
-          identifier: sessionId, 
-          type: 'session',
-          nextClaimTime: { $gt: currentTime }
-        }) : null
-      ]);
-
-      const availableCoupons = await Coupon.countDocuments({ isActive: true });
-      
-      // Get next sequence number
-      const nextCoupon = await Coupon.findOne(
-        { isActive: true, claimedBy: null },
-        { sequenceNumber: 1 },
-        { sort: { sequenceNumber: 1 } }
-      );
+      // Start the session here too, so the first claim already has one
+      const { id: sessionId } = ensureClaimSession(req, res);
+
+      logger.debug('Checking eligibility', { campaign: campaign.slug, ipAddress, sessionId });
 
       // Set proper response headers
       res.setHeader('Content-Type', 'application/json');
-      
-      // If no active cooldowns exist, user can claim
-      if (!ipTracker && !sessionTracker) {
-        return res.json({ 
-          canClaim: true,
-          remainingTime: {
-            total: 0,
-            formatted: "You can claim now"
-          },
-          totalClaims: 0,
-          availableCoupons,
-          nextSequenceNumber: nextCoupon?.sequenceNumber,
-          timestamp: currentTime.toISOString()
-        });
-      }
-
-      // Return the specific cooldown that's preventing the claim
-      if (ipTracker) {
-        const remainingMs = ipTracker.nextClaimTime.getTime() - currentTime.getTime();
-        return res.json({
-          canClaim: false,
-          remainingTime: {
-            total: remainingMs,
-            formatted: formatTimeRemaining(remainingMs)
-          },
-          lastClaimAt: ipTracker.lastClaimAt.toISOString(),
-          nextClaimTime: ipTracker.nextClaimTime.toISOString(),
-          totalClaims: ipTracker.claimCount,
-          trackerType: 'IP Address',
-          availableCoupons,
-          nextSequenceNumber: nextCoupon?.sequenceNumber,
-          timestamp: currentTime.toISOString()
-        });
-      }
-
-      if (sessionTracker) {
-        const remainingMs = sessionTracker.nextClaimTime.getTime() - currentTime.getTime();
-        return res.json({
-          canClaim: false,
-          remainingTime: {
-            total: remainingMs,
-            formatted: formatTimeRemaining(remainingMs)
-          },
-          lastClaimAt: sessionTracker.lastClaimAt.toISOString(),
-          nextClaimTime: sessionTracker.nextClaimTime.toISOString(),
-          totalClaims: sessionTracker.claimCount,
-          trackerType: 'Browser Session',
-          availableCoupons,
-          nextSequenceNumber: nextCoupon?.sequenceNumber,
-          timestamp: currentTime.toISOString()
-        });
-      }
-
-      // If no cooldown is active, allow claim
-      return res.json({
-        canClaim: true,
-        remainingTime: {
-          total: 0,
-          formatted: "You can claim now"
-        },
-        totalClaims: 0,
-        availableCoupons,
-        nextSequenceNumber: nextCoupon?.sequenceNumber,
-        timestamp: currentTime.toISOString()
-      });
+      res.json(await getEligibility(campaign, { ipAddress, sessionId, userAgent: req.get('User-Agent') }, currentTime));
     } catch (error) {
-      console.error('Error checking eligibility:', error);
+      logger.error('Error checking eligibility', { error });
       return res.status(500).json({ 
         message: 'Error checking eligibility',
-        error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+        error: config.server.nodeEnv === 'development' ? error.message : undefined,
         timestamp: new Date().toISOString()
       });
     }
   },
 
-  // Tells us how many coupons are left to claim
-  getRemainingCoupons: async (req, res) => {
+  // Live updates for the claim page as Server-Sent Events: an eligibility event
+  // straight away (the same as check-eligibility) and again when the visitor's
+  // cooldown runs out, and a stock event whenever the number of claimable coupons
+  // changes. Browsers reconnect by themselves if the stream drops.
+  streamUpdates: async (req, res) => {
+    const ipAddress = getClientIp(req);
+    if ((openStreams.get(ipAddress) || 0) >= config.stream.maxPerIp) {
+      return res.status(429).json({
+        message: 'Too many live update connections. Please close some tabs and try again.',
+        reason: 'too_many_streams'
+      });
+    }
+
+    let closed = false;
+    let refreshTimer = null;
+    let heartbeat = null;
+    let stopWatching = null;
+    let stream = null;
+
+    openStreams.set(ipAddress, (openStreams.get(ipAddress) || 0) + 1);
+    res.on('close', () => {
+      closed = true;
+      clearTimeout(refreshTimer);
+      clearInterval(heartbeat);
+      if (stopWatching) stopWatching();
+      streams.delete(stream);
+      const remaining = openStreams.get(ipAddress) - 1;
+      if (remaining > 0) openStreams.set(ipAddress, remaining);
+      else openStreams.delete(ipAddress);
+    });
+
     try {
-      const count = await Coupon.countDocuments({ isActive: true });
-      const nextCoupon = await Coupon.findOne(
-        { isActive: true, claimedBy: null },
-        { sequenceNumber: 1 },
-        { sort: { sequenceNumber: 1 } }
-      );
-      
-      // Make more if we're running low
-      const wasReplenished = await checkAndReplenishCoupons();
-      
-      res.json({ 
-        remainingCoupons: count,
-        nextSequenceNumber: nextCoupon?.sequenceNumber,
-        wasReplenished,
-        message: wasReplenished ? 'Coupons were automatically replenished' : null
+      const campaign = req.campaign;
+      const { id: sessionId } = ensureClaimSession(req, res);
+      const visitor = { ipAddress, sessionId, userAgent: req.get('User-Agent') };
+      const eligibility = await getEligibility(campaign, visitor, new Date());
+      // They may have gone while we were working that out
+      if (closed) return;
+
+      res.status(200).set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no' // Stops nginx-style proxies from holding events back
       });
+      res.flushHeaders();
+      res.write(`retry: ${STREAM_RETRY_MS}\n\n`);
+
+      const send = (event, data) => {
+        if (!closed) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+      };
+
+      // Sends the visitor's eligibility, and sends it again once their wait is over
+      const sendEligibility = (data) => {
+        if (closed) return;
+        send('eligibility', data);
+        clearTimeout(refreshTimer);
+        const waitMs = data.remainingTime.total;
+        if (waitMs > 0) {
+          refreshTimer = setTimeout(refreshEligibility, Math.min(waitMs + 500, MAX_STREAM_REFRESH_MS));
+        }
+      };
+      // The campaign is loaded again, in case it was changed while the stream was open
+      const refreshEligibility = async () => {
+        try {
+          const current = (await Campaign.findById(campaign._id)) || campaign;
+          sendEligibility(await getEligibility(current, visitor, new Date()));
+        } catch (error) {
+          logger.error('Error refreshing eligibility for a live stream', { error });
+        }
+      };
+
+      sendEligibility(eligibility);
+      stream = { campaignId: campaign._id.toString(), ipAddress, sessionId, refresh: refreshEligibility };
+      streams.add(stream);
+      stopWatching = watchStock(campaign, update => send('stock', update), eligibility.availableCoupons);
+      heartbeat = setInterval(() => {
+        if (!closed) res.write(': ping\n\n');
+      }, STREAM_HEARTBEAT_MS);
+
+      logger.debug('Live stream opened', { campaign: campaign.slug, ipAddress, sessionId });
     } catch (error) {
-      console.error('Error getting remaining coupons:', error);
-      res.status(500).json({ message: 'Error getting remaining coupons' });
+      logger.error('Error opening live stream', { error });
+      if (!res.headersSent) {
+        return res.status(500).json({ message: 'Error opening live updates' });
+      }
+      res.end();
     }
   },
 
-  // Shows all coupons, with pagination so we don't overload things
-  getAllCoupons: async (req, res) => {
+  // Used by the checkout service to burn a claimed coupon against an order.
+  // Safe to retry: redeeming the same code for the same order again gives the same answer.
+  redeemCoupon: async (req, res) => {
     try {
-      const page = parseInt(req.query.page) || 1;
-      const limit = parseInt(req.query.limit) || 10;
-      const skip = (page - 1) * limit;
-
-      const coupons = await Coupon.find({})
-        .sort({ sequenceNumber: 1 })
-        .skip(skip)
-        .limit(limit);
+      const code = typeof req.body.code === 'string' ? req.body.code.trim().toUpperCase() : '';
+      const orderId = req.body.orderId ? String(req.body.orderId) : '';
+      if (!code || !orderId) {
+        return res.status(400).json({ message: 'code and orderId are required', reason: 'invalid_request' });
+      }
 
-      const total = await Coupon.countDocuments();
-      const activeCoupons = await Coupon.countDocuments({ isActive: true });
-      const claimedCoupons = await Coupon.countDocuments({ isActive: false });
+      const currentTime = new Date();
 
-      res.json({
-        coupons,
-        pagination: {
-          currentPage: page,
-          totalPages: Math.ceil(total / limit),
-          totalCoupons: total,
-          activeCoupons,
-          claimedCoupons
+      // Only a claimed, unexpired coupon can be redeemed, and only once. Doing the check
+      // and the update in one step means two checkouts can't both redeem the same code.
+      const redeemed = await Coupon.findOneAndUpdate(
+        { code, status: 'claimed', $or: [{ expiresAt: null }, { expiresAt: { $gt: currentTime } }] },
+        {
+          status: 'redeemed',
+          redeemedAt: currentTime,
+          redemption: { orderId, redeemedBy: req.admin.name }
         },
-        stats: {
-          totalCoupons: total,
-          activeCoupons,
-          claimedCoupons,
-          usagePercentage: ((claimedCoupons / total) * 100).toFixed(2) + '%'
-        }
-      });
+        { new: true }
+      ).populate('campaign');
+
+      if (redeemed) {
+        logger.info('Coupon redeemed', { code, orderId, by: req.admin.name });
+        return res.json({
+          message: 'Coupon redeemed successfully!',
+          alreadyRedeemed: false,
+          ...toRedemptionJSON(redeemed, redeemed.campaign)
+        });
+      }
+
+      // Didn't redeem, so work out why
+      const coupon = await Coupon.findOne({ code }).populate('campaign');
+      let reason;
+      if (!coupon) {
+        reason = 'unknown_code';
+      } else if (coupon.status === 'redeemed' && coupon.redemption.orderId === orderId) {
+        // A retry of a redemption that already went through
+        return res.json({
+          message: 'Coupon was already redeemed for this order.',
+          alreadyRedeemed: true,
+          ...toRedemptionJSON(coupon, coupon.campaign)
+        });
+      } else if (coupon.status === 'redeemed') {
+        reason = 'already_redeemed';
+      } else if (coupon.status === 'expired' || coupon.status === 'voided') {
+        reason = coupon.status;
+      } else if (coupon.status === 'claimed' && coupon.isPastExpiry(currentTime)) {
+        // Past its expiry but the sweep hasn't got to it yet
+        reason = 'expired';
+      } else {
+        reason = 'not_claimed';
+      }
+
+      logger.info('Redemption refused', { code, orderId, reason });
+      const { status, message } = REDEEM_ERRORS[reason];
+      res.status(status).json({ message, reason, code });
     } catch (error) {
-      console.error('Error getting all coupons:', error);
-      res.status(500).json({ message: 'Error getting coupons' });
+      logger.error('Error redeeming coupon', { error });
+      res.status(500).json({ 
+        message: 'Error redeeming coupon',
+        error: config.server.nodeEnv === 'development' ? error.message : undefined
+      });
     }
   }
 };
 
-module.exports = couponController; 
\ No newline at end of file
+module.exports = couponController;
@@ -0,0 +1,185 @@
+const mongoose = require('mongoose');
+const IpRule = require('../models/IpRule');
+const { parseIp } = require('../utils/ipAddress');
+const { invalidateIpLists } = require('../utils/ipLists');
+const { checkIpLists } = require('../abuse');
+const { logger } = require('../utils/logger');
+
+const toIpRuleJSON = (rule, now = new Date()) => ({
+  id: rule._id,
+  range: rule.range,
+  list: rule.list,
+  reason: rule.reason,
+  expiresAt: rule.expiresAt,
+  active: rule.isActive(now),
+  createdBy: rule.createdBy,
+  createdAt: rule.createdAt,
+  updatedAt: rule.updatedAt
+});
+
+// Reads the expiry from a request body: an expiresAt date, or durationMinutes from now.
+// Returns { expiresAt } (null for permanent), { error } if it can't be used, or {} if neither was given.
+const readExpiry = ({ expiresAt, durationMinutes }, now = new Date()) => {
+  if (durationMinutes !== undefined && durationMinutes !== null) {
+    const minutes = Number(durationMinutes);
+    if (!Number.isFinite(minutes) || minutes <= 0) {
+      return { error: 'durationMinutes must be a positive number' };
+    }
+    return { expiresAt: new Date(now.getTime() + minutes * 60 * 1000) };
+  }
+  if (expiresAt === null) return { expiresAt: null };
+  if (expiresAt !== undefined) {
+    const expiry = new Date(expiresAt);
+    if (isNaN(expiry.getTime()) || expiry <= now) {
+      return { error: 'expiresAt must be a date in the future' };
+    }
+    return { expiresAt: expiry };
+  }
+  return {};
+};
+
+const ipRuleController = {
+  // Lists blocklist and allowlist entries, optionally just one list.
+  // Expired entries Mongo hasn't removed yet are left out unless includeExpired=true.
+  listIpRules: async (req, res) => {
+    try {
+      const { list, includeExpired } = req.query;
+      if (list && !IpRule.LISTS.includes(list)) {
+        return res.status(400).json({ message: `list must be one of: ${IpRule.LISTS.join(', ')}` });
+      }
+
+      const now = new Date();
+      const query = includeExpired === 'true' ? IpRule.find({}) : IpRule.findActive(now);
+      if (list) query.where({ list });
+      const rules = await query.sort({ list: 1, createdAt: -1 });
+
+      res.json({ ipRules: rules.map(rule => toIpRuleJSON(rule, now)) });
+    } catch (error) {
+      logger.error('Error listing IP rules', { error });
+      res.status(500).json({ message: 'Error listing IP rules' });
+    }
+  },
+
+  // Adds an address or range to the blocklist or allowlist
+  createIpRule: async (req, res) => {
+    try {
+      const { range, list, reason = '' } = req.body;
+      if (!range) {
+        return res.status(400).json({ message: 'range is required' });
+      }
+      if (!IpRule.LISTS.includes(list)) {
+        return res.status(400).json({ message: `list must be one of: ${IpRule.LISTS.join(', ')}` });
+      }
+
+      const expiry = readExpiry(req.body);
+      if (expiry.error) {
+        return res.status(400).json({ message: expiry.error });
+      }
+
+      const rule = new IpRule({
+        range,
+        list,
+        reason,
+        expiresAt: expiry.expiresAt || null,
+        createdBy: req.admin.name
+      });
+      try {
+        await rule.validate();
+      } catch (error) {
+        return res.status(400).json({ message: error.errors?.range?.message || error.message });
+      }
+      await rule.save();
+      invalidateIpLists();
+
+      logger.info('IP rule added', { by: req.admin.name, list: rule.list, range: rule.range });
+      res.status(201).json({ ipRule: toIpRuleJSON(rule) });
+    } catch (error) {
+      if (error.code === 11000) {
+        return res.status(409).json({ message: 'That range is already on this list' });
+      }
+      logger.error('Error creating IP rule', { error });
+      res.status(500).json({ message: 'Error creating IP rule' });
+    }
+  },
+
+  // Changes an entry's reason or expiry. expiresAt: null makes it permanent.
+  updateIpRule: async (req, res) => {
+    try {
+      if (!mongoose.isValidObjectId(req.params.id)) {
+        return res.status(400).json({ message: 'Invalid IP rule id' });
+      }
+
+      const rule = await IpRule.findById(req.params.id);
+      if (!rule) {
+        return res.status(404).json({ message: 'IP rule not found' });
+      }
+
+      const expiry = readExpiry(req.body);
+      if (expiry.error) {
+        return res.status(400).json({ message: expiry.error });
+      }
+      if (expiry.expiresAt !== undefined) rule.expiresAt = expiry.expiresAt;
+      if (req.body.reason !== undefined) rule.reason = req.body.reason;
+
+      await rule.save();
+      invalidateIpLists();
+
+      res.json({ ipRule: toIpRuleJSON(rule) });
+    } catch (error) {
+      logger.error('Error updating IP rule', { error });
+      res.status(500).json({ message: 'Error updating IP rule' });
+    }
+  },
+
+  // Takes an entry off its list
+  deleteIpRule: async (req, res) => {
+    try {
+      if (!mongoose.isValidObjectId(req.params.id)) {
+        return res.status(400).json({ message: 'Invalid IP rule id' });
+      }
+
+      const rule = await IpRule.findByIdAndDelete(req.params.id);
+      if (!rule) {
+        return res.status(404).json({ message: 'IP rule not found' });
+      }
+      invalidateIpLists();
+
+      logger.info('IP rule removed', { by: req.admin.name, list: rule.list, range: rule.range });
+      res.json({ message: 'IP rule deleted', ipRule: toIpRuleJSON(rule) });
+    } catch (error) {
+      logger.error('Error deleting IP rule', { error });
+      res.status(500).json({ message: 'Error deleting IP rule' });
+    }
+  },
+
+  // Shows which entries an address matches, to answer "why can't this person claim?"
+  checkIp: async (req, res) => {
+    try {
+      const { ip } = req.query;
+      if (!parseIp(ip)) {
+        return res.status(400).json({ message: 'ip must be an IPv4 or IPv6 address' });
+      }
+
+      const { allowed, blocked } = await checkIpLists(ip);
+      const describe = (rule) => rule && {
+        id: rule._id || null, // Entries from ABUSE_BLOCKLIST aren't in the database
+        range: rule.range,
+        reason: rule.reason,
+        expiresAt: rule.expiresAt
+      };
+
+      res.json({
+        ip,
+        allowed: describe(allowed),
+        blocked: describe(blocked),
+        // Allowlist entries win over blocklist ones
+        listed: allowed ? 'allowed' : blocked ? 'blocked' : null
+      });
+    } catch (error) {
+      logger.error('Error checking IP address', { error });
+      res.status(500).json({ message: 'Error checking IP address' });
+    }
+  }
+};
+
+module.exports = ipRuleController;
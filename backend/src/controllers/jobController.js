@@ -0,0 +1,41 @@
+const { runJob, getJobStatuses, getJobNames } = require('../utils/jobs');
+const { logger } = require('../utils/logger');
+
+const jobController = {
+  // Every background job, when it runs, and how its last run went
+  listJobs: async (req, res) => {
+    try {
+      res.json({ jobs: await getJobStatuses() });
+    } catch (error) {
+      logger.error('Error listing background jobs', { error });
+      res.status(500).json({ message: 'Error listing background jobs' });
+    }
+  },
+
+  // Runs a job now instead of waiting for it to come round, and answers once it's done
+  runJob: async (req, res) => {
+    try {
+      const { name } = req.params;
+      if (!getJobNames().includes(name)) {
+        return res.status(404).json({ message: `Unknown job. Jobs are: ${getJobNames().join(', ')}` });
+      }
+
+      const outcome = await runJob(name, { force: true });
+      if (!outcome.ran) {
+        return res.status(409).json({ message: 'That job is running right now. Please try again when it has finished.' });
+      }
+
+      logger.info('Background job run by hand', { job: name, by: req.admin.name });
+      const job = (await getJobStatuses()).find(status => status.name === name);
+      if (outcome.error) {
+        return res.status(500).json({ message: `The job failed: ${outcome.error.message}`, job });
+      }
+      res.json({ result: outcome.result, job });
+    } catch (error) {
+      logger.error('Error running background job', { error });
+      res.status(500).json({ message: 'Error running background job' });
+    }
+  }
+};
+
+module.exports = jobController;
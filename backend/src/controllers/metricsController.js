@@ -0,0 +1,28 @@
+const { renderMetrics } = require('../utils/metrics');
+const { safeEqual } = require('../utils/tokens');
+const { config } = require('../config');
+const { logger } = require('../utils/logger');
+
+const metricsController = {
+  // Metrics in Prometheus text format. With METRICS_TOKEN set, scrapers have to send
+  // it as a bearer token (bearer_token in the Prometheus scrape config).
+  getMetrics: async (req, res) => {
+    try {
+      const token = config.metrics.token;
+      if (token) {
+        const [scheme, given] = (req.get('Authorization') || '').split(' ');
+        if (scheme !== 'Bearer' || !given || !safeEqual(given, token)) {
+          return res.status(401).json({ message: 'A valid metrics token is required' });
+        }
+      }
+
+      res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+      res.send(await renderMetrics());
+    } catch (error) {
+      logger.error('Error collecting metrics', { error });
+      res.status(500).json({ message: 'Error collecting metrics' });
+    }
+  }
+};
+
+module.exports = metricsController;
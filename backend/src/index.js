@@ -1,5 +1,5 @@
-// Load our environment variables from .env file
-require('dotenv').config();
+// Load and check our settings first (this also reads the .env file)
+const { config } = require('./config');
 
 // Import all the packages we need
 const express = require('express');
@@ -8,57 +8,79 @@ const cookieParser = require('cookie-parser');
 const rateLimit = require('express-rate-limit');
 const mongoose = require('mongoose');
 const couponRoutes = require('./routes/couponRoutes');
+const campaignRoutes = require('./routes/campaignRoutes');
+const adminRoutes = require('./routes/adminRoutes');
+const { runMigrations } = require('./utils/migrations');
+const { startScheduler } = require('./utils/jobs');
+const { isTrustedProxy } = require('./utils/clientIp');
+const { logger } = require('./utils/logger');
+const { requestContext } = require('./middleware/requestContext');
+const metricsController = require('./controllers/metricsController');
 
 // Create our Express app and set the port
 const app = express();
-const PORT = process.env.PORT || 5000;
+const PORT = config.server.port;
+
+// Only believe X-Forwarded-For when it comes from one of our own proxies (see
+// TRUSTED_PROXIES), so req.ip is the real client and can't be spoofed
+app.set('trust proxy', isTrustedProxy);
 
 // Set up CORS to control which websites can access our API
 const corsOptions = {
-  origin: [
-    'https://the-sales-studio.vercel.app',
-    'https://the-sales-studio-pl7as4ncp-surajs-projects-6ee14365.vercel.app',
-    'http://localhost:3000'
-  ],
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
+  origin: config.server.corsOrigins,
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Request-Id'],
+  // Lets the frontend read the request ID, so a problem a user reports can be found in the logs
+  exposedHeaders: ['X-Request-Id'],
   credentials: true
 };
 
+// Give every request an ID and log it when it's done (this goes first so even
+// requests turned away by CORS or the rate limiter show up)
+app.use(requestContext);
+
 // Set up security and basic app settings
 app.use(cors(corsOptions));
 app.options('*', cors(corsOptions));
+
+// Coupon imports can be a lot bigger than any other request, so they get their own limit
+const IMPORT_BODY_LIMIT = '5mb';
+app.use('/api/admin/coupons/import',
+  express.json({ limit: IMPORT_BODY_LIMIT }),
+  express.text({ type: ['text/csv', 'text/plain'], limit: IMPORT_BODY_LIMIT })
+);
 app.use(express.json());
 app.use(cookieParser());
 
-// Prevent people from spamming our API (max 100 requests per 15 minutes)
+// Prometheus metrics. This comes before the rate limiter so scrapes never get turned away.
+app.get('/metrics', metricsController.getMetrics);
+
+// Prevent people from spamming our API (by default max 100 requests per 15 minutes)
 const limiter = rateLimit({
-  windowMs: 15 * 60 * 1000,
-  max: 100
+  windowMs: config.rateLimit.windowMs,
+  max: config.rateLimit.max
 });
 app.use(limiter);
 
 // Connect to our database
-console.log('Attempting to connect to MongoDB...');
-mongoose.connect(process.env.MONGODB_URI, {
+logger.info('Connecting to MongoDB');
+mongoose.connect(config.database.uri, {
   serverSelectionTimeoutMS: 5000,
   socketTimeoutMS: 45000,
 })
 .then(() => {
-  console.log('Successfully connected to MongoDB.');
-  console.log('Connection Details:', {
+  logger.info('Connected to MongoDB', {
     host: mongoose.connection.host,
     port: mongoose.connection.port,
-    name: mongoose.connection.name
+    database: mongoose.connection.name
   });
+  return runMigrations();
+})
+.then(() => {
+  startScheduler();
 })
 .catch(err => {
-  console.error('MongoDB connection error details:', {
-    name: err.name,
-    message: err.message,
-    code: err.code
-  });
-  console.log('Application will continue running without MongoDB connection');
+  logger.error('MongoDB connection failed, continuing without it', { error: err });
 });
 
 // Set up our API endpoints
@@ -77,12 +99,15 @@ app.get('/api/health', (req, res) => {
 
 // Hook up our coupon-related routes
 app.use('/api/coupons', couponRoutes);
+app.use('/api/campaigns', campaignRoutes);
+
+// Admin-only routes for managing the coupon inventory
+app.use('/api/admin', adminRoutes);
 
 // Handle any errors that occur in our app
 app.use((err, req, res, next) => {
-  console.error('Error:', {
-    name: err.name,
-    message: err.message,
+  logger.error('Unhandled error', {
+    error: err,
     path: req.path,
     method: req.method,
     origin: req.headers.origin
@@ -90,13 +115,16 @@ app.use((err, req, res, next) => {
   res.status(500).json({ 
     message: 'Internal server error. Please try again later.',
     type: err.name,
-    path: req.path
+    path: req.path,
+    requestId: req.id
   });
 });
 
 // Start our server and log some helpful info
 app.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
-  console.log('Environment:', process.env.NODE_ENV);
-  console.log('Allowed Origin:', 'https://the-sales-studio.vercel.app');
+  logger.info('Server running', {
+    port: PORT,
+    environment: config.server.nodeEnv,
+    allowedOrigins: config.server.corsOrigins
+  });
 }); 
\ No newline at end of file
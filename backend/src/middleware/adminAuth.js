@@ -0,0 +1,63 @@
+const AdminUser = require('../models/AdminUser');
+const ApiKey = require('../models/ApiKey');
+const { verifyToken } = require('../utils/tokens');
+const { config } = require('../config');
+const { logger } = require('../utils/logger');
+
+// Works out who is calling from either a session token or an API key:
+//   Authorization: Bearer <session token from /api/admin/auth/login>
+//   X-API-Key: ssk_...   (or Authorization: Bearer ssk_...)
+const identify = async (req) => {
+  const [scheme, bearer] = (req.headers.authorization || '').split(' ');
+  const token = scheme === 'Bearer' ? bearer : null;
+  const plainKey = req.headers['x-api-key'] || (token && token.startsWith('ssk_') ? token : null);
+
+  if (plainKey) {
+    const apiKey = await ApiKey.findByPlainKey(plainKey);
+    if (!apiKey || !apiKey.isUsable()) return null;
+
+    // Not worth making the request wait for this
+    ApiKey.updateOne({ _id: apiKey._id }, { lastUsedAt: new Date() })
+      .catch(error => logger.error('Error updating API key usage', { error }));
+
+    return { type: 'apiKey', id: apiKey._id, name: apiKey.name, role: apiKey.role };
+  }
+
+  const secret = config.admin.tokenSecret;
+  const payload = token && secret ? verifyToken(token, secret) : null;
+  if (!payload) return null;
+
+  // Look the user up every time so disabling them or changing their role takes effect straight away
+  const user = await AdminUser.findById(payload.sub);
+  if (!user || !user.isActive || user.tokenVersion !== payload.ver) return null;
+
+  return { type: 'user', id: user._id, name: user.email, role: user.role };
+};
+
+// Only lets authenticated operators through, and puts who they are on req.admin
+const requireAdmin = async (req, res, next) => {
+  try {
+    const admin = await identify(req);
+    if (!admin) {
+      return res.status(401).json({ message: 'Admin authentication required' });
+    }
+
+    req.admin = admin;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Only lets operators with at least the given role through. Use after requireAdmin.
+const requireRole = (role) => (req, res, next) => {
+  if (!req.admin || !AdminUser.hasRole(req.admin.role, role)) {
+    return res.status(403).json({ message: `This action needs the ${role} role` });
+  }
+  next();
+};
+
+module.exports = {
+  requireAdmin,
+  requireRole
+};
@@ -0,0 +1,31 @@
+const Campaign = require('../models/Campaign');
+
+// Attaches the default campaign to the request, so the original
+// /api/coupons routes keep working exactly as before
+const loadDefaultCampaign = async (req, res, next) => {
+  try {
+    req.campaign = await Campaign.getDefault();
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Looks up the campaign named in the URL (/api/campaigns/:slug/...)
+const loadCampaignBySlug = async (req, res, next) => {
+  try {
+    const campaign = await Campaign.findOne({ slug: req.params.slug.toLowerCase() });
+    if (!campaign) {
+      return res.status(404).json({ message: 'Campaign not found' });
+    }
+    req.campaign = campaign;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  loadDefaultCampaign,
+  loadCampaignBySlug
+};
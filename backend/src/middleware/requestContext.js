@@ -0,0 +1,39 @@
+const crypto = require('crypto');
+const { logger, runWithRequestId } = require('../utils/logger');
+
+// Something a proxy or the frontend could have sent us as a request ID. Anything
+// else is ignored so it can't be used to stuff junk into the logs.
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._-]{8,64}$/;
+
+// Gives every request an ID (or keeps the X-Request-Id it came with), sends it back
+// in the X-Request-Id header, attaches it to everything logged while handling the
+// request, and logs one line when the response is done.
+const requestContext = (req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  const requestId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  const startedAt = process.hrtime.bigint();
+
+  req.id = requestId;
+  res.setHeader('X-Request-Id', requestId);
+
+  res.on('finish', () => {
+    runWithRequestId(requestId, () => {
+      const status = res.statusCode;
+      const fields = {
+        method: req.method,
+        path: req.originalUrl.split('?')[0],
+        status,
+        durationMs: Number((process.hrtime.bigint() - startedAt) / 1000000n),
+        ip: req.ip
+      };
+      if (status >= 500) logger.error('Request failed', fields);
+      else logger.info('Request handled', fields);
+    });
+  });
+
+  runWithRequestId(requestId, next);
+};
+
+module.exports = {
+  requestContext
+};
@@ -0,0 +1,93 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+const mongoose = require('mongoose');
+
+const scrypt = promisify(crypto.scrypt);
+
+// Roles from least to most powerful. Each role can do everything the ones before it can.
+const ROLES = ['viewer', 'operator', 'owner'];
+const MIN_PASSWORD_LENGTH = 12;
+const KEY_LENGTH = 64;
+
+// An operator who can sign in to the admin API
+const adminUserSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  name: {
+    type: String,
+    default: ''
+  },
+  passwordHash: {
+    type: String,
+    required: true // Stored as scrypt$salt$hash, never the password itself
+  },
+  role: {
+    type: String,
+    enum: ROLES,
+    default: 'viewer'
+  },
+  isActive: {
+    type: Boolean,
+    default: true // Disabled users can't sign in and their sessions stop working
+  },
+  tokenVersion: {
+    type: Number,
+    default: 0 // Bumped on password change so old session tokens stop working
+  },
+  lastLoginAt: {
+    type: Date,
+    default: null
+  }
+}, { timestamps: true });
+
+// Hashes and stores a new password
+adminUserSchema.methods.setPassword = async function (password) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    throw new Error(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = await scrypt(password, salt, KEY_LENGTH);
+  this.passwordHash = `scrypt$${salt}$${hash.toString('hex')}`;
+  this.tokenVersion += 1;
+};
+
+// Checks a password against the stored hash
+adminUserSchema.methods.verifyPassword = async function (password) {
+  const [scheme, salt, storedHash] = (this.passwordHash || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !storedHash || typeof password !== 'string') {
+    return false;
+  }
+
+  const expected = Buffer.from(storedHash, 'hex');
+  const hash = await scrypt(password, salt, KEY_LENGTH);
+  return expected.length === hash.length && crypto.timingSafeEqual(hash, expected);
+};
+
+// What we send back to the admin UI - no password hash
+adminUserSchema.methods.toSafeJSON = function () {
+  return {
+    id: this._id,
+    email: this.email,
+    name: this.name,
+    role: this.role,
+    isActive: this.isActive,
+    lastLoginAt: this.lastLoginAt,
+    createdAt: this.createdAt
+  };
+};
+
+const AdminUser = mongoose.model('AdminUser', adminUserSchema);
+
+AdminUser.ROLES = ROLES;
+AdminUser.MIN_PASSWORD_LENGTH = MIN_PASSWORD_LENGTH;
+
+// True if `role` is at least as powerful as `requiredRole`
+AdminUser.hasRole = (role, requiredRole) => ROLES.indexOf(role) >= ROLES.indexOf(requiredRole);
+
+module.exports = AdminUser;
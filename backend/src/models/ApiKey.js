@@ -0,0 +1,102 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { sha256 } = require('../utils/tokens');
+const { ROLES } = require('./AdminUser');
+
+const KEY_PREFIX = 'ssk';
+
+// A long-lived key for scripts and other services to call the admin API.
+// We only store a hash of the secret part, so a key can't be recovered once it's shown.
+const apiKeySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true // Something to tell keys apart, e.g. "nightly export job"
+  },
+  keyId: {
+    type: String,
+    required: true,
+    unique: true // The public part of the key, used to look it up
+  },
+  keyHash: {
+    type: String,
+    required: true
+  },
+  role: {
+    type: String,
+    enum: ROLES,
+    default: 'viewer'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AdminUser',
+    default: null
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    default: null // null means the key never expires
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, { timestamps: true });
+
+// Whether this key can still be used right now
+apiKeySchema.methods.isUsable = function (now = new Date()) {
+  if (this.revokedAt) return false;
+  if (this.expiresAt && this.expiresAt <= now) return false;
+  return true;
+};
+
+apiKeySchema.methods.toSafeJSON = function () {
+  return {
+    id: this._id,
+    name: this.name,
+    keyId: this.keyId,
+    role: this.role,
+    createdBy: this.createdBy,
+    lastUsedAt: this.lastUsedAt,
+    expiresAt: this.expiresAt,
+    revokedAt: this.revokedAt,
+    createdAt: this.createdAt
+  };
+};
+
+// Makes a new key. The plain key is only returned here - it's never stored.
+// Keys look like ssk_<keyId>_<secret>
+apiKeySchema.statics.issue = async function ({ name, role, createdBy, expiresAt }) {
+  const keyId = crypto.randomBytes(6).toString('hex');
+  const secret = crypto.randomBytes(32).toString('hex');
+  const plainKey = `${KEY_PREFIX}_${keyId}_${secret}`;
+
+  const apiKey = await this.create({
+    name,
+    keyId,
+    keyHash: sha256(plainKey),
+    role,
+    createdBy,
+    expiresAt
+  });
+
+  return { apiKey, plainKey };
+};
+
+// Finds the key matching a plain key, or null if it doesn't match anything
+apiKeySchema.statics.findByPlainKey = async function (plainKey) {
+  const [prefix, keyId, secret] = String(plainKey).split('_');
+  if (prefix !== KEY_PREFIX || !keyId || !secret) return null;
+
+  const apiKey = await this.findOne({ keyId });
+  if (!apiKey) return null;
+
+  const expected = Buffer.from(apiKey.keyHash, 'hex');
+  const actual = Buffer.from(sha256(plainKey), 'hex');
+  return crypto.timingSafeEqual(expected, actual) ? apiKey : null;
+};
+
+module.exports = mongoose.model('ApiKey', apiKeySchema);
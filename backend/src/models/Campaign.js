@@ -0,0 +1,174 @@
+const mongoose = require('mongoose');
+const { getFormatError, normalizeFormat } = require('../utils/codeFormats');
+const { SCOPES, MAX_LIMIT, describeLimit } = require('../utils/claimLimits');
+const { config } = require('../config');
+
+const DEFAULT_CAMPAIGN_SLUG = 'default';
+const DEFAULT_COOLDOWN_MS = config.claims.cooldownMs; // CLAIM_COOLDOWN_MINUTES, 30 seconds unless set
+
+// A campaign is one promotion with its own coupon pool and its own claim rules
+const campaignSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  slug: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: /^[a-z0-9]+(?:-[a-z0-9]+)*$/ // Used in URLs, so keep it simple: spring-sale-2024
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  startsAt: {
+    type: Date,
+    default: null // null means the campaign is open straight away
+  },
+  endsAt: {
+    type: Date,
+    default: null // null means the campaign never ends
+  },
+  cooldownMs: {
+    type: Number,
+    default: DEFAULT_COOLDOWN_MS,
+    min: 0
+  },
+  maxClaimsPerUser: {
+    type: Number,
+    default: null, // null means no cap, only the cooldown applies
+    min: 1
+  },
+  // Finer-grained caps, e.g. 3 per IP per 24h and 10 per session ever.
+  // These apply on top of the cooldown and maxClaimsPerUser.
+  claimLimits: [{
+    _id: false,
+    scope: {
+      type: String,
+      enum: SCOPES, // ip, session, or any for both
+      required: true
+    },
+    max: {
+      type: Number,
+      required: true,
+      min: 1,
+      max: MAX_LIMIT
+    },
+    windowMs: {
+      type: Number,
+      default: null, // null means a lifetime limit, otherwise a rolling window
+      min: 1000
+    }
+  }],
+  discount: {
+    type: {
+      type: String,
+      enum: ['percentage', 'fixed', 'free_shipping'],
+      default: null
+    },
+    value: {
+      type: Number,
+      default: null
+    },
+    currency: {
+      type: String,
+      default: null
+    },
+    minimumPurchase: {
+      type: Number,
+      default: null
+    }
+  },
+  // How this campaign's generated codes look. Anything left unset falls back to
+  // the original format: 8 random characters from A-Z and 0-9.
+  codeFormat: {
+    alphabet: String, // "alphanumeric", "unambiguous", "letters", "digits" or a custom set of characters
+    length: Number, // Number of random characters (ignored when there's a template)
+    template: String, // e.g. SPRING-XXXX-XXXX, where each X is a random character
+    prefix: String,
+    suffix: String,
+    groupSize: Number, // Split the random part into groups of this size, e.g. ABCD-EFGH
+    separator: String,
+    checkDigit: Boolean // Add a Luhn mod N check character so typos can be caught
+  },
+  isActive: {
+    type: Boolean,
+    default: true // Lets us switch a campaign off without deleting it
+  }
+}, { timestamps: true });
+
+campaignSchema.pre('validate', function (next) {
+  if (this.startsAt && this.endsAt && this.endsAt <= this.startsAt) {
+    this.invalidate('endsAt', 'endsAt must be after startsAt');
+  }
+
+  const formatError = getFormatError(this.getCodeFormat());
+  if (formatError) {
+    this.invalidate('codeFormat', formatError);
+  }
+  next();
+});
+
+// The campaign's code format with all the defaults filled in
+campaignSchema.methods.getCodeFormat = function () {
+  const { codeFormat = {} } = this.toObject();
+  return normalizeFormat(codeFormat);
+};
+
+// Every claim limit for this campaign, with maxClaimsPerUser as a lifetime limit
+campaignSchema.methods.getClaimLimits = function () {
+  const limits = this.claimLimits.map(({ scope, max, windowMs }) => ({ scope, max, windowMs }));
+  if (this.maxClaimsPerUser) {
+    limits.push({ scope: 'any', max: this.maxClaimsPerUser, windowMs: null });
+  }
+  return limits;
+};
+
+// Tells us whether people can claim from this campaign right now, and if not, why
+campaignSchema.methods.getClaimWindowStatus = function (now = new Date()) {
+  if (!this.isActive) return { open: false, reason: 'inactive' };
+  if (this.startsAt && now < this.startsAt) return { open: false, reason: 'not_started' };
+  if (this.endsAt && now >= this.endsAt) return { open: false, reason: 'ended' };
+  return { open: true };
+};
+
+// The bits of a campaign that are safe to show to anonymous users
+campaignSchema.methods.toPublicJSON = function () {
+  return {
+    name: this.name,
+    slug: this.slug,
+    description: this.description,
+    startsAt: this.startsAt,
+    endsAt: this.endsAt,
+    cooldownMs: this.cooldownMs,
+    maxClaimsPerUser: this.maxClaimsPerUser,
+    claimLimits: this.getClaimLimits().map(limit => ({ ...limit, description: describeLimit(limit) })),
+    discount: this.discount,
+    codeFormat: this.getCodeFormat()
+  };
+};
+
+// Finds the default campaign, creating it the first time it's needed
+campaignSchema.statics.getDefault = function () {
+  return this.findOneAndUpdate(
+    { slug: DEFAULT_CAMPAIGN_SLUG },
+    {
+      $setOnInsert: {
+        name: 'Default Campaign',
+        slug: DEFAULT_CAMPAIGN_SLUG,
+        cooldownMs: DEFAULT_COOLDOWN_MS
+      }
+    },
+    { new: true, upsert: true }
+  );
+};
+
+const Campaign = mongoose.model('Campaign', campaignSchema);
+
+Campaign.DEFAULT_CAMPAIGN_SLUG = DEFAULT_CAMPAIGN_SLUG;
+
+module.exports = Campaign;
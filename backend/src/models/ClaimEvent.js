@@ -0,0 +1,123 @@
+const mongoose = require('mongoose');
+const { config } = require('../config');
+const { subnetOf } = require('../utils/ipAddress');
+const { hashIdentifier } = require('../utils/logger');
+
+// Events are deleted this long after they happened (CLAIM_EVENT_RETENTION_DAYS)
+const RETENTION_SECONDS = Math.round(config.claims.eventRetentionDays * 24 * 60 * 60);
+
+const OUTCOMES = ['success', 'denied', 'error'];
+
+// One claim attempt, whatever happened to it. Events are only ever added, never
+// changed, so they're a record of what each visitor tried and what they were told.
+// IP addresses are stored as keyed hashes (the same ones the logs use), so an
+// address can be looked up without the collection holding anyone's real address.
+const claimEventSchema = new mongoose.Schema({
+  campaign: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Campaign',
+    required: true
+  },
+  outcome: {
+    type: String,
+    required: true,
+    enum: OUTCOMES
+  },
+  reason: {
+    type: String,
+    default: null // Why the claim was denied, e.g. ip_cooldown or no_stock
+  },
+  rule: {
+    type: String,
+    default: null // The abuse rule that denied it, if one did
+  },
+  ipHash: {
+    type: String,
+    default: null
+  },
+  subnetHash: {
+    type: String,
+    default: null // The /24 (or IPv6 /64) the address is in, hashed the same way
+  },
+  sessionId: {
+    type: String,
+    default: null // The claim session, the same as on the coupon it got
+  },
+  userAgent: {
+    type: String,
+    default: null
+  },
+  coupon: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Coupon',
+    default: null // The coupon handed out, for successful claims
+  },
+  latencyMs: {
+    type: Number,
+    default: null // How long the claim took to answer
+  },
+  requestId: {
+    type: String,
+    default: null // Matches the request's X-Request-Id and its log lines
+  }
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+claimEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: RETENTION_SECONDS });
+claimEventSchema.index({ campaign: 1, createdAt: -1 });
+claimEventSchema.index({ ipHash: 1, createdAt: -1 });
+claimEventSchema.index({ subnetHash: 1, createdAt: -1 });
+claimEventSchema.index({ sessionId: 1, createdAt: -1 });
+claimEventSchema.index({ outcome: 1, reason: 1, createdAt: -1 });
+
+// Nothing is allowed to change an event once it's written
+const refuseChange = function () {
+  throw new Error('Claim events cannot be changed');
+};
+claimEventSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'], refuseChange);
+claimEventSchema.pre('save', function () {
+  if (!this.isNew) refuseChange();
+});
+
+// Records a claim attempt. The IP address is hashed here and never stored.
+claimEventSchema.statics.record = function ({ campaign, outcome, reason, rule, ipAddress, sessionId, userAgent, coupon, latencyMs, requestId }) {
+  const subnet = ipAddress ? subnetOf(ipAddress) : null;
+  return this.create({
+    campaign: campaign._id,
+    outcome,
+    reason: reason || null,
+    rule: rule || null,
+    ipHash: ipAddress ? hashIdentifier('ip', ipAddress) : null,
+    subnetHash: subnet ? hashIdentifier('subnet', subnet) : null,
+    sessionId: sessionId || null,
+    userAgent: userAgent ? String(userAgent).slice(0, 512) : null,
+    coupon: coupon ? coupon._id : null,
+    latencyMs,
+    requestId: requestId || null
+  });
+};
+
+// What admins see of an event
+claimEventSchema.methods.toEventJSON = function () {
+  return {
+    id: this._id,
+    campaign: this.campaign,
+    outcome: this.outcome,
+    reason: this.reason,
+    rule: this.rule,
+    ipHash: this.ipHash,
+    subnetHash: this.subnetHash,
+    sessionId: this.sessionId,
+    userAgent: this.userAgent,
+    coupon: this.coupon,
+    latencyMs: this.latencyMs,
+    requestId: this.requestId,
+    createdAt: this.createdAt
+  };
+};
+
+const ClaimEvent = mongoose.model('ClaimEvent', claimEventSchema);
+
+ClaimEvent.OUTCOMES = OUTCOMES;
+ClaimEvent.RETENTION_SECONDS = RETENTION_SECONDS;
+
+module.exports = ClaimEvent;
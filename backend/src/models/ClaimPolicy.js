@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+const { MAX_LIMIT } = require('../utils/claimLimits');
+
+// Claim settings that can change while the server runs, for every campaign at once.
+// There's only ever one of these (key 'global'). Overrides left at null fall back to
+// each campaign's own settings.
+const claimPolicySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+    default: 'global'
+  },
+  paused: {
+    type: Boolean,
+    default: false // Stops all claims, e.g. while something is being fixed during a live event
+  },
+  maintenanceMessage: {
+    type: String,
+    default: '' // Shown to people while claims are paused
+  },
+  cooldownMs: {
+    type: Number,
+    default: null, // null means each campaign's own cooldown
+    min: 0
+  },
+  maxClaimsPerUser: {
+    type: Number,
+    default: null, // null means each campaign's own cap
+    min: 1,
+    max: MAX_LIMIT
+  },
+  updatedBy: {
+    type: String,
+    default: null // Name of the admin user or API key that last changed it
+  }
+}, { timestamps: true });
+
+// The current policy, created with the defaults the first time it's needed
+claimPolicySchema.statics.getCurrent = function () {
+  return this.findOneAndUpdate(
+    { key: 'global' },
+    { $setOnInsert: { key: 'global' } },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+};
+
+claimPolicySchema.methods.toPolicyJSON = function () {
+  return {
+    paused: this.paused,
+    maintenanceMessage: this.maintenanceMessage,
+    cooldownMs: this.cooldownMs,
+    maxClaimsPerUser: this.maxClaimsPerUser,
+    updatedBy: this.updatedBy,
+    updatedAt: this.updatedAt
+  };
+};
+
+const ClaimPolicy = mongoose.model('ClaimPolicy', claimPolicySchema);
+
+// The fields admins can change
+ClaimPolicy.FIELDS = ['paused', 'maintenanceMessage', 'cooldownMs', 'maxClaimsPerUser'];
+
+module.exports = ClaimPolicy;
@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+// One change to the claim policy: who made it, when, and what each field went from
+// and to. Never updated or deleted, so it's a full history of the policy.
+const claimPolicyChangeSchema = new mongoose.Schema({
+  changes: [{
+    _id: false,
+    field: { type: String, required: true },
+    from: { type: mongoose.Schema.Types.Mixed, default: null },
+    to: { type: mongoose.Schema.Types.Mixed, default: null }
+  }],
+  changedBy: {
+    type: String,
+    required: true
+  },
+  note: {
+    type: String,
+    default: '' // Optional reason given with the change
+  }
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+claimPolicyChangeSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('ClaimPolicyChange', claimPolicyChangeSchema);
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+// How many claim attempts a campaign had in one hour, by outcome and reason. Kept
+// as running totals instead of one document per attempt, so denial rates can be
+// worked out for any period without the collection growing with traffic.
+const claimStatSchema = new mongoose.Schema({
+  campaign: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Campaign',
+    required: true
+  },
+  hour: {
+    type: Date,
+    required: true // Start of the hour (UTC)
+  },
+  outcome: {
+    type: String,
+    required: true,
+    enum: ['success', 'denied', 'error']
+  },
+  reason: {
+    type: String,
+    default: '' // Why claims were denied, e.g. ip_cooldown or no_stock. Empty otherwise.
+  },
+  count: {
+    type: Number,
+    default: 0
+  }
+});
+
+claimStatSchema.index({ campaign: 1, hour: 1, outcome: 1, reason: 1 }, { unique: true });
+claimStatSchema.index({ hour: 1 });
+
+const startOfHour = (date) => new Date(Math.floor(date.getTime() / (60 * 60 * 1000)) * 60 * 60 * 1000);
+
+// Counts one claim attempt
+claimStatSchema.statics.record = function (campaign, outcome, reason, at = new Date()) {
+  return this.updateOne(
+    { campaign: campaign._id, hour: startOfHour(at), outcome, reason: reason || '' },
+    { $inc: { count: 1 } },
+    { upsert: true }
+  );
+};
+
+const ClaimStat = mongoose.model('ClaimStat', claimStatSchema);
+
+ClaimStat.startOfHour = startOfHour;
+
+module.exports = ClaimStat;
@@ -1,10 +1,16 @@
 const mongoose = require('mongoose');
+const { limitsForType, recentClaimsToKeep, buildLimitConditions } = require('../utils/claimLimits');
+const { subnetOf } = require('../utils/ipAddress');
 
 const claimTrackerSchema = new mongoose.Schema({
+  campaign: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Campaign',
+    required: true
+  },
   identifier: {
     type: String,
     required: true,
-    unique: true,
     index: true
   },
   type: {
@@ -12,6 +18,10 @@ const claimTrackerSchema = new mongoose.Schema({
     required: true,
     enum: ['ip', 'session']
   },
+  subnet: {
+    type: String,
+    default: null // For IP trackers, the /24 or /64 the address is in
+  },
   lastClaimAt: {
     type: Date,
     required: true,
@@ -21,14 +31,117 @@ const claimTrackerSchema = new mongoose.Schema({
     type: Number,
     default: 1
   },
+  recentClaims: {
+    type: [Date],
+    default: [] // Times of the latest claims, oldest first, for rolling-window limits
+  },
   nextClaimTime: {
     type: Date,
     required: true
   }
 }, { timestamps: true });
 
-// Create compound indexes for better query performance
-claimTrackerSchema.index({ identifier: 1, type: 1 });
+// Each IP or session gets one tracker per campaign
+claimTrackerSchema.index({ campaign: 1, identifier: 1, type: 1 }, { unique: true });
 claimTrackerSchema.index({ nextClaimTime: 1 });
+claimTrackerSchema.index({ campaign: 1, subnet: 1, lastClaimAt: 1 });
+
+// Loads the IP and session trackers for a claim in this campaign
+claimTrackerSchema.statics.findForClaim = async function (campaign, ipAddress, sessionId) {
+  const [ipTracker, sessionTracker] = await Promise.all([
+    this.findOne({ campaign: campaign._id, identifier: ipAddress, type: 'ip' }),
+    sessionId ? this.findOne({ campaign: campaign._id, identifier: sessionId, type: 'session' }) : null
+  ]);
+  return { ipTracker, sessionTracker };
+};
+
+// Takes this IP's or session's next claim in a campaign. The cooldown and claim limits
+// are part of the update's filter, so checking and recording the claim is one atomic
+// step and two requests can't both get through. If a tracker exists but is still
+// restricted, the upsert runs into the unique index instead, which means the same.
+// Returns a slot to hand to releaseSlot if the claim falls through, or null.
+// With enforce off the claim is still recorded, but the cooldown and limits aren't checked.
+claimTrackerSchema.statics.acquireSlot = async function (campaign, identifier, type, now, { enforce = true } = {}) {
+  const key = { campaign: campaign._id, identifier, type };
+  const nextClaimTime = new Date(now.getTime() + campaign.cooldownMs);
+
+  const limits = limitsForType(campaign.getClaimLimits(), type);
+  const filter = { ...key };
+  if (enforce) {
+    filter.nextClaimTime = { $lte: now };
+    if (limits.length) {
+      filter.$and = buildLimitConditions(limits, now);
+    }
+  }
+
+  try {
+    // Get the tracker as it was before, so we can put it back. null means it's new.
+    const previous = await this.findOneAndUpdate(
+      filter,
+      {
+        $set: { lastClaimAt: now, nextClaimTime, subnet: type === 'ip' ? subnetOf(identifier) : null },
+        $inc: { claimCount: 1 },
+        $push: { recentClaims: { $each: [now], $slice: -recentClaimsToKeep(limits) } }
+      },
+      { upsert: true, new: false }
+    );
+    return {
+      key,
+      nextClaimTime,
+      previous: previous && {
+        lastClaimAt: previous.lastClaimAt,
+        nextClaimTime: previous.nextClaimTime,
+        recentClaims: previous.recentClaims
+      }
+    };
+  } catch (error) {
+    if (error.code === 11000) return null;
+    throw error;
+  }
+};
+
+// Gives back a slot from acquireSlot when the claim couldn't finish, e.g. there
+// were no coupons left. Nobody else can claim while the slot is held, so it's
+// safe to put the old values back.
+claimTrackerSchema.statics.releaseSlot = function (slot) {
+  const held = { ...slot.key, nextClaimTime: slot.nextClaimTime };
+  if (!slot.previous) {
+    return this.deleteOne(held);
+  }
+  return this.updateOne(held, {
+    $set: {
+      lastClaimAt: slot.previous.lastClaimAt,
+      nextClaimTime: slot.previous.nextClaimTime,
+      recentClaims: slot.previous.recentClaims
+    },
+    $inc: { claimCount: -1 }
+  });
+};
+
+// Deletes a campaign's trackers that can't affect a claim any more: their cooldown
+// is over and their last claim is older than every rolling limit (and at least
+// keepMs old, for the subnet throttle and analytics). A tracker type with a
+// lifetime limit is kept, since its claimCount is the only record of what was used.
+// Pass the campaign with the claim policy applied. Returns how many were deleted.
+claimTrackerSchema.statics.deleteStale = async function (campaign, now, keepMs) {
+  const limits = campaign.getClaimLimits();
+  let deleted = 0;
+
+  for (const type of ['ip', 'session']) {
+    const typeLimits = limitsForType(limits, type);
+    if (typeLimits.some(limit => !limit.windowMs)) continue;
+
+    const olderThan = new Date(now.getTime() - Math.max(keepMs, ...typeLimits.map(limit => limit.windowMs)));
+    const result = await this.deleteMany({
+      campaign: campaign._id,
+      type,
+      nextClaimTime: { $lte: now },
+      lastClaimAt: { $lt: olderThan }
+    });
+    deleted += result.deletedCount;
+  }
+
+  return deleted;
+};
 
-module.exports = mongoose.model('ClaimTracker', claimTrackerSchema); 
\ No newline at end of file
+module.exports = mongoose.model('ClaimTracker', claimTrackerSchema);
\ No newline at end of file
@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+// A named number we can bump atomically. Used for coupon sequence numbers so
+// two generators running at once never hand out the same numbers.
+const counterSchema = new mongoose.Schema({
+  _id: {
+    type: String // The counter's name, e.g. coupon-seq:<campaign id>
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+}, { versionKey: false });
+
+// Reserves `count` numbers and returns the first one. The counter starts at
+// whatever `getStart` returns the first time it's used.
+counterSchema.statics.reserve = async function (name, count, getStart = async () => 0) {
+  let counter = await this.findOneAndUpdate({ _id: name }, { $inc: { seq: count } }, { new: true });
+
+  if (!counter) {
+    try {
+      await this.create({ _id: name, seq: await getStart() });
+    } catch (error) {
+      // Someone else created it first, which is fine - we just use theirs
+      if (error.code !== 11000) throw error;
+    }
+    counter = await this.findOneAndUpdate({ _id: name }, { $inc: { seq: count } }, { new: true });
+  }
+
+  return counter.seq - count + 1;
+};
+
+module.exports = mongoose.model('Counter', counterSchema);
@@ -1,7 +1,22 @@
 const mongoose = require('mongoose');
+const { logger } = require('../utils/logger');
+
+// Where a coupon is in its life:
+//   available -> reserved -> claimed -> redeemed
+// and it can drop out as expired or voided along the way.
+// "reserved" only lasts while a claim is being processed.
+const STATUSES = ['available', 'reserved', 'claimed', 'redeemed', 'expired', 'voided'];
+
+// If a claim dies halfway (e.g. the server restarts), its reservation is released after this long
+const RESERVATION_TIMEOUT_MS = 60 * 1000;
 
 // This is our main coupon model - it handles all the coupon data in our database
 const couponSchema = new mongoose.Schema({
+  campaign: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Campaign',
+    required: true // Every coupon belongs to exactly one campaign's pool
+  },
   code: {
     type: String,
     required: true,
@@ -9,12 +24,28 @@ const couponSchema = new mongoose.Schema({
   },
   sequenceNumber: {
     type: Number, 
-    required: true,
-    unique: true // We give each coupon a number so we can keep track of the order
+    required: true // We give each coupon a number so we can keep track of the order (unique per campaign)
+  },
+  status: {
+    type: String,
+    enum: STATUSES,
+    default: 'available' // Only available coupons get handed out
+  },
+  validFrom: {
+    type: Date,
+    default: null // Can't be claimed before this. null means straight away
   },
-  isActive: {
-    type: Boolean,
-    default: true // When someone claims a coupon, we'll mark it as not active anymore
+  expiresAt: {
+    type: Date,
+    default: null // Can't be claimed or redeemed from this point on. null means never
+  },
+  expiredAt: {
+    type: Date,
+    default: null // When the expiry sweep marked the coupon as expired
+  },
+  reservedAt: {
+    type: Date,
+    default: null // When a claim grabbed this coupon, cleared once the claim goes through
   },
   claimedBy: {
     type: String,  // We store who claimed it using their IP address
@@ -27,11 +58,97 @@ const couponSchema = new mongoose.Schema({
   claimedAt: {
     type: Date,
     default: null // We note down exactly when someone claimed the coupon
+  },
+  voidedAt: {
+    type: Date,
+    default: null // Set when an admin pulls a coupon out of circulation
+  },
+  voidReason: {
+    type: String,
+    default: null
+  },
+  redeemedAt: {
+    type: Date,
+    default: null // When the coupon was actually used at checkout
+  },
+  redemption: {
+    orderId: {
+      type: String,
+      default: null // The checkout's order, so repeating a redemption for the same order is harmless
+    },
+    redeemedBy: {
+      type: String,
+      default: null // Name of the API key or user that redeemed it
+    }
   }
 }, { timestamps: true }); // This automatically adds created/updated timestamps
 
 // These help our database search through coupons faster
-couponSchema.index({ sequenceNumber: 1, isActive: 1 });
+couponSchema.index({ campaign: 1, sequenceNumber: 1 }, { unique: true });
+couponSchema.index({ campaign: 1, status: 1, sequenceNumber: 1 });
+couponSchema.index({ status: 1, reservedAt: 1 });
 couponSchema.index({ sessionId: 1 });
+couponSchema.index({ status: 1, expiresAt: 1 });
+couponSchema.index({ campaign: 1, claimedAt: 1 });
+couponSchema.index({ claimedAt: 1 }); // Claim analytics across every campaign
+
+// Matches coupons that can be handed out right now: available and inside their
+// validity window. Expired coupons can sit here until the next sweep, so always
+// use this rather than just status: 'available' when counting or claiming stock.
+const claimableFilter = (now = new Date()) => ({
+  status: 'available',
+  $and: [
+    { $or: [{ validFrom: null }, { validFrom: { $lte: now } }] },
+    { $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }] }
+  ]
+});
+
+// Whether a coupon's expiry date has passed
+couponSchema.methods.isPastExpiry = function (now = new Date()) {
+  return Boolean(this.expiresAt && this.expiresAt <= now);
+};
+
+// Marks coupons whose expiry date has passed as expired, whether they're still
+// in the pool or already claimed but not yet redeemed
+couponSchema.statics.expireCoupons = async function (now = new Date()) {
+  const result = await this.updateMany(
+    { status: { $in: ['available', 'claimed'] }, expiresAt: { $lte: now } },
+    { status: 'expired', expiredAt: now }
+  );
+  if (result.modifiedCount) {
+    logger.info('Expired coupons', { count: result.modifiedCount });
+  }
+  return result.modifiedCount;
+};
+
+// Puts coupons from claims that never finished back into the pool
+couponSchema.statics.releaseStaleReservations = async function (now = new Date()) {
+  const result = await this.updateMany(
+    { status: 'reserved', reservedAt: { $lt: new Date(now.getTime() - RESERVATION_TIMEOUT_MS) } },
+    { status: 'available', reservedAt: null, claimedBy: null, sessionId: null, claimedAt: null }
+  );
+  if (result.modifiedCount) {
+    logger.info('Released stale coupon reservations', { count: result.modifiedCount });
+  }
+  return result.modifiedCount;
+};
+
+// Counts coupons in each status, e.g. { available: 40, claimed: 9, redeemed: 1, ... }
+couponSchema.statics.countByStatus = async function (filter = {}) {
+  const counts = Object.fromEntries(STATUSES.map(status => [status, 0]));
+  const groups = await this.aggregate([
+    { $match: filter },
+    { $group: { _id: '$status', count: { $sum: 1 } } }
+  ]);
+  for (const group of groups) {
+    counts[group._id] = group.count;
+  }
+  return counts;
+};
+
+const Coupon = mongoose.model('Coupon', couponSchema);
+
+Coupon.STATUSES = STATUSES;
+Coupon.claimableFilter = claimableFilter;
 
-module.exports = mongoose.model('Coupon', couponSchema);
\ No newline at end of file
+module.exports = Coupon;
\ No newline at end of file
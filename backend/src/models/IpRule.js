@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+const { parseCidr, formatRange } = require('../utils/ipAddress');
+
+const LISTS = ['block', 'allow'];
+
+// One entry on the IP blocklist or allowlist: a single address or a CIDR range,
+// IPv4 or IPv6. Entries with an expiry date are temporary bans (or passes).
+const ipRuleSchema = new mongoose.Schema({
+  range: {
+    type: String,
+    required: true,
+    trim: true // Stored in CIDR form, e.g. 203.0.113.0/24 or 2001:db8::/32
+  },
+  list: {
+    type: String,
+    enum: LISTS,
+    required: true
+  },
+  reason: {
+    type: String,
+    default: ''
+  },
+  expiresAt: {
+    type: Date,
+    default: null // null means it stays until someone removes it
+  },
+  createdBy: {
+    type: String,
+    default: null // Name of the admin user or API key that added it
+  }
+}, { timestamps: true });
+
+// The same range can't be on the same list twice
+ipRuleSchema.index({ range: 1, list: 1 }, { unique: true });
+// Mongo deletes expired entries by itself (within a minute or so of expiry)
+ipRuleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Writes the range the same way every time, so 10.1.2.3/8 and 10.0.0.0/8 are one entry
+ipRuleSchema.pre('validate', function (next) {
+  const parsed = parseCidr(this.range);
+  if (!parsed) {
+    this.invalidate('range', 'range must be an IP address or a CIDR range like 203.0.113.0/24');
+  } else {
+    this.range = formatRange(parsed);
+  }
+  next();
+});
+
+// Entries that are in force right now. Expired ones can linger until Mongo's TTL
+// monitor gets to them, so don't rely on it alone.
+ipRuleSchema.statics.findActive = function (now = new Date()) {
+  return this.find({ $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }] });
+};
+
+ipRuleSchema.methods.isActive = function (now = new Date()) {
+  return !this.expiresAt || this.expiresAt > now;
+};
+
+const IpRule = mongoose.model('IpRule', ipRuleSchema);
+
+IpRule.LISTS = LISTS;
+
+module.exports = IpRule;
@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+
+// One document per background job (see utils/scheduler.js). It's the job's lock,
+// so only one server runs it at a time, and a record of how its last run went.
+const scheduledJobSchema = new mongoose.Schema({
+  _id: {
+    type: String // The job's name, e.g. replenish-coupons
+  },
+  running: {
+    type: Boolean,
+    default: false
+  },
+  owner: {
+    type: String,
+    default: null // Which server process last took the lock (host:pid:random)
+  },
+  lockedUntil: {
+    type: Date,
+    default: null // Nobody else starts the job before this
+  },
+  lastStartedAt: {
+    type: Date,
+    default: null
+  },
+  lastFinishedAt: {
+    type: Date,
+    default: null
+  },
+  lastStatus: {
+    type: String,
+    enum: ['succeeded', 'failed', null],
+    default: null
+  },
+  lastError: {
+    type: String,
+    default: null
+  },
+  lastResult: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null // Whatever the job reported, e.g. { expired: 3 }
+  },
+  lastDurationMs: {
+    type: Number,
+    default: null
+  },
+  runs: {
+    type: Number,
+    default: 0
+  },
+  failures: {
+    type: Number,
+    default: 0
+  }
+}, { timestamps: true });
+
+// Takes the lock for a job if nobody holds it. A lock held by a server that died is
+// taken back once lockMs has passed. With force the job is run early, as long as it
+// isn't running right now. Returns the job's document, or null if someone else has it.
+scheduledJobSchema.statics.acquire = async function (name, owner, { now = new Date(), lockMs, force = false }) {
+  const free = [{ lockedUntil: null }, { lockedUntil: { $lte: now } }];
+  if (force) free.push({ running: false });
+
+  try {
+    return await this.findOneAndUpdate(
+      { _id: name, $or: free },
+      { $set: { running: true, owner, lockedUntil: new Date(now.getTime() + lockMs), lastStartedAt: now } },
+      { upsert: true, new: true }
+    );
+  } catch (error) {
+    // The job exists but isn't free, so the upsert ran into its _id
+    if (error.code === 11000) return null;
+    throw error;
+  }
+};
+
+// Records how a run went and gives up the lock. lockedUntil stays at nextRunAt,
+// so other servers don't run the job again before it's due.
+scheduledJobSchema.statics.finish = function (name, owner, { startedAt, finishedAt = new Date(), nextRunAt, result = null, error = null }) {
+  return this.updateOne(
+    { _id: name, owner, running: true },
+    {
+      $set: {
+        running: false,
+        lockedUntil: nextRunAt,
+        lastFinishedAt: finishedAt,
+        lastStatus: error ? 'failed' : 'succeeded',
+        lastError: error ? error.message : null,
+        lastResult: result,
+        lastDurationMs: finishedAt - startedAt
+      },
+      $inc: { runs: 1, failures: error ? 1 : 0 }
+    }
+  );
+};
+
+module.exports = mongoose.model('ScheduledJob', scheduledJobSchema);
@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+// A proof-of-work challenge that has already been spent on a claim. Each challenge
+// works once, so solving one can't be turned into any number of claims.
+const usedChallengeSchema = new mongoose.Schema({
+  nonce: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  campaign: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Campaign',
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true // When the challenge itself expires. There's no point remembering it after that.
+  }
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+usedChallengeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Marks a challenge as spent. Returns false if it already was.
+usedChallengeSchema.statics.spend = async function (nonce, campaign, expiresAt) {
+  try {
+    await this.create({ nonce, campaign: campaign._id, expiresAt });
+    return true;
+  } catch (error) {
+    if (error.code === 11000) return false;
+    throw error;
+  }
+};
+
+module.exports = mongoose.model('UsedChallenge', usedChallengeSchema);
@@ -0,0 +1,78 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const router = express.Router();
+const adminConfigController = require('../controllers/adminConfigController');
+const adminCouponController = require('../controllers/adminCouponController');
+const adminPolicyController = require('../controllers/adminPolicyController');
+const adminUserController = require('../controllers/adminUserController');
+const analyticsController = require('../controllers/analyticsController');
+const authController = require('../controllers/authController');
+const claimEventController = require('../controllers/claimEventController');
+const ipRuleController = require('../controllers/ipRuleController');
+const jobController = require('../controllers/jobController');
+const { requireAdmin, requireRole } = require('../middleware/adminAuth');
+const { config } = require('../config');
+
+// Slow down password guessing (by default max 10 sign in attempts per 15 minutes)
+const loginLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: config.rateLimit.loginMax,
+  message: { message: 'Too many sign in attempts. Please try again later.' }
+});
+
+// Signing in is the only thing you can do without being signed in
+router.post('/auth/login', loginLimiter, authController.login);
+
+// Everything below is for operators only
+router.use(requireAdmin);
+
+router.get('/auth/me', authController.me);
+router.post('/auth/password', authController.changePassword);
+
+// Coupon inventory management - viewers can look, operators can change things
+router.get('/coupons', requireRole('viewer'), adminCouponController.listCoupons);
+router.get('/coupons/inventory', requireRole('viewer'), adminCouponController.getInventory);
+router.get('/coupons/export', requireRole('viewer'), adminCouponController.exportCoupons);
+router.post('/coupons', requireRole('operator'), adminCouponController.createCoupon);
+router.post('/coupons/generate', requireRole('operator'), adminCouponController.generateCoupons);
+router.post('/coupons/import', requireRole('operator'), adminCouponController.importCoupons);
+router.post('/coupons/void', requireRole('operator'), adminCouponController.voidCoupons);
+router.patch('/coupons/:id', requireRole('operator'), adminCouponController.updateCoupon);
+router.delete('/coupons/:id', requireRole('operator'), adminCouponController.deleteCoupon);
+
+// Claim policy (pause claims, override cooldown and cap) and who changed it
+router.get('/claim-policy', requireRole('viewer'), adminPolicyController.getPolicy);
+router.get('/claim-policy/history', requireRole('viewer'), adminPolicyController.listPolicyChanges);
+router.patch('/claim-policy', requireRole('operator'), adminPolicyController.updatePolicy);
+
+// Claim analytics over a date range (?from=&to=&granularity=hour|day|week&campaign=)
+router.get('/analytics/claims', requireRole('viewer'), analyticsController.getClaimSeries);
+router.get('/analytics/claimants', requireRole('viewer'), analyticsController.getClaimants);
+router.get('/analytics/denials', requireRole('viewer'), analyticsController.getDenials);
+
+// Every claim attempt, for looking into abuse (?ip=&subnet=&session=&outcome=&reason=&from=&to=)
+router.get('/claim-events', requireRole('viewer'), claimEventController.listClaimEvents);
+
+// IP blocklist and allowlist
+router.get('/ip-rules', requireRole('viewer'), ipRuleController.listIpRules);
+router.get('/ip-rules/check', requireRole('viewer'), ipRuleController.checkIp);
+router.post('/ip-rules', requireRole('operator'), ipRuleController.createIpRule);
+router.patch('/ip-rules/:id', requireRole('operator'), ipRuleController.updateIpRule);
+router.delete('/ip-rules/:id', requireRole('operator'), ipRuleController.deleteIpRule);
+
+// Background jobs (replenishment, tracker cleanup, expiry sweeps) and running one now
+router.get('/jobs', requireRole('viewer'), jobController.listJobs);
+router.post('/jobs/:name/run', requireRole('operator'), jobController.runJob);
+
+// Admin users and API keys - owners only
+router.get('/users', requireRole('owner'), adminUserController.listUsers);
+router.post('/users', requireRole('owner'), adminUserController.createUser);
+router.patch('/users/:id', requireRole('owner'), adminUserController.updateUser);
+router.get('/api-keys', requireRole('owner'), adminUserController.listApiKeys);
+router.post('/api-keys', requireRole('owner'), adminUserController.createApiKey);
+router.delete('/api-keys/:id', requireRole('owner'), adminUserController.revokeApiKey);
+
+// The settings the server is running with (read-only) - owners only
+router.get('/config', requireRole('owner'), adminConfigController.getConfig);
+
+module.exports = router;
@@ -0,0 +1,17 @@
+const express = require('express');
+const router = express.Router();
+const campaignController = require('../controllers/campaignController');
+const couponController = require('../controllers/couponController');
+const { loadCampaignBySlug } = require('../middleware/campaign');
+
+// Public campaign info
+router.get('/', campaignController.listCampaigns);
+router.get('/:slug', loadCampaignBySlug, campaignController.getCampaign);
+router.get('/:slug/validate-code', loadCampaignBySlug, campaignController.validateCode);
+
+// Same claim flow as /api/coupons, but against a specific campaign's pool and rules
+router.get('/:slug/check-eligibility', loadCampaignBySlug, couponController.checkEligibility);
+router.post('/:slug/claim', loadCampaignBySlug, couponController.claimCoupon);
+router.get('/:slug/stream', loadCampaignBySlug, couponController.streamUpdates);
+
+module.exports = router;
@@ -1,9 +1,21 @@
 const express = require('express');
 const router = express.Router();
 const couponController = require('../controllers/couponController');
+const { loadDefaultCampaign } = require('../middleware/campaign');
+const { requireAdmin, requireRole } = require('../middleware/adminAuth');
+
+// Checkout burns claimed coupons here. Needs an operator API key, and isn't tied
+// to a campaign because codes are unique across all of them.
+router.post('/redeem', requireAdmin, requireRole('operator'), couponController.redeemCoupon);
+
+// These routes predate campaigns, so they always work against the default one
+router.use(loadDefaultCampaign);
 
 // Keep only two essential endpoints
 router.get('/check-eligibility', couponController.checkEligibility);
 router.post('/claim', couponController.claimCoupon);
 
-module.exports = router; 
\ No newline at end of file
+// Live stock and eligibility updates (Server-Sent Events)
+router.get('/stream', couponController.streamUpdates);
+
+module.exports = router;
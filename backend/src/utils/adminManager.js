@@ -0,0 +1,49 @@
+const AdminUser = require('../models/AdminUser');
+const ApiKey = require('../models/ApiKey');
+const { parseArgs, runWithDatabase } = require('./cli');
+
+// Command line access for setting up the first owner, or getting back in
+// when nobody can sign in any more
+const commands = {
+  // node adminManager.js create-user --email=me@example.com --password=... --role=owner
+  'create-user': async (args) => {
+    const user = new AdminUser({ email: args.email, name: args.name || '', role: args.role || 'owner' });
+    await user.setPassword(args.password);
+    await user.save();
+    console.log('Created admin user:', user.toSafeJSON());
+  },
+
+  // node adminManager.js reset-password --email=me@example.com --password=...
+  'reset-password': async (args) => {
+    const user = await AdminUser.findOne({ email: String(args.email).toLowerCase() });
+    if (!user) throw new Error(`No admin user with email ${args.email}`);
+
+    await user.setPassword(args.password);
+    user.isActive = true;
+    await user.save();
+    console.log(`Password reset for ${user.email}`);
+  },
+
+  // node adminManager.js create-key --name="nightly export" --role=viewer
+  'create-key': async (args) => {
+    const { apiKey, plainKey } = await ApiKey.issue({
+      name: args.name,
+      role: args.role || 'viewer',
+      expiresAt: args.expires ? new Date(args.expires) : null
+    });
+    console.log('Created API key:', apiKey.toSafeJSON());
+    console.log(`Key (shown once): ${plainKey}`);
+  }
+};
+
+if (require.main === module) {
+  const args = parseArgs();
+  const command = commands[args._[0]];
+
+  if (!command) {
+    console.error(`Usage: npm run admin -- <${Object.keys(commands).join('|')}> [options]`);
+    process.exit(1);
+  }
+
+  runWithDatabase(() => command(args));
+}
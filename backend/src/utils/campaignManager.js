@@ -0,0 +1,75 @@
+const Campaign = require('../models/Campaign');
+const Coupon = require('../models/Coupon');
+const { parseArgs, runWithDatabase } = require('./cli');
+const { parseLimitSpec } = require('./claimLimits');
+
+// Turns CLI flags into campaign fields. Only the flags that were passed are set.
+const toCampaignFields = (args) => {
+  const fields = {};
+  if (args.name) fields.name = args.name;
+  if (args.slug) fields.slug = args.slug;
+  if (args.description) fields.description = args.description;
+  if (args.starts) fields.startsAt = new Date(args.starts);
+  if (args.ends) fields.endsAt = new Date(args.ends);
+  if (args.cooldown) fields.cooldownMs = parseInt(args.cooldown) * 1000; // given in seconds
+  if (args['max-claims']) fields.maxClaimsPerUser = parseInt(args['max-claims']);
+  if (args.limits) fields.claimLimits = parseLimitSpec(args.limits); // e.g. ip:3/24h,session:10, or none
+  if (args['discount-type']) fields['discount.type'] = args['discount-type'];
+  if (args['discount-value']) fields['discount.value'] = parseFloat(args['discount-value']);
+  if (args.currency) fields['discount.currency'] = args.currency;
+  if (args['min-purchase']) fields['discount.minimumPurchase'] = parseFloat(args['min-purchase']);
+  if (args.active !== undefined) fields.isActive = args.active !== 'false';
+  if (args['code-alphabet']) fields['codeFormat.alphabet'] = args['code-alphabet'];
+  if (args['code-length']) fields['codeFormat.length'] = parseInt(args['code-length']);
+  if (args['code-template']) fields['codeFormat.template'] = args['code-template'];
+  if (args['code-prefix']) fields['codeFormat.prefix'] = args['code-prefix'];
+  if (args['code-suffix']) fields['codeFormat.suffix'] = args['code-suffix'];
+  if (args['code-group']) fields['codeFormat.groupSize'] = parseInt(args['code-group']);
+  if (args['code-separator']) fields['codeFormat.separator'] = args['code-separator'];
+  if (args['check-digit'] !== undefined) fields['codeFormat.checkDigit'] = args['check-digit'] !== 'false';
+  return fields;
+};
+
+const commands = {
+  // node campaignManager.js create --slug=spring-sale --name="Spring Sale" --cooldown=60 --max-claims=3
+  create: async (args) => {
+    const campaign = await Campaign.create(toCampaignFields(args));
+    console.log('Created campaign:', campaign.toPublicJSON());
+  },
+
+  // node campaignManager.js update spring-sale --ends=2024-06-01 --active=false --limits=ip:3/24h
+  update: async (args) => {
+    const campaign = await Campaign.findOne({ slug: args._[1] });
+    if (!campaign) throw new Error(`Campaign "${args._[1]}" not found`);
+
+    campaign.set(toCampaignFields(args));
+    await campaign.save();
+    console.log('Updated campaign:', campaign.toPublicJSON());
+  },
+
+  // node campaignManager.js list
+  list: async () => {
+    const campaigns = await Campaign.find({}).sort({ createdAt: 1 });
+    for (const campaign of campaigns) {
+      const available = await Coupon.countDocuments({ campaign: campaign._id, ...Coupon.claimableFilter() });
+      const status = campaign.getClaimWindowStatus();
+      console.log(`${campaign.slug} - ${campaign.name} - ${status.open ? 'open' : status.reason} - ${available} coupons available`);
+    }
+  }
+};
+
+if (require.main === module) {
+  const args = parseArgs();
+  const command = commands[args._[0]];
+
+  if (!command) {
+    console.error(`Usage: npm run campaign -- <${Object.keys(commands).join('|')}> [options]`);
+    process.exit(1);
+  }
+
+  runWithDatabase(() => command(args));
+}
+
+module.exports = {
+  toCampaignFields
+};
@@ -0,0 +1,221 @@
+const Coupon = require('../models/Coupon');
+const ClaimTracker = require('../models/ClaimTracker');
+const ClaimStat = require('../models/ClaimStat');
+const { parseDate } = require('./couponFilters');
+
+// Aggregations behind the analytics endpoints. Claims come from the coupons
+// themselves (claimedAt, claimedBy and sessionId), repeat claims and cooldowns
+// from the claim trackers still kept, and denials from the hourly ClaimStat totals.
+// Everything is bucketed in UTC, and weeks start on Monday.
+
+const GRANULARITIES = ['hour', 'day', 'week'];
+const DEFAULT_RANGE_MS = 7 * 24 * 60 * 60 * 1000;
+// Ranges up to this long default to hourly buckets, longer ones to daily
+const HOURLY_DEFAULT_MAX_MS = 2 * 24 * 60 * 60 * 1000;
+const MAX_BUCKETS = 1000;
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Start of the bucket a date falls in
+const truncate = (date, granularity) => {
+  if (granularity === 'hour') return new Date(Math.floor(date.getTime() / HOUR_MS) * HOUR_MS);
+  const day = new Date(Math.floor(date.getTime() / DAY_MS) * DAY_MS);
+  if (granularity === 'day') return day;
+  // getUTCDay is 0 for Sunday, and weeks start on Monday
+  return new Date(day.getTime() - ((day.getUTCDay() + 6) % 7) * DAY_MS);
+};
+
+const BUCKET_MS = { hour: HOUR_MS, day: DAY_MS, week: 7 * DAY_MS };
+
+// Start of every bucket between from and to, so empty ones still show up as zero
+const bucketStarts = (from, to, granularity) => {
+  const starts = [];
+  for (let time = truncate(from, granularity).getTime(); time < to.getTime(); time += BUCKET_MS[granularity]) {
+    starts.push(new Date(time));
+  }
+  return starts;
+};
+
+// The same bucketing in an aggregation
+const bucketExpression = (field, granularity) => ({
+  $dateTrunc: { date: field, unit: granularity, ...(granularity === 'week' ? { startOfWeek: 'monday' } : {}) }
+});
+
+// Reads from, to and granularity from the query string. The range defaults to the
+// last 7 days, and the granularity to hourly for up to 2 days and daily beyond that.
+// Returns { range } or { error }.
+const parseRange = (query, now = new Date()) => {
+  const to = query.to ? parseDate(query.to) : now;
+  if (!to) return { error: 'to must be a date' };
+  const from = query.from ? parseDate(query.from) : new Date(to.getTime() - DEFAULT_RANGE_MS);
+  if (!from) return { error: 'from must be a date' };
+  if (from >= to) return { error: 'from must be before to' };
+
+  const granularity = query.granularity || (to - from <= HOURLY_DEFAULT_MAX_MS ? 'hour' : 'day');
+  if (!GRANULARITIES.includes(granularity)) {
+    return { error: `granularity must be one of: ${GRANULARITIES.join(', ')}` };
+  }
+
+  const buckets = bucketStarts(from, to, granularity).length;
+  if (buckets > MAX_BUCKETS) {
+    return { error: `That range has ${buckets} ${granularity} buckets, the most is ${MAX_BUCKETS}. Use a shorter range or a bigger granularity.` };
+  }
+
+  return { range: { from, to, granularity } };
+};
+
+const claimedInRange = (campaign, { from, to }) => ({
+  ...(campaign ? { campaign: campaign._id } : {}),
+  claimedAt: { $gte: from, $lt: to }
+});
+
+// Claims per bucket, and how many different IPs and sessions made them
+const getClaimSeries = async (campaign, range) => {
+  const groups = await Coupon.aggregate([
+    { $match: claimedInRange(campaign, range) },
+    {
+      $group: {
+        _id: bucketExpression('$claimedAt', range.granularity),
+        claims: { $sum: 1 },
+        ips: { $addToSet: '$claimedBy' },
+        sessions: { $addToSet: '$sessionId' }
+      }
+    },
+    {
+      $project: {
+        claims: 1,
+        uniqueIps: { $size: { $setDifference: ['$ips', [null]] } },
+        uniqueSessions: { $size: { $setDifference: ['$sessions', [null]] } }
+      }
+    }
+  ]);
+
+  const byBucket = new Map(groups.map(group => [group._id.getTime(), group]));
+  const series = bucketStarts(range.from, range.to, range.granularity).map(bucket => {
+    const group = byBucket.get(bucket.getTime());
+    return {
+      bucket,
+      claims: group ? group.claims : 0,
+      uniqueIps: group ? group.uniqueIps : 0,
+      uniqueSessions: group ? group.uniqueSessions : 0
+    };
+  });
+
+  return {
+    series,
+    totals: { claims: series.reduce((sum, item) => sum + item.claims, 0) }
+  };
+};
+
+// How many claimants made how many claims in the range, e.g. [{ claims: 1, claimants: 80 }, { claims: 2, claimants: 6 }]
+const claimsPerClaimant = async (campaign, range, field) => {
+  const groups = await Coupon.aggregate([
+    { $match: { ...claimedInRange(campaign, range), [field]: { $ne: null } } },
+    { $group: { _id: `$${field}`, claims: { $sum: 1 } } },
+    { $group: { _id: '$claims', claimants: { $sum: 1 } } },
+    { $sort: { _id: 1 } }
+  ]);
+  const distribution = groups.map(group => ({ claims: group._id, claimants: group.claimants }));
+
+  return {
+    unique: distribution.reduce((sum, item) => sum + item.claimants, 0),
+    repeat: distribution.filter(item => item.claims > 1).reduce((sum, item) => sum + item.claimants, 0),
+    distribution
+  };
+};
+
+// The same from the trackers still kept, and how many are waiting out a cooldown now.
+// The cleanup job deletes trackers that no longer matter, so this only covers
+// claimants seen within CLAIM_TRACKER_RETENTION_HOURS (or longer rolling limits),
+// except in campaigns with a lifetime cap, whose trackers are all kept.
+const trackerSummary = async (campaign, type, now) => {
+  const scope = { ...(campaign ? { campaign: campaign._id } : {}), type };
+  const [groups, coolingDown] = await Promise.all([
+    ClaimTracker.aggregate([
+      { $match: scope },
+      { $group: { _id: '$claimCount', claimants: { $sum: 1 } } },
+      { $sort: { _id: 1 } }
+    ]),
+    ClaimTracker.countDocuments({ ...scope, nextClaimTime: { $gt: now } })
+  ]);
+
+  return {
+    distribution: groups.map(group => ({ claims: group._id, claimants: group.claimants })),
+    coolingDown
+  };
+};
+
+// Unique claimants in the range and how often they came back, by IP and by session,
+// and the same from the claim trackers
+const getClaimants = async (campaign, range, now = new Date()) => {
+  const [ip, session, ipTracked, sessionTracked] = await Promise.all([
+    claimsPerClaimant(campaign, range, 'claimedBy'),
+    claimsPerClaimant(campaign, range, 'sessionId'),
+    trackerSummary(campaign, 'ip', now),
+    trackerSummary(campaign, 'session', now)
+  ]);
+
+  return { ip, session, tracked: { ip: ipTracked, session: sessionTracked } };
+};
+
+const rate = (part, whole) => (whole ? Number((part / whole).toFixed(4)) : 0);
+
+// Claim attempts per bucket by outcome, the share that were denied, and what they
+// were denied for. The stats are hourly, so the range is widened to whole hours.
+const getDenialSeries = async (campaign, range) => {
+  const match = {
+    ...(campaign ? { campaign: campaign._id } : {}),
+    hour: { $gte: ClaimStat.startOfHour(range.from), $lt: range.to }
+  };
+
+  const [groups, reasons] = await Promise.all([
+    ClaimStat.aggregate([
+      { $match: match },
+      { $group: { _id: { bucket: bucketExpression('$hour', range.granularity), outcome: '$outcome' }, count: { $sum: '$count' } } }
+    ]),
+    ClaimStat.aggregate([
+      { $match: { ...match, outcome: 'denied' } },
+      { $group: { _id: '$reason', count: { $sum: '$count' } } },
+      { $sort: { count: -1 } }
+    ])
+  ]);
+
+  const counts = new Map();
+  for (const group of groups) {
+    const key = group._id.bucket.getTime();
+    counts.set(key, { ...counts.get(key), [group._id.outcome]: group.count });
+  }
+
+  const summarize = ({ success = 0, denied = 0, error = 0 } = {}) => {
+    const attempts = success + denied + error;
+    return { attempts, succeeded: success, denied, errors: error, denialRate: rate(denied, attempts) };
+  };
+
+  const series = bucketStarts(range.from, range.to, range.granularity).map(bucket => ({
+    bucket,
+    ...summarize(counts.get(bucket.getTime()))
+  }));
+  const totals = summarize(series.reduce((sum, item) => ({
+    success: sum.success + item.succeeded,
+    denied: sum.denied + item.denied,
+    error: sum.error + item.errors
+  }), { success: 0, denied: 0, error: 0 }));
+
+  return {
+    series,
+    totals,
+    byReason: reasons.map(item => ({ reason: item._id, count: item.count, share: rate(item.count, totals.denied) }))
+  };
+};
+
+module.exports = {
+  GRANULARITIES,
+  MAX_BUCKETS,
+  truncate,
+  bucketStarts,
+  parseRange,
+  getClaimSeries,
+  getClaimants,
+  getDenialSeries
+};
@@ -0,0 +1,68 @@
+const ClaimEvent = require('../models/ClaimEvent');
+const { parseIp, subnetOf } = require('./ipAddress');
+const { identifyAddress } = require('./clientIp');
+const { hashIdentifier } = require('./logger');
+const { parseDate } = require('./couponFilters');
+
+// Builds the Mongo query for looking through claim events from the query string
+// (everything but the campaign, which needs a lookup). ip and subnet take a real
+// address, which is written the way getClientIp writes it (so 2001:DB8:0:0:0:0:0:1
+// matches 2001:db8::1) and hashed the same way the events were, so nobody has to
+// work out hashes by hand; ipHash and subnetHash take a hash copied from an event or a log line.
+// Returns { filter } or { error }.
+const buildClaimEventFilter = (query) => {
+  const filter = {};
+
+  if (query.outcome) {
+    if (!ClaimEvent.OUTCOMES.includes(query.outcome)) {
+      return { error: `outcome must be one of: ${ClaimEvent.OUTCOMES.join(', ')}` };
+    }
+    filter.outcome = query.outcome;
+  }
+
+  // Several reasons can be asked for at once, e.g. ip_cooldown,session_cooldown
+  if (query.reason) {
+    filter.reason = { $in: String(query.reason).split(',').map(item => item.trim()) };
+  }
+
+  if (query.ip) {
+    const ip = identifyAddress(query.ip);
+    if (!parseIp(ip)) return { error: 'ip must be an IP address' };
+    filter.ipHash = hashIdentifier('ip', ip);
+  } else if (query.ipHash) {
+    filter.ipHash = String(query.ipHash);
+  }
+
+  // Any address in the subnet will do, e.g. subnet=203.0.113.7 finds all of 203.0.113.0/24
+  if (query.subnet) {
+    const subnet = subnetOf(identifyAddress(String(query.subnet).split('/')[0]));
+    if (!subnet) return { error: 'subnet must be an IP address' };
+    filter.subnetHash = hashIdentifier('subnet', subnet);
+  } else if (query.subnetHash) {
+    filter.subnetHash = String(query.subnetHash);
+  }
+
+  if (query.session) {
+    filter.sessionId = String(query.session);
+  }
+
+  if (query.requestId) {
+    filter.requestId = String(query.requestId);
+  }
+
+  const from = parseDate(query.from);
+  const to = parseDate(query.to);
+  if (query.from && !from) return { error: 'from must be a date' };
+  if (query.to && !to) return { error: 'to must be a date' };
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = from;
+    if (to) filter.createdAt.$lte = to;
+  }
+
+  return { filter };
+};
+
+module.exports = {
+  buildClaimEventFilter
+};
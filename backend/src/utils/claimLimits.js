@@ -0,0 +1,152 @@
+// Claim limits cap how many coupons one IP or browser session can take from a
+// campaign, either ever ("10 per session") or in a rolling window ("3 per IP per 24h").
+// A limit looks like { scope: 'ip' | 'session' | 'any', max: 3, windowMs: 86400000 },
+// with windowMs null for a lifetime limit. 'any' applies to IPs and sessions separately.
+
+const SCOPES = ['ip', 'session', 'any'];
+const MAX_LIMIT = 1000; // Highest max a limit can have, which also caps the claim times a tracker keeps
+
+// Trackers always remember at least this many recent claims, so a rolling limit
+// added to a running campaign has some history to work with
+const MIN_RECENT_CLAIMS = 10;
+
+const DURATION_UNITS = {
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000
+};
+
+// "90s", "30m", "24h" or "7d" in milliseconds, or null if it can't be read
+const parseDuration = (text) => {
+  const match = /^(\d+)([smhd])$/.exec(String(text).trim());
+  return match ? parseInt(match[1]) * DURATION_UNITS[match[2]] : null;
+};
+
+// The reverse of parseDuration, using the biggest unit that fits exactly.
+// A single day reads better as 24h.
+const formatDuration = (milliseconds) => {
+  for (const unit of ['d', 'h', 'm', 's']) {
+    if (unit === 'd' && milliseconds < 2 * DURATION_UNITS.d) continue;
+    if (milliseconds % DURATION_UNITS[unit] === 0) {
+      return `${milliseconds / DURATION_UNITS[unit]}${unit}`;
+    }
+  }
+  return `${milliseconds}ms`;
+};
+
+// Reads limits written as "ip:3/24h,session:10" (the CLI format).
+// Throws if any part doesn't make sense.
+const parseLimitSpec = (spec) => {
+  if (!spec || spec === 'none') return [];
+
+  return String(spec).split(',').map(part => {
+    const match = /^(ip|session|any):(\d+)(?:\/(\w+))?$/.exec(part.trim());
+    if (!match) {
+      throw new Error(`Can't read claim limit "${part}", expected e.g. ip:3/24h or session:10`);
+    }
+
+    const windowMs = match[3] ? parseDuration(match[3]) : null;
+    if (match[3] && !windowMs) {
+      throw new Error(`Can't read the window in "${part}", use s, m, h or d, e.g. 24h`);
+    }
+    return { scope: match[1], max: parseInt(match[2]), windowMs };
+  });
+};
+
+// The limits that apply to one kind of tracker
+const limitsForType = (limits, type) => limits.filter(limit => limit.scope === type || limit.scope === 'any');
+
+// How many claim times a tracker needs to keep to enforce its rolling limits
+const recentClaimsToKeep = (limits) => Math.max(
+  MIN_RECENT_CLAIMS,
+  ...limits.filter(limit => limit.windowMs).map(limit => limit.max)
+);
+
+// e.g. "3 claims per IP per 24h" or "10 claims per session"
+const describeLimit = (limit) => {
+  const who = { ip: 'IP', session: 'session', any: 'person' }[limit.scope];
+  const window = limit.windowMs ? ` per ${formatDuration(limit.windowMs)}` : '';
+  return `${limit.max} ${limit.max === 1 ? 'claim' : 'claims'} per ${who}${window}`;
+};
+
+// Checks one limit against a tracker. Returns null if it isn't reached, otherwise
+// how many claims count towards it and when it frees up (null for never).
+const checkLimit = (limit, tracker, now) => {
+  if (!limit.windowMs) {
+    return tracker.claimCount >= limit.max
+      ? { limit, used: tracker.claimCount, resetsAt: null }
+      : null;
+  }
+
+  const windowStart = now.getTime() - limit.windowMs;
+  const inWindow = (tracker.recentClaims || [])
+    .map(date => new Date(date).getTime())
+    .filter(time => time > windowStart)
+    .sort((a, b) => a - b);
+
+  if (inWindow.length < limit.max) return null;
+
+  // Enough of the oldest claims have to drop out of the window to get back under max
+  return {
+    limit,
+    used: inWindow.length,
+    resetsAt: new Date(inWindow[inWindow.length - limit.max] + limit.windowMs)
+  };
+};
+
+// Whether a reset time is later than another, where null means never
+const outlasts = (resetsAt, otherResetsAt) => {
+  if (otherResetsAt === null) return false;
+  if (resetsAt === null) return true;
+  return resetsAt > otherResetsAt;
+};
+
+// Whichever reached limit lasts longest is the one that's binding. Lifetime limits never reset.
+const findBindingLimit = (limits, tracker, now = new Date()) => {
+  let binding = null;
+  for (const limit of limitsForType(limits, tracker.type)) {
+    const reached = checkLimit(limit, tracker, now);
+    if (reached && (!binding || outlasts(reached.resetsAt, binding.resetsAt))) {
+      binding = reached;
+    }
+  }
+  return binding;
+};
+
+// Mongo conditions that only match a tracker still under every limit. Used as part
+// of the tracker update's filter so the check and the claim happen in one step.
+const buildLimitConditions = (limits, now) => limits.map(limit => {
+  if (!limit.windowMs) {
+    return { claimCount: { $lt: limit.max } };
+  }
+  return {
+    $expr: {
+      $lt: [
+        {
+          $size: {
+            $filter: {
+              input: { $ifNull: ['$recentClaims', []] },
+              cond: { $gt: ['$$this', new Date(now.getTime() - limit.windowMs)] }
+            }
+          }
+        },
+        limit.max
+      ]
+    }
+  };
+});
+
+module.exports = {
+  SCOPES,
+  MAX_LIMIT,
+  parseDuration,
+  formatDuration,
+  parseLimitSpec,
+  limitsForType,
+  recentClaimsToKeep,
+  describeLimit,
+  findBindingLimit,
+  outlasts,
+  buildLimitConditions
+};
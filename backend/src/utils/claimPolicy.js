@@ -0,0 +1,49 @@
+const ClaimPolicy = require('../models/ClaimPolicy');
+
+// Every claim and eligibility check reads the policy, so keep it in memory for a
+// few seconds. Changes made through this server apply straight away; other servers
+// pick them up when their copy runs out.
+const CACHE_MS = 10 * 1000;
+
+const DEFAULT_PAUSED_MESSAGE = 'Coupon claims are paused right now. Please check back soon.';
+
+let cached = null;
+let cachedAt = 0;
+
+const getClaimPolicy = (now = new Date()) => {
+  if (!cached || now.getTime() - cachedAt > CACHE_MS) {
+    cached = ClaimPolicy.getCurrent();
+    cachedAt = now.getTime();
+    // Don't keep a failed load around, try again next time
+    cached.catch(() => {
+      cached = null;
+    });
+  }
+  return cached;
+};
+
+// Call after changing the policy so the next claim sees the change
+const invalidateClaimPolicy = () => {
+  cached = null;
+};
+
+// Puts the policy's overrides on a campaign loaded for this request. The campaign
+// is never saved afterwards, so this only changes how this one claim is handled.
+const applyClaimPolicy = (campaign, policy) => {
+  if (policy.cooldownMs !== null && policy.cooldownMs !== undefined) {
+    campaign.cooldownMs = policy.cooldownMs;
+  }
+  if (policy.maxClaimsPerUser !== null && policy.maxClaimsPerUser !== undefined) {
+    campaign.maxClaimsPerUser = policy.maxClaimsPerUser;
+  }
+  return campaign;
+};
+
+const pausedMessage = (policy) => policy.maintenanceMessage || DEFAULT_PAUSED_MESSAGE;
+
+module.exports = {
+  getClaimPolicy,
+  invalidateClaimPolicy,
+  applyClaimPolicy,
+  pausedMessage
+};
@@ -0,0 +1,71 @@
+const crypto = require('crypto');
+const { safeEqual, sign } = require('./tokens');
+const { config } = require('../config');
+const { logger } = require('./logger');
+
+// The claim session cookie holds a random ID and its HMAC signature: <id>.<signature>.
+// The ID can't be guessed, and we only believe IDs we signed ourselves.
+const COOKIE_NAME = 'claim_session';
+
+// How long a browser keeps its session. Deliberately not tied to the cooldown,
+// so the session still counts towards claim limits after the cooldown is over.
+const SESSION_TTL_MS = config.claims.sessionTtlMs;
+
+const ID_PATTERN = /^[A-Za-z0-9_-]{24}$/;
+
+// Without a configured secret, sessions only survive until the server restarts
+// (and aren't shared between servers), so say so loudly
+let secret = config.claims.sessionSecret;
+if (!secret) {
+  logger.warn('CLAIM_SESSION_SECRET is not set, using a random one. Claim sessions will reset when the server restarts.');
+  secret = crypto.randomBytes(32).toString('hex');
+}
+
+const createSessionId = () => crypto.randomBytes(18).toString('base64url');
+
+const signSessionId = (id) => `${id}.${sign(id, secret)}`;
+
+// Reads the session from the request's cookie. Returns { id, status } where status is
+// valid, missing, legacy (an old unsigned timestamp cookie) or invalid (tampered with).
+const readClaimSession = (req) => {
+  const value = req.cookies && req.cookies[COOKIE_NAME];
+  if (!value) return { id: null, status: 'missing' };
+  if (/^\d+$/.test(value)) return { id: null, status: 'legacy' };
+
+  const [id, signature, ...rest] = String(value).split('.');
+  if (rest.length || !ID_PATTERN.test(id) || !signature || !safeEqual(signature, sign(id, secret))) {
+    return { id: null, status: 'invalid' };
+  }
+  return { id, status: 'valid' };
+};
+
+// Gets the request's claim session, starting a new one (and setting the cookie)
+// if it doesn't have a valid one. Tampered cookies are logged and replaced.
+const ensureClaimSession = (req, res) => {
+  const session = readClaimSession(req);
+  if (session.status === 'valid') return { id: session.id, isNew: false };
+
+  if (session.status === 'invalid') {
+    logger.warn('Rejected claim session cookie with a bad signature', {
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+  }
+
+  const id = createSessionId();
+  res.cookie(COOKIE_NAME, signSessionId(id), {
+    maxAge: SESSION_TTL_MS,
+    httpOnly: true,
+    secure: config.server.nodeEnv === 'production'
+  });
+  return { id, isNew: true };
+};
+
+module.exports = {
+  COOKIE_NAME,
+  SESSION_TTL_MS,
+  createSessionId,
+  signSessionId,
+  readClaimSession,
+  ensureClaimSession
+};
@@ -0,0 +1,54 @@
+// Turns ["--campaign=spring", "--count", "50", "file.csv"] into
+// { campaign: 'spring', count: '50', _: ['file.csv'] }
+const parseArgs = (argv = process.argv.slice(2)) => {
+  const args = { _: [] };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      args._.push(arg);
+      continue;
+    }
+
+    const [key, inlineValue] = arg.slice(2).split(/=(.*)/s);
+    if (inlineValue !== undefined) {
+      args[key] = inlineValue;
+    } else if (argv[i + 1] !== undefined && !argv[i + 1].startsWith('--')) {
+      args[key] = argv[++i];
+    } else {
+      args[key] = true;
+    }
+  }
+
+  return args;
+};
+
+// Connects to MongoDB (MONGODB_URI, or a local database), then runs the given task.
+// Exits with 0 on success and 1 on any error so scripts can be chained.
+// Connection messages go to stderr so a task can write its own output to stdout.
+const runWithDatabase = (task) => {
+  const { config } = require('../config');
+  const mongoose = require('mongoose');
+
+  const MONGODB_URI = config.database.uri || 'mongodb://localhost:27017/coupon-system';
+
+  console.error('Connecting to MongoDB...');
+  console.error('Using database:', MONGODB_URI.split('@')[1]); // Log the database URL (excluding credentials)
+
+  mongoose.connect(MONGODB_URI)
+    .then(() => {
+      console.error('Connected to MongoDB successfully');
+      return task();
+    })
+    .then(() => mongoose.disconnect())
+    .then(() => process.exit(0))
+    .catch(error => {
+      console.error('Error:', error);
+      process.exit(1);
+    });
+};
+
+module.exports = {
+  parseArgs,
+  runWithDatabase
+};
@@ -0,0 +1,75 @@
+const { normalizeIp, parseIp, parseCidr, isInRange, formatRange } = require('./ipAddress');
+const { config } = require('../config');
+
+// Named groups of addresses that can be used in TRUSTED_PROXIES
+const PRESETS = {
+  loopback: ['127.0.0.0/8', '::1/128'],
+  private: ['10.0.0.0/8', '172.16.0.0/12', '192.168.0.0/16', 'fc00::/7'],
+  linklocal: ['169.254.0.0/16', 'fe80::/10']
+};
+
+// Reads TRUSTED_PROXIES, a comma separated list of CIDR ranges, addresses and preset
+// names, e.g. "loopback,private" on Render or "10.0.0.0/8,2600:1f18::/32".
+// Only loopback is trusted by default, which is right when nothing sits in front of us.
+// Throws if an entry can't be read, so a typo stops the server instead of trusting nobody.
+const loadTrustedProxies = (value = config.claims.trustedProxies) => {
+  return value.split(',').map(entry => entry.trim()).filter(Boolean).flatMap(entry => {
+    const cidrs = PRESETS[entry] || [entry];
+    return cidrs.map(cidr => {
+      const range = parseCidr(cidr);
+      if (!range) {
+        throw new Error(`TRUSTED_PROXIES entry "${entry}" isn't an IP address, CIDR range or one of: ${Object.keys(PRESETS).join(', ')}`);
+      }
+      return range;
+    });
+  });
+};
+
+const trustedProxies = loadTrustedProxies();
+
+// When IPV6_GROUP_PREFIX is set (usually to 64), IPv6 clients are identified by
+// their network instead of their full address, because one connection often gets a
+// whole /64 and can pick a new address from it for every request.
+const ipv6GroupPrefix = config.claims.ipv6GroupPrefix;
+
+// For app.set('trust proxy'). Express walks X-Forwarded-For from the right and
+// stops at the first address that isn't one of our proxies, which becomes req.ip.
+// Anything further left was written by the client and can't be believed.
+const isTrustedProxy = (address) => trustedProxies.some(range => isInRange(address, range));
+
+// The standard way to write an IPv6 address (lowercase, longest zero run as ::),
+// so the same client always gets the same tracker
+const canonicalIpv6 = (address) => {
+  try {
+    return new URL(`http://[${address}]`).hostname.slice(1, -1);
+  } catch (error) {
+    return address.toLowerCase(); // e.g. link-local addresses with a zone like %eth0
+  }
+};
+
+// The address we identify a client by, for cooldowns, limits and abuse rules.
+// IPv4-mapped IPv6 addresses become plain IPv4, and IPv6 addresses are reduced to
+// their network (e.g. 2001:db8:0:1::) when IPV6_GROUP_PREFIX is set.
+// Also used to look up claim events by an address an admin typed in.
+const identifyAddress = (ip) => {
+  const address = normalizeIp(ip);
+  const parsed = parseIp(address);
+  if (!parsed) return address;
+
+  if (parsed.version === 4) return address;
+  if (ipv6GroupPrefix) {
+    const network = formatRange(parseCidr(`${address}/${ipv6GroupPrefix}`)).split('/')[0];
+    return canonicalIpv6(network);
+  }
+  return canonicalIpv6(address);
+};
+
+const getClientIp = (req) => identifyAddress(req.ip);
+
+module.exports = {
+  PRESETS,
+  loadTrustedProxies,
+  isTrustedProxy,
+  identifyAddress,
+  getClientIp
+};
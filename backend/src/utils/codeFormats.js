@@ -0,0 +1,191 @@
+const crypto = require('crypto');
+
+// Ready-made alphabets. "unambiguous" drops characters people mix up when
+// reading a code aloud or typing it in: 0/O, 1/I/L.
+const ALPHABETS = {
+  alphanumeric: 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789',
+  unambiguous: 'ABCDEFGHJKMNPQRSTUVWXYZ23456789',
+  letters: 'ABCDEFGHIJKLMNOPQRSTUVWXYZ',
+  digits: '0123456789'
+};
+
+// Placeholder for a random character in a template like SPRING-XXXX-XXXX.
+// A literal X is written \X, e.g. \XMAS-XXXX for XMAS- and 4 random characters.
+const TEMPLATE_PLACEHOLDER = 'X';
+const TEMPLATE_ESCAPE = '\\';
+const MIN_RANDOM_CHARS = 4;
+const MAX_CODE_LENGTH = 64;
+
+// Same codes we've always generated: 8 random characters from A-Z and 0-9
+const DEFAULT_FORMAT = {
+  alphabet: 'alphanumeric',
+  length: 8,
+  template: null,
+  prefix: '',
+  suffix: '',
+  groupSize: 0,
+  separator: '-',
+  checkDigit: false
+};
+
+// Fills in defaults and swaps alphabet names for the actual characters
+const normalizeFormat = (format = {}) => {
+  const merged = { ...DEFAULT_FORMAT };
+  for (const [key, value] of Object.entries(format)) {
+    if (value !== undefined && value !== null) merged[key] = value;
+  }
+  merged.alphabet = ALPHABETS[merged.alphabet] || String(merged.alphabet).toUpperCase();
+  merged.prefix = String(merged.prefix).toUpperCase();
+  merged.suffix = String(merged.suffix).toUpperCase();
+  if (merged.template) merged.template = String(merged.template).toUpperCase();
+  return merged;
+};
+
+// Splits a template into its characters: null for each random one, otherwise the
+// literal character. Returns null if the template ends in a lone escape.
+const parseTemplate = (template) => {
+  const parts = [];
+  for (let i = 0; i < template.length; i++) {
+    if (template[i] === TEMPLATE_ESCAPE) {
+      if (i === template.length - 1) return null;
+      parts.push(template[++i]);
+    } else {
+      parts.push(template[i] === TEMPLATE_PLACEHOLDER ? null : template[i]);
+    }
+  }
+  return parts;
+};
+
+// Explains what's wrong with a format, or returns null if it's usable
+const getFormatError = (format) => {
+  const { alphabet, length, template, prefix, suffix, groupSize, separator } = normalizeFormat(format);
+
+  if (alphabet.length < 2) return 'alphabet needs at least 2 characters';
+  if (new Set(alphabet).size !== alphabet.length) return 'alphabet has repeated characters';
+  if (!/^[A-Z0-9]+$/.test(alphabet)) return 'alphabet can only use A-Z and 0-9';
+  if (!/^[A-Z0-9-]*$/.test(prefix + suffix)) return 'prefix and suffix can only use A-Z, 0-9 and -';
+  if (separator && !/^[-_.]$/.test(separator)) return 'separator must be one of - _ .';
+
+  if (template) {
+    if (!/^[A-Z0-9\-_.\\]+$/.test(template)) return 'template can only use A-Z, 0-9 and - _ . (and \\X for a literal X)';
+    const parts = parseTemplate(template);
+    if (!parts || parts.includes(TEMPLATE_ESCAPE)) return 'template has a \\ that isn\'t followed by a character to keep as it is';
+    const randomChars = parts.filter(part => part === null).length;
+    if (randomChars < MIN_RANDOM_CHARS) return `template needs at least ${MIN_RANDOM_CHARS} ${TEMPLATE_PLACEHOLDER} placeholders`;
+  } else {
+    if (!Number.isInteger(length) || length < MIN_RANDOM_CHARS) return `length must be a whole number of at least ${MIN_RANDOM_CHARS}`;
+    if (!Number.isInteger(groupSize) || groupSize < 0) return 'groupSize must be a whole number';
+  }
+
+  const sample = generateCode(format);
+  if (sample.length > MAX_CODE_LENGTH) return `codes would be longer than ${MAX_CODE_LENGTH} characters`;
+
+  return null;
+};
+
+// Luhn mod N check character over `chars`, using the position of each character in the alphabet.
+// Catches any single mistyped character and most swapped neighbours.
+const computeCheckChar = (chars, alphabet) => {
+  const base = alphabet.length;
+  let factor = 2;
+  let sum = 0;
+
+  for (let i = chars.length - 1; i >= 0; i--) {
+    let addend = factor * alphabet.indexOf(chars[i]);
+    factor = factor === 2 ? 1 : 2;
+    addend = Math.floor(addend / base) + (addend % base);
+    sum += addend;
+  }
+
+  return alphabet[(base - (sum % base)) % base];
+};
+
+// Picks one character using a cryptographically secure random number
+const randomChar = (alphabet) => alphabet[crypto.randomInt(alphabet.length)];
+
+// Splits a string into groups joined by the separator, e.g. ABCD-EFGH
+const group = (value, groupSize, separator) => {
+  if (!groupSize) return value;
+  return value.match(new RegExp(`.{1,${groupSize}}`, 'g')).join(separator);
+};
+
+// Makes one code in the given format.
+// Templates are filled in as-is; otherwise the code is prefix + grouped random part + suffix.
+// With checkDigit, a check character is added to the end of the random part.
+const generateCode = (format) => {
+  const { alphabet, length, template, prefix, suffix, groupSize, separator, checkDigit } = normalizeFormat(format);
+
+  if (template) {
+    const randomPart = [];
+    const filled = parseTemplate(template).map(part => {
+      if (part !== null) return part;
+      const char = randomChar(alphabet);
+      randomPart.push(char);
+      return char;
+    }).join('');
+    return checkDigit ? filled + computeCheckChar(randomPart, alphabet) : filled;
+  }
+
+  let body = Array.from({ length }, () => randomChar(alphabet)).join('');
+  if (checkDigit) body += computeCheckChar(body.split(''), alphabet);
+
+  return prefix + group(body, groupSize, separator) + suffix;
+};
+
+// Checks whether a code could have come from this format, including its check character.
+// Returns { valid: true } or { valid: false, reason }.
+const verifyCode = (code, format) => {
+  const { alphabet, length, template, prefix, suffix, groupSize, separator, checkDigit } = normalizeFormat(format);
+  const input = String(code || '').trim().toUpperCase();
+
+  // Pull the random characters back out of the code by lining it up with the format
+  let randomPart;
+  let checkChar = null;
+
+  if (template) {
+    const parts = parseTemplate(template);
+    const expectedLength = parts.length + (checkDigit ? 1 : 0);
+    if (input.length !== expectedLength) return { valid: false, reason: 'invalid_length' };
+
+    randomPart = [];
+    for (let i = 0; i < parts.length; i++) {
+      if (parts[i] === null) {
+        randomPart.push(input[i]);
+      } else if (parts[i] !== input[i]) {
+        return { valid: false, reason: 'invalid_format' };
+      }
+    }
+    if (checkDigit) checkChar = input[parts.length];
+  } else {
+    if (!input.startsWith(prefix) || !input.endsWith(suffix)) return { valid: false, reason: 'invalid_format' };
+
+    const grouped = input.slice(prefix.length, input.length - suffix.length);
+    const body = groupSize ? grouped.split(separator).join('') : grouped;
+    const bodyLength = length + (checkDigit ? 1 : 0);
+
+    if (body.length !== bodyLength) return { valid: false, reason: 'invalid_length' };
+    if (groupSize && group(body, groupSize, separator) !== grouped) return { valid: false, reason: 'invalid_format' };
+
+    randomPart = body.slice(0, length).split('');
+    if (checkDigit) checkChar = body[length];
+  }
+
+  if (randomPart.some(char => !alphabet.includes(char))) {
+    return { valid: false, reason: 'invalid_characters' };
+  }
+  if (checkDigit && computeCheckChar(randomPart, alphabet) !== checkChar) {
+    return { valid: false, reason: 'invalid_check_digit' };
+  }
+
+  return { valid: true };
+};
+
+module.exports = {
+  ALPHABETS,
+  DEFAULT_FORMAT,
+  normalizeFormat,
+  getFormatError,
+  computeCheckChar,
+  generateCode,
+  verifyCode
+};
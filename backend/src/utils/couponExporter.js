@@ -0,0 +1,125 @@
+const fs = require('fs');
+const { Transform, pipeline } = require('stream');
+const Coupon = require('../models/Coupon');
+const Campaign = require('../models/Campaign');
+const { toCsvRow } = require('./csv');
+const { getDateError, buildCouponFilter } = require('./couponFilters');
+
+const FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' }
+};
+
+// The columns finance gets, in order
+const FIELDS = ['campaign', 'code', 'sequenceNumber', 'status', 'claimedAt', 'claimedBy', 'sessionId', 'redeemedAt', 'expiresAt'];
+
+// Turns coupon documents into CSV lines or JSON lines as they come off the cursor
+const createFormatter = (format, campaignSlugs) => {
+  let wroteHeader = false;
+
+  return new Transform({
+    writableObjectMode: true,
+    transform(coupon, encoding, callback) {
+      this.count = (this.count || 0) + 1;
+      const record = {
+        campaign: campaignSlugs.get(String(coupon.campaign)) || null,
+        code: coupon.code,
+        sequenceNumber: coupon.sequenceNumber,
+        status: coupon.status,
+        claimedAt: coupon.claimedAt,
+        claimedBy: coupon.claimedBy,
+        sessionId: coupon.sessionId,
+        redeemedAt: coupon.redeemedAt,
+        expiresAt: coupon.expiresAt
+      };
+
+      if (format === 'ndjson') {
+        return callback(null, JSON.stringify(record) + '\n');
+      }
+
+      const line = toCsvRow(FIELDS.map(field => record[field]));
+      if (!wroteHeader) {
+        wroteHeader = true;
+        return callback(null, toCsvRow(FIELDS) + line);
+      }
+      callback(null, line);
+    },
+    flush(callback) {
+      // An empty export should still have a header row
+      callback(null, format === 'csv' && !wroteHeader ? toCsvRow(FIELDS) : undefined);
+    }
+  });
+};
+
+// Streams coupons matching the query to `output` as CSV or NDJSON, straight from a
+// Mongo cursor so big pools never sit in memory. By default this is every coupon that
+// was handed out (claimed, redeemed or expired since), with from/to applying to claimedAt.
+// Resolves with the number of coupons written.
+const exportCoupons = async ({ query = {}, format = 'csv', output }) => {
+  // "all" means every coupon regardless of status
+  const status = query.status === 'all' ? undefined : (query.status || 'issued');
+  const dateError = getDateError(query);
+  if (dateError) {
+    throw new Error(dateError);
+  }
+  const filter = await buildCouponFilter({ ...query, status }, 'claimedAt');
+  if (!filter) {
+    throw new Error(`Campaign "${query.campaign}" not found`);
+  }
+
+  // Small lookup so each row can show the campaign slug without a query per coupon
+  const campaigns = await Campaign.find({}, { slug: 1 }).lean();
+  const campaignSlugs = new Map(campaigns.map(campaign => [String(campaign._id), campaign.slug]));
+
+  const cursor = Coupon.find(filter)
+    .sort({ claimedAt: 1, sequenceNumber: 1 })
+    .select(['campaign', ...FIELDS.slice(1)])
+    .lean()
+    .cursor();
+
+  const formatter = createFormatter(format, campaignSlugs);
+  await new Promise((resolve, reject) => {
+    pipeline(cursor, formatter, output, error => (error ? reject(error) : resolve()));
+  });
+
+  return formatter.count || 0;
+};
+
+// If this file is run directly, write an export to a file or stdout:
+//   node couponExporter.js --format=csv --from=2024-03-01 --to=2024-03-08 [--status=claimed] [--campaign=<slug>] [--out=claims.csv]
+if (require.main === module) {
+  const { parseArgs, runWithDatabase } = require('./cli');
+  const args = parseArgs();
+  const format = args.format || 'csv';
+
+  if (!FORMATS[format]) {
+    console.error(`Unknown format "${format}", use ${Object.keys(FORMATS).join(' or ')}`);
+    process.exit(1);
+  }
+  const dateError = getDateError(args);
+  if (dateError) {
+    console.error(`--${dateError}`);
+    process.exit(1);
+  }
+
+  runWithDatabase(async () => {
+    const output = args.out ? fs.createWriteStream(args.out) : process.stdout;
+    const count = await exportCoupons({
+      query: {
+        status: args.status,
+        from: args.from,
+        to: args.to,
+        campaign: args.campaign,
+        claimedBy: args['claimed-by']
+      },
+      format,
+      output
+    });
+    console.error(`Exported ${count} coupons${args.out ? ` to ${args.out}` : ''}`);
+  });
+}
+
+module.exports = {
+  exportCoupons,
+  FORMATS
+};
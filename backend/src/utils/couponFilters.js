@@ -0,0 +1,86 @@
+const Campaign = require('../models/Campaign');
+
+// Filters for each coupon status an admin can ask for
+const STATUS_FILTERS = {
+  available: { status: 'available' },
+  reserved: { status: 'reserved' },
+  claimed: { status: 'claimed' },
+  redeemed: { status: 'redeemed' },
+  expired: { status: 'expired' },
+  voided: { status: 'voided' },
+  active: { status: 'available' }, // Older name for available
+  issued: { claimedAt: { $ne: null } } // Handed out to someone, whatever happened after
+};
+
+// Checks a status (or comma separated list of them) from the query string
+const isValidStatus = (status) => String(status).split(',').every(item => STATUS_FILTERS[item.trim()]);
+
+// Looks up a campaign by slug, or the default one when no slug is given
+const resolveCampaign = async (slug) => {
+  if (!slug) return Campaign.getDefault();
+  return Campaign.findOne({ slug: String(slug).toLowerCase() });
+};
+
+// Helper function to parse a date from the query string, returns null if missing or invalid
+const parseDate = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+// Checks the from/to dates in the query string, so a typo is an error instead of
+// quietly listing everything. Returns a message, or null if they're fine.
+const getDateError = (query) => {
+  if (query.from && !parseDate(query.from)) return 'from must be a date';
+  if (query.to && !parseDate(query.to)) return 'to must be a date';
+  return null;
+};
+
+// Builds the Mongo query for listing or exporting coupons from the query string.
+// Check getDateError first. Returns null if the query names a campaign that doesn't exist.
+const buildCouponFilter = async (query, defaultDateField = 'createdAt') => {
+  const filter = {};
+
+  if (query.campaign) {
+    const campaign = await resolveCampaign(query.campaign);
+    if (!campaign) return null;
+    filter.campaign = campaign._id;
+  }
+
+  // Several statuses can be asked for at once, e.g. claimed,redeemed
+  if (query.status) {
+    const statuses = String(query.status).split(',').map(item => item.trim());
+    filter.$or = statuses.map(status => STATUS_FILTERS[status]);
+  }
+
+  if (query.claimedBy) {
+    filter.claimedBy = String(query.claimedBy);
+  }
+
+  // Codes are always upper case, so a prefix search can use the unique index
+  if (query.code) {
+    const escaped = String(query.code).toUpperCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    filter.code = { $regex: `^${escaped}` };
+  }
+
+  // Date range applies to createdAt by default, or claimedAt if asked for
+  const dateField = (query.dateField || defaultDateField) === 'claimedAt' ? 'claimedAt' : 'createdAt';
+  const from = parseDate(query.from);
+  const to = parseDate(query.to);
+  if (from || to) {
+    filter[dateField] = {};
+    if (from) filter[dateField].$gte = from;
+    if (to) filter[dateField].$lte = to;
+  }
+
+  return filter;
+};
+
+module.exports = {
+  STATUS_FILTERS,
+  isValidStatus,
+  resolveCampaign,
+  parseDate,
+  getDateError,
+  buildCouponFilter
+};
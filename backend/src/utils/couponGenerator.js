@@ -1,117 +1,169 @@
 const Coupon = require('../models/Coupon');
+const Campaign = require('../models/Campaign');
+const Counter = require('../models/Counter');
+const { generateCode } = require('./codeFormats');
+const { config } = require('../config');
+const { logger } = require('./logger');
+const { recordReplenishment } = require('./metrics');
 
-// Configuration
+// Pool sizes, from COUPON_MIN_STOCK, COUPON_REPLENISH_COUNT and COUPON_SEED_COUNT
 const CONFIG = {
-  MINIMUM_COUPONS: 20,    // Minimum number of coupons to maintain
-  REPLENISH_COUNT: 50,    // Number of coupons to generate when running low
-  INITIAL_SEED_COUNT: 100 // Number of coupons to generate during initial seeding
+  MINIMUM_COUPONS: config.coupons.minimumStock,    // Minimum number of coupons to maintain
+  REPLENISH_COUNT: config.coupons.replenishCount,  // Number of coupons to generate when running low
+  INITIAL_SEED_COUNT: config.coupons.seedCount     // Number of coupons to generate during initial seeding
 };
 
-// Function to generate a random coupon code
-const generateCouponCode = () => {
-  const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
-  let code = '';
-  for (let i = 0; i < 8; i++) {
-    code += chars.charAt(Math.floor(Math.random() * chars.length));
-  }
-  return code;
-};
+// Function to generate a random coupon code in a campaign's format
+const generateCouponCode = (campaign) => generateCode(campaign.getCodeFormat());
+
+// How many rounds of regenerating colliding codes we try before giving up
+const MAX_GENERATE_ATTEMPTS = 5;
 
-// Function to get the next sequence number
-const getNextSequenceNumber = async () => {
-  const lastCoupon = await Coupon.findOne({}, { sequenceNumber: 1 })
+// Name of the counter that hands out a campaign's sequence numbers
+const sequenceCounterName = (campaignId) => `coupon-seq:${campaignId}`;
+
+// Function to get the highest sequence number already used in a campaign
+const getLastSequenceNumber = async (campaignId) => {
+  const lastCoupon = await Coupon.findOne({ campaign: campaignId }, { sequenceNumber: 1 })
     .sort({ sequenceNumber: -1 })
     .limit(1);
-  return lastCoupon ? lastCoupon.sequenceNumber + 1 : 1;
+  return lastCoupon ? lastCoupon.sequenceNumber : 0;
 };
 
-// Function to generate multiple coupons
-const generateCoupons = async (count) => {
+// Atomically reserves `count` sequence numbers in a campaign and returns the first.
+// Nobody else can get the same numbers, even if they're generating at the same time.
+const reserveSequenceNumbers = (campaignId, count) =>
+  Counter.reserve(sequenceCounterName(campaignId), count, () => getLastSequenceNumber(campaignId));
+
+// Function to generate multiple coupons for a campaign.
+// Codes that clash with existing ones are regenerated and retried, so one unlucky
+// code doesn't sink the whole batch. Returns how many were actually created.
+// Pass validFrom/expiresAt to give the whole batch a validity window.
+const generateCoupons = async (count, campaign, { validFrom = null, expiresAt = null } = {}) => {
+  const result = { requested: count, created: 0, attempts: 0 };
+
   try {
-    let nextSeq = await getNextSequenceNumber();
-    
-    const coupons = await Promise.all(
-      Array.from({ length: count }, async (_, index) => ({
-        code: generateCouponCode(),
-        sequenceNumber: nextSeq + index,
-        isActive: true
-      }))
-    );
-
-    await Coupon.insertMany(coupons);
-    console.log(`Successfully generated ${count} new coupons starting from sequence ${nextSeq}`);
-    return true;
+    const firstSeq = await reserveSequenceNumbers(campaign._id, count);
+    let pending = Array.from({ length: count }, (_, index) => firstSeq + index);
+
+    while (pending.length && result.attempts < MAX_GENERATE_ATTEMPTS) {
+      result.attempts++;
+
+      // Make sure codes don't clash within the batch itself
+      const codes = new Set();
+      const coupons = pending.map(sequenceNumber => {
+        let code;
+        do {
+          code = generateCouponCode(campaign);
+        } while (codes.has(code));
+        codes.add(code);
+        return { campaign: campaign._id, code, sequenceNumber, validFrom, expiresAt };
+      });
+
+      try {
+        await Coupon.insertMany(coupons, { ordered: false });
+        result.created += coupons.length;
+        pending = [];
+      } catch (error) {
+        // Only duplicate keys are worth retrying, anything else is a real problem
+        if (!error.writeErrors || error.writeErrors.some(writeError => writeError.code !== 11000)) {
+          throw error;
+        }
+
+        // A clashing code keeps its sequence number and just gets a new code. A clashing
+        // sequence number (from coupons added without the counter) gets a fresh one.
+        const failed = error.writeErrors.map(writeError => ({
+          index: writeError.index,
+          codeClash: /\bcode_1\b/.test(writeError.errmsg || '')
+        }));
+        result.created += coupons.length - failed.length;
+
+        const sequenceClashes = failed.filter(item => !item.codeClash).length;
+        const freshSeq = sequenceClashes ? await reserveSequenceNumbers(campaign._id, sequenceClashes) : 0;
+        let freshIndex = 0;
+        pending = failed.map(item => (item.codeClash ? coupons[item.index].sequenceNumber : freshSeq + freshIndex++));
+
+        logger.warn('Generated coupons clashed with existing ones, retrying', { campaign: campaign.slug, count: failed.length });
+      }
+    }
+
+    if (pending.length) {
+      logger.error('Gave up generating coupons', { campaign: campaign.slug, count: pending.length, attempts: result.attempts });
+    }
+    logger.info('Generated coupons', { campaign: campaign.slug, created: result.created, requested: count, firstSequence: firstSeq });
   } catch (error) {
-    console.error('Error generating coupons:', error);
-    return false;
+    logger.error('Error generating coupons', { error });
   }
+
+  return result;
 };
 
-// Function to check and replenish coupons if needed
-const checkAndReplenishCoupons = async () => {
+// Function to check and replenish a campaign's coupons if needed
+const checkAndReplenishCoupons = async (campaign) => {
   try {
-    const remainingCoupons = await Coupon.countDocuments({ isActive: true });
+    const remainingCoupons = await Coupon.countDocuments({ campaign: campaign._id, ...Coupon.claimableFilter() });
     
     if (remainingCoupons < CONFIG.MINIMUM_COUPONS) {
-      console.log(`Coupons running low (${remainingCoupons} remaining). Generating more...`);
-      await generateCoupons(CONFIG.REPLENISH_COUNT);
-      return true;
+      logger.info('Coupons running low, generating more', { campaign: campaign.slug, remaining: remainingCoupons });
+      const { created } = await generateCoupons(CONFIG.REPLENISH_COUNT, campaign);
+      recordReplenishment({ campaign: campaign.slug, created, failed: created === 0 });
+      return created > 0;
     }
     return false;
   } catch (error) {
-    console.error('Error checking/replenishing coupons:', error);
+    logger.error('Error checking/replenishing coupons', { error });
     return false;
   }
 };
 
-// Function to seed initial coupons (clears existing ones)
-const seedInitialCoupons = async (count = CONFIG.INITIAL_SEED_COUNT) => {
+// Function to seed initial coupons for a campaign (clears its existing ones)
+const seedInitialCoupons = async (campaign, count = CONFIG.INITIAL_SEED_COUNT) => {
   try {
-    // Clear existing coupons
-    await Coupon.deleteMany({});
-    console.log('Cleared existing coupons');
+    // Clear existing coupons, but only in this campaign's pool, and start numbering from 1 again
+    await Coupon.deleteMany({ campaign: campaign._id });
+    await Counter.deleteOne({ _id: sequenceCounterName(campaign._id) });
+    logger.info('Cleared existing coupons', { campaign: campaign.slug });
 
     // Generate new coupons
-    const success = await generateCoupons(count);
-    if (success) {
-      console.log(`Database seeded with ${count} coupons`);
+    const { created } = await generateCoupons(count, campaign);
+    if (created === count) {
+      logger.info('Seeded coupons', { campaign: campaign.slug, count });
       return true;
     }
     return false;
   } catch (error) {
-    console.error('Error seeding coupons:', error);
+    logger.error('Error seeding coupons', { error });
     return false;
   }
 };
 
-// If this file is run directly (node couponGenerator.js), seed the database
+// If this file is run directly (node couponGenerator.js), seed the database.
+// Pass --campaign=<slug> to seed a specific campaign and --count=<n> to change how many.
 if (require.main === module) {
-  // Load environment variables
-  require('dotenv').config({ path: require('path').resolve(__dirname, '../../.env') });
-  
-  const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/coupon-system';
-  
-  console.log('Connecting to MongoDB...');
-  console.log('Using database:', MONGODB_URI.split('@')[1]); // Log the database URL (excluding credentials)
-
-  const mongoose = require('mongoose');
-  mongoose.connect(MONGODB_URI)
-    .then(() => {
-      console.log('Connected to MongoDB successfully');
-      return seedInitialCoupons();
-    })
-    .then(() => {
-      console.log('Seeding completed successfully');
-      process.exit(0);
-    })
-    .catch(error => {
-      console.error('Error:', error);
-      process.exit(1);
-    });
+  const { parseArgs, runWithDatabase } = require('./cli');
+  const args = parseArgs();
+
+  runWithDatabase(async () => {
+    const campaign = args.campaign
+      ? await Campaign.findOne({ slug: args.campaign })
+      : await Campaign.getDefault();
+
+    if (!campaign) {
+      throw new Error(`Campaign "${args.campaign}" not found`);
+    }
+
+    const count = args.count ? parseInt(args.count) : CONFIG.INITIAL_SEED_COUNT;
+    const success = await seedInitialCoupons(campaign, count);
+    if (!success) {
+      throw new Error('Seeding failed');
+    }
+    console.log('Seeding completed successfully');
+  });
 }
 
 module.exports = {
   generateCouponCode,
+  reserveSequenceNumbers,
   generateCoupons,
   checkAndReplenishCoupons,
   seedInitialCoupons,
@@ -0,0 +1,213 @@
+const path = require('path');
+const fs = require('fs');
+const Coupon = require('../models/Coupon');
+const Campaign = require('../models/Campaign');
+const { reserveSequenceNumbers } = require('./couponGenerator');
+const { parseCsv } = require('./csv');
+const { parseValidity } = require('./couponValidity');
+const { logger } = require('./logger');
+
+// Partner codes vary a lot, so be fairly relaxed: letters, digits and hyphens
+const CODE_PATTERN = /^[A-Z0-9](?:[A-Z0-9-]*[A-Z0-9])?$/;
+const MIN_CODE_LENGTH = 4;
+const MAX_CODE_LENGTH = 64;
+const MAX_IMPORT_ROWS = 50000;
+
+// Thrown when the file itself can't be read, as opposed to individual bad rows
+class ImportFormatError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ImportFormatError';
+  }
+}
+
+// Pulls the codes out of a CSV file. Uses the "code" column if there's a header,
+// otherwise the first column. Row numbers match what you'd see in a spreadsheet.
+// Optional validFrom/expiresAt columns give a row its own validity window.
+const readCsvCodes = (text) => {
+  const rows = parseCsv(text);
+  if (!rows.length) return [];
+
+  const header = rows[0].map(cell => cell.trim().toLowerCase());
+  const codeColumn = header.indexOf('code');
+  const validFromColumn = header.indexOf('validfrom');
+  const expiresAtColumn = header.indexOf('expiresat');
+  const dataRows = codeColumn === -1 ? rows : rows.slice(1);
+  const firstRowNumber = codeColumn === -1 ? 1 : 2;
+
+  return dataRows.map((cells, index) => ({
+    row: index + firstRowNumber,
+    code: cells[Math.max(codeColumn, 0)],
+    validFrom: validFromColumn === -1 ? undefined : cells[validFromColumn]?.trim(),
+    expiresAt: expiresAtColumn === -1 ? undefined : cells[expiresAtColumn]?.trim()
+  }));
+};
+
+// Pulls the codes out of JSON: either ["CODE1", ...], [{ "code": "CODE1" }, ...]
+// or the same wrapped as { "coupons": [...] }. Objects can have validFrom/expiresAt too.
+const readJsonCodes = (input) => {
+  let data = input;
+  if (typeof input === 'string') {
+    try {
+      data = JSON.parse(input);
+    } catch (error) {
+      throw new ImportFormatError(`Invalid JSON: ${error.message}`);
+    }
+  }
+
+  const items = Array.isArray(data) ? data : data?.coupons;
+  if (!Array.isArray(items)) {
+    throw new ImportFormatError('JSON must be an array of codes or an object with a "coupons" array');
+  }
+
+  return items.map((item, index) => {
+    const isObject = typeof item === 'object' && item !== null;
+    return {
+      row: index + 1,
+      code: isObject ? item.code : item,
+      validFrom: isObject ? item.validFrom : undefined,
+      expiresAt: isObject ? item.expiresAt : undefined
+    };
+  });
+};
+
+// Checks a single code and returns why it's no good, or null if it's fine
+const validateCode = (code) => {
+  if (!code) return 'missing_code';
+  if (code.length < MIN_CODE_LENGTH || code.length > MAX_CODE_LENGTH) return 'invalid_length';
+  if (!CODE_PATTERN.test(code)) return 'invalid_characters';
+  return null;
+};
+
+// Imports a list of externally issued codes into a campaign.
+// Every row ends up in the report as either accepted or rejected with a reason.
+// With dryRun nothing is written, but the report shows what would happen.
+// `validity` ({ validFrom, expiresAt }) applies to every row that doesn't set its own.
+const importCoupons = async ({ content, format, campaign, validity = {}, dryRun = false }) => {
+  const entries = format === 'csv' ? readCsvCodes(String(content)) : readJsonCodes(content);
+
+  if (!entries.length) {
+    throw new ImportFormatError('No codes found to import');
+  }
+  if (entries.length > MAX_IMPORT_ROWS) {
+    throw new ImportFormatError(`Too many rows, the limit is ${MAX_IMPORT_ROWS} per import`);
+  }
+
+  // Check each row on its own first, then for repeats within the file
+  const now = new Date();
+  const seen = new Set();
+  const rows = entries.map(({ row, code: rawCode, validFrom, expiresAt }) => {
+    const code = typeof rawCode === 'string' || typeof rawCode === 'number'
+      ? String(rawCode).trim().toUpperCase()
+      : '';
+    const dates = parseValidity({
+      validFrom: validFrom || validity.validFrom,
+      expiresAt: expiresAt || validity.expiresAt
+    }, now);
+    const reason = validateCode(code) || (seen.has(code) ? 'duplicate_in_file' : null) || dates.error?.reason || null;
+    seen.add(code);
+    const result = { row, code, status: reason ? 'rejected' : 'accepted', reason };
+    if (!reason) {
+      result.validFrom = dates.validFrom;
+      result.expiresAt = dates.expiresAt;
+    }
+    return result;
+  });
+
+  // Then against what's already in the database (codes are unique across all campaigns)
+  const candidates = rows.filter(row => row.status === 'accepted');
+  const existing = await Coupon.find({ code: { $in: candidates.map(row => row.code) } }, { code: 1 });
+  const existingCodes = new Set(existing.map(coupon => coupon.code));
+  for (const row of candidates) {
+    if (existingCodes.has(row.code)) {
+      row.status = 'rejected';
+      row.reason = 'already_exists';
+    }
+  }
+
+  const accepted = rows.filter(row => row.status === 'accepted');
+  if (accepted.length && !dryRun) {
+    const nextSeq = await reserveSequenceNumbers(campaign._id, accepted.length);
+    accepted.forEach((row, index) => {
+      row.sequenceNumber = nextSeq + index;
+    });
+
+    try {
+      await Coupon.insertMany(
+        accepted.map(row => ({
+          campaign: campaign._id,
+          code: row.code,
+          sequenceNumber: row.sequenceNumber,
+          validFrom: row.validFrom,
+          expiresAt: row.expiresAt
+        })),
+        { ordered: false }
+      );
+    } catch (error) {
+      // Someone else may have added one of these codes since we checked. Those
+      // rows fail on the unique index; everything else still goes in.
+      if (!error.writeErrors) throw error;
+      for (const writeError of error.writeErrors) {
+        const row = accepted[writeError.index];
+        row.status = 'rejected';
+        row.reason = writeError.code === 11000 ? 'already_exists' : 'insert_failed';
+        delete row.sequenceNumber;
+      }
+    }
+  }
+
+  const acceptedCount = rows.filter(row => row.status === 'accepted').length;
+  logger.info('Imported coupons', { campaign: campaign.slug, dryRun, accepted: acceptedCount, rejected: rows.length - acceptedCount });
+
+  return {
+    campaign: campaign.slug,
+    dryRun,
+    total: rows.length,
+    accepted: acceptedCount,
+    rejected: rows.length - acceptedCount,
+    rows
+  };
+};
+
+// If this file is run directly, import a file from disk:
+//   node couponImporter.js codes.csv --campaign=spring-sale [--format=json] [--dry-run]
+if (require.main === module) {
+  const { parseArgs, runWithDatabase } = require('./cli');
+  const args = parseArgs();
+  const file = args._[0];
+
+  if (!file) {
+    console.error('Usage: npm run import -- <file.csv|file.json> [--campaign=<slug>] [--format=csv|json] [--valid-from=<date>] [--expires-at=<date>] [--dry-run]');
+    process.exit(1);
+  }
+
+  runWithDatabase(async () => {
+    const campaign = args.campaign
+      ? await Campaign.findOne({ slug: args.campaign })
+      : await Campaign.getDefault();
+
+    if (!campaign) {
+      throw new Error(`Campaign "${args.campaign}" not found`);
+    }
+
+    const report = await importCoupons({
+      content: fs.readFileSync(file, 'utf8'),
+      format: args.format || (path.extname(file).toLowerCase() === '.json' ? 'json' : 'csv'),
+      campaign,
+      validity: { validFrom: args['valid-from'], expiresAt: args['expires-at'] },
+      dryRun: Boolean(args['dry-run'])
+    });
+
+    for (const row of report.rows.filter(item => item.status === 'rejected')) {
+      console.log(`Row ${row.row}: ${row.code || '(empty)'} rejected - ${row.reason}`);
+    }
+    console.log(`${report.accepted} of ${report.total} codes ${report.dryRun ? 'would be' : 'were'} imported`);
+  });
+}
+
+module.exports = {
+  importCoupons,
+  validateCode,
+  ImportFormatError,
+  MAX_IMPORT_ROWS
+};
@@ -0,0 +1,25 @@
+const { parseDate } = require('./couponFilters');
+
+// Reads the validFrom/expiresAt window for a coupon or a batch of coupons.
+// Missing values mean "straight away" and "never". Returns the dates, or an
+// error with a short reason code and a message when they don't make sense.
+const parseValidity = ({ validFrom, expiresAt } = {}, now = new Date()) => {
+  const from = parseDate(validFrom);
+  const to = parseDate(expiresAt);
+
+  if ((validFrom && !from) || (expiresAt && !to)) {
+    return { error: { reason: 'invalid_dates', message: 'validFrom and expiresAt must be valid dates' } };
+  }
+  if (from && to && to <= from) {
+    return { error: { reason: 'invalid_dates', message: 'expiresAt must be after validFrom' } };
+  }
+  if (to && to <= now) {
+    return { error: { reason: 'already_expired', message: 'expiresAt must be in the future' } };
+  }
+
+  return { validFrom: from, expiresAt: to };
+};
+
+module.exports = {
+  parseValidity
+};
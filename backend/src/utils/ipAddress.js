@@ -0,0 +1,105 @@
+const net = require('net');
+
+// Express gives IPv4 clients on a dual-stack socket as ::ffff:1.2.3.4
+const normalizeIp = (ip) => {
+  const address = String(ip || '').trim();
+  return address.toLowerCase().startsWith('::ffff:') && net.isIPv4(address.slice(7))
+    ? address.slice(7)
+    : address;
+};
+
+// Turns an address into { version, value } where value is a BigInt, or null if it isn't one
+const parseIp = (ip) => {
+  const address = normalizeIp(ip);
+
+  if (net.isIPv4(address)) {
+    const value = address.split('.').reduce((total, part) => (total << 8n) + BigInt(part), 0n);
+    return { version: 4, value };
+  }
+
+  if (net.isIPv6(address)) {
+    // Expand :: and any embedded IPv4 tail into eight 16-bit groups
+    let [head, tail = null] = address.split('::');
+    const toGroups = (part) => {
+      if (!part) return [];
+      const groups = part.split(':');
+      const last = groups[groups.length - 1];
+      if (net.isIPv4(last)) {
+        const [a, b, c, d] = last.split('.').map(Number);
+        groups.splice(-1, 1, ((a << 8) | b).toString(16), ((c << 8) | d).toString(16));
+      }
+      return groups;
+    };
+    const headGroups = toGroups(head);
+    const tailGroups = toGroups(tail);
+    const missing = tail === null ? 0 : 8 - headGroups.length - tailGroups.length;
+    const groups = [...headGroups, ...Array(missing).fill('0'), ...tailGroups];
+    const value = groups.reduce((total, group) => (total << 16n) + BigInt(parseInt(group, 16)), 0n);
+    return { version: 6, value };
+  }
+
+  return null;
+};
+
+const BITS = { 4: 32, 6: 128 };
+
+// Reads "10.0.0.0/8", "2001:db8::/32" or a single address (a /32 or /128).
+// Returns { version, base, prefixLength } or null if it can't be read.
+const parseCidr = (cidr) => {
+  const [address, prefix, ...rest] = String(cidr).trim().split('/');
+  const ip = parseIp(address);
+  if (!ip || rest.length) return null;
+
+  // Only plain digits, so a stray "10.0.0.0/" isn't read as /0 and matches everyone
+  if (prefix !== undefined && !/^\d{1,3}$/.test(prefix)) return null;
+  const prefixLength = prefix === undefined ? BITS[ip.version] : Number(prefix);
+  if (prefixLength > BITS[ip.version]) {
+    return null;
+  }
+
+  const shift = BigInt(BITS[ip.version] - prefixLength);
+  return { version: ip.version, base: (ip.value >> shift) << shift, prefixLength };
+};
+
+// Whether an address falls inside a range from parseCidr
+const isInRange = (ip, range) => {
+  const parsed = typeof ip === 'string' ? parseIp(ip) : ip;
+  if (!parsed || !range || parsed.version !== range.version) return false;
+  const shift = BigInt(BITS[range.version] - range.prefixLength);
+  return (parsed.value >> shift) << shift === range.base;
+};
+
+// Formats the network part of an address, e.g. 203.0.113.0/24 or 2001:db8:0:1::/64
+const formatRange = ({ version, base, prefixLength }) => {
+  if (version === 4) {
+    const parts = [24n, 16n, 8n, 0n].map(shift => ((base >> shift) & 255n).toString());
+    return `${parts.join('.')}/${prefixLength}`;
+  }
+  const groups = [];
+  for (let shift = 112n; shift >= 0n; shift -= 16n) {
+    groups.push(((base >> shift) & 0xffffn).toString(16));
+  }
+  // Drop the trailing zero groups, which is the usual way to write a network
+  while (groups.length && groups[groups.length - 1] === '0') groups.pop();
+  return `${groups.join(':')}${groups.length < 8 ? '::' : ''}/${prefixLength}`;
+};
+
+// The subnet an address belongs to: /24 for IPv4 and /64 for IPv6 by default,
+// which is roughly what one household or one small network gets.
+// Returns null for anything that isn't an IP address.
+const subnetOf = (ip, { ipv4Prefix = 24, ipv6Prefix = 64 } = {}) => {
+  const parsed = parseIp(ip);
+  if (!parsed) return null;
+  const prefixLength = parsed.version === 4 ? ipv4Prefix : ipv6Prefix;
+  const shift = BigInt(BITS[parsed.version] - prefixLength);
+  return formatRange({ version: parsed.version, base: (parsed.value >> shift) << shift, prefixLength });
+};
+
+module.exports = {
+  normalizeIp,
+  parseIp,
+  parseCidr,
+  isInRange,
+  formatRange,
+  subnetOf
+};
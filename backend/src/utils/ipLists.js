@@ -0,0 +1,71 @@
+const IpRule = require('../models/IpRule');
+const { parseIp, parseCidr, formatRange, isInRange } = require('./ipAddress');
+
+// The lists are read on every claim, so keep them in memory for a short while.
+// Changes made through this server show up straight away; other servers pick
+// them up when their copy runs out.
+const CACHE_MS = 30 * 1000;
+
+let cached = null;
+let cachedAt = 0;
+
+// Loads the active entries from Mongo, with their ranges parsed ready for matching
+const loadEntries = async (now) => {
+  const rules = await IpRule.findActive(now);
+  return rules
+    .map(rule => ({ rule, range: parseCidr(rule.range) }))
+    .filter(entry => entry.range);
+};
+
+const getEntries = async (now = new Date()) => {
+  if (!cached || now.getTime() - cachedAt > CACHE_MS) {
+    cached = loadEntries(now);
+    cachedAt = now.getTime();
+    // Don't keep a failed load around, try again next time
+    cached.catch(() => {
+      cached = null;
+    });
+  }
+  return cached;
+};
+
+// Call after changing the lists so the next claim sees the change
+const invalidateIpLists = () => {
+  cached = null;
+};
+
+// Checks an address against both lists, plus any extra static ranges (e.g. from
+// ABUSE_BLOCKLIST). Returns the matching allow and block entries, or null for each.
+// When several entries match, the most specific range wins, then a permanent one.
+const matchIpLists = async (ip, { now = new Date(), extraBlocked = [] } = {}) => {
+  const address = parseIp(ip);
+  const match = { allowed: null, blocked: null };
+  if (!address) return match;
+
+  const entries = await getEntries(now);
+  const candidates = [
+    ...entries.filter(entry => entry.rule.isActive(now)),
+    ...extraBlocked.map(range => ({ rule: { range: formatRange(range), list: 'block', reason: 'ABUSE_BLOCKLIST', expiresAt: null }, range }))
+  ];
+
+  for (const { rule, range } of candidates) {
+    if (!isInRange(address, range)) continue;
+
+    const key = rule.list === 'allow' ? 'allowed' : 'blocked';
+    const current = match[key];
+    if (!current || range.prefixLength > current.range.prefixLength ||
+        (range.prefixLength === current.range.prefixLength && !rule.expiresAt)) {
+      match[key] = { rule, range };
+    }
+  }
+
+  return {
+    allowed: match.allowed && match.allowed.rule,
+    blocked: match.blocked && match.blocked.rule
+  };
+};
+
+module.exports = {
+  matchIpLists,
+  invalidateIpLists
+};
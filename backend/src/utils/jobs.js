@@ -0,0 +1,96 @@
+const Campaign = require('../models/Campaign');
+const ClaimPolicy = require('../models/ClaimPolicy');
+const ClaimTracker = require('../models/ClaimTracker');
+const Coupon = require('../models/Coupon');
+const { config } = require('../config');
+const { checkAndReplenishCoupons } = require('./couponGenerator');
+const { applyClaimPolicy } = require('./claimPolicy');
+const { notifyStockChanged } = require('./stockWatcher');
+const scheduler = require('./scheduler');
+
+// The background jobs the scheduler runs (see ./scheduler.js). Require the
+// scheduler's functions from here, so the jobs are always defined before they're used.
+const { defineJob } = scheduler;
+
+// Keeps every open campaign's pool topped up, so claims don't have to generate
+// coupons themselves. Claims that died halfway give their coupons back here too.
+defineJob({
+  name: 'replenish-coupons',
+  description: 'Tops up campaigns that are running low on coupons',
+  intervalSeconds: config.jobs.replenishSeconds,
+  run: async () => {
+    const now = new Date();
+    const releasedReservations = await Coupon.releaseStaleReservations(now);
+    const campaigns = await Campaign.find({ isActive: true, $or: [{ endsAt: null }, { endsAt: { $gt: now } }] });
+
+    const replenished = [];
+    for (const campaign of campaigns) {
+      if (await checkAndReplenishCoupons(campaign)) {
+        replenished.push(campaign.slug);
+        notifyStockChanged(campaign._id);
+      }
+    }
+    return { campaigns: campaigns.length, replenished, releasedReservations };
+  }
+});
+
+// Claim trackers pile up, one per IP and session that ever claimed. Once one can't
+// change the answer to a claim any more it's deleted, and so are trackers left
+// behind by campaigns that have been deleted.
+defineJob({
+  name: 'cleanup-claim-trackers',
+  description: 'Deletes claim trackers whose cooldowns and rolling limits have run out',
+  intervalSeconds: config.jobs.trackerCleanupSeconds,
+  run: async () => {
+    const now = new Date();
+    const keepMs = config.claims.trackerRetentionHours * 60 * 60 * 1000;
+    const [campaigns, policy] = await Promise.all([Campaign.find({}), ClaimPolicy.getCurrent()]);
+
+    let deleted = 0;
+    for (const campaign of campaigns) {
+      deleted += await ClaimTracker.deleteStale(applyClaimPolicy(campaign, policy), now, keepMs);
+    }
+    const orphaned = await ClaimTracker.deleteMany({ campaign: { $nin: campaigns.map(campaign => campaign._id) } });
+
+    return { deleted: deleted + orphaned.deletedCount };
+  }
+});
+
+// Marks expired coupons, so counts and listings by status stay accurate. Claims
+// and redemptions check expiry dates themselves, so nothing breaks if a sweep is
+// late; this just keeps the stored status honest.
+defineJob({
+  name: 'expire-coupons',
+  description: 'Marks coupons past their expiry date as expired',
+  intervalSeconds: config.coupons.expirySweepSeconds,
+  run: async () => ({ expired: await Coupon.expireCoupons(new Date()) })
+});
+
+// If this file is run directly, run one job once: npm run job -- expire-coupons
+// It takes the same lock as the servers, so it won't overlap with a scheduled run.
+if (require.main === module) {
+  const { parseArgs, runWithDatabase } = require('./cli');
+  const { runJob, getJobNames } = scheduler;
+  const [name] = parseArgs()._;
+
+  runWithDatabase(async () => {
+    if (!getJobNames().includes(name)) {
+      throw new Error(`Usage: npm run job -- <${getJobNames().join('|')}>`);
+    }
+    const outcome = await runJob(name, { force: true });
+    if (!outcome.ran) {
+      throw new Error(`${name} is running on another server right now`);
+    }
+    if (outcome.error) throw outcome.error;
+    console.log(JSON.stringify(outcome.result, null, 2));
+  });
+}
+
+module.exports = {
+  runJob: scheduler.runJob,
+  triggerJob: scheduler.triggerJob,
+  startScheduler: scheduler.startScheduler,
+  stopScheduler: scheduler.stopScheduler,
+  getJobStatuses: scheduler.getJobStatuses,
+  getJobNames: scheduler.getJobNames
+};
@@ -0,0 +1,115 @@
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const { config } = require('../config');
+
+// A small structured logger. Every entry is one line of JSON:
+//   {"time":"...","level":"info","msg":"Claim attempt","requestId":"...","campaign":"default","ipAddress":"ip_3f9a..."}
+// so logs can be searched and filtered by field. Entries written while handling a
+// request carry its requestId (see middleware/requestContext.js).
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const minLevel = LEVELS[config.logging.level];
+
+// Holds the current request's ID while it's being handled, across awaits
+const requestStore = new AsyncLocalStorage();
+
+// Fields that identify a person. With LOG_PRIVACY=hash (the default) they're replaced
+// by a keyed hash, so the same IP or session can still be followed through the logs
+// without the logs holding the real value. With redact they're dropped entirely.
+const PERSONAL_FIELDS = ['ip', 'ipAddress', 'claimedBy', 'sessionId', 'identifier', 'userAgent'];
+// Fields that are never logged, whatever LOG_PRIVACY says
+const SECRET_FIELDS = ['password', 'token', 'authorization', 'cookie', 'cookies', 'x-api-key', 'apiKey'];
+
+// Without LOG_HASH_SECRET the hashes only match within one run of the server
+const hashSecret = config.logging.hashSecret || crypto.randomBytes(32).toString('hex');
+
+// A keyed hash of an IP address (kind 'ip'), subnet ('subnet'), session ID ('session')
+// or user agent ('ua'), e.g. ip_3f9a1c2b7d4e5f60. Claim events store IPs the same way, so a hash
+// from an event can be searched for in the logs.
+const hashIdentifier = (kind, value) =>
+  `${kind}_${crypto.createHmac('sha256', hashSecret).update(String(value)).digest('hex').slice(0, 16)}`;
+
+const protectValue = (key, value) => {
+  if (value === null || value === undefined || config.logging.privacy === 'off') return value;
+  if (config.logging.privacy === 'redact') return '[redacted]';
+  return hashIdentifier(key === 'sessionId' ? 'session' : key === 'userAgent' ? 'ua' : 'ip', value);
+};
+
+const serializeError = (error) => ({
+  name: error.name,
+  message: error.message,
+  code: error.code,
+  stack: error.stack
+});
+
+// Copies log fields, hiding personal and secret values. Goes a few levels deep so
+// nested objects (like a request's headers) get the same treatment.
+const sanitize = (value, key = null, depth = 0) => {
+  if (key && SECRET_FIELDS.includes(key)) return '[redacted]';
+  if (key && PERSONAL_FIELDS.includes(key) && (typeof value === 'string' || typeof value === 'number')) {
+    return protectValue(key, value);
+  }
+  if (value instanceof Error) return serializeError(value);
+  if (value instanceof Date) return value.toISOString();
+  if (!value || typeof value !== 'object') return value;
+  if (depth >= 4) return '[too deep]';
+  if (Array.isArray(value)) return value.map(item => sanitize(item, null, depth + 1));
+  // Mongo ids and the like know how to turn themselves into something sensible
+  if (typeof value.toJSON === 'function' && value.constructor !== Object) return sanitize(value.toJSON(), null, depth + 1);
+
+  const copy = {};
+  for (const [field, fieldValue] of Object.entries(value)) {
+    copy[field] = sanitize(fieldValue, field, depth + 1);
+  }
+  return copy;
+};
+
+const write = (level, msg, fields, bindings) => {
+  if (LEVELS[level] < minLevel) return;
+
+  // logger.error('Something failed', error) is allowed as a shorthand
+  const extra = fields instanceof Error ? { error: fields } : fields;
+  const context = requestStore.getStore();
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    msg,
+    ...(context ? { requestId: context.requestId } : {}),
+    ...sanitize({ ...bindings, ...extra })
+  };
+
+  const line = JSON.stringify(entry);
+  if (LEVELS[level] >= LEVELS.warn) {
+    process.stderr.write(`${line}\n`);
+  } else {
+    process.stdout.write(`${line}\n`);
+  }
+};
+
+// A logger that adds the given fields to every entry, e.g. logger.child({ job: 'expiry' })
+const createLogger = (bindings = {}) => ({
+  debug: (msg, fields) => write('debug', msg, fields, bindings),
+  info: (msg, fields) => write('info', msg, fields, bindings),
+  warn: (msg, fields) => write('warn', msg, fields, bindings),
+  error: (msg, fields) => write('error', msg, fields, bindings),
+  child: (more) => createLogger({ ...bindings, ...more })
+});
+
+const logger = createLogger();
+
+if (!config.logging.hashSecret) {
+  logger.warn('LOG_HASH_SECRET is not set, using a random one. Hashed IPs in logs and claim events will change when the server restarts.');
+}
+
+// Runs fn with requestId attached to everything it logs
+const runWithRequestId = (requestId, fn) => requestStore.run({ requestId }, fn);
+
+const getRequestId = () => requestStore.getStore()?.requestId || null;
+
+module.exports = {
+  logger,
+  runWithRequestId,
+  getRequestId,
+  hashIdentifier,
+  sanitize
+};
@@ -0,0 +1,193 @@
+const mongoose = require('mongoose');
+const Coupon = require('../models/Coupon');
+const Campaign = require('../models/Campaign');
+const { countWatchers } = require('./stockWatcher');
+
+// Metrics for Prometheus, served at GET /metrics in its text format:
+// https://prometheus.io/docs/instrumenting/exposition_formats/
+// Counters and histograms are kept in memory (so they start again from zero when
+// the server restarts, which Prometheus copes with), and stock levels are read from
+// the database each time the metrics are scraped.
+
+const metrics = [];
+
+// Label values can't contain raw backslashes, quotes or newlines
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+const formatLabels = (labels) => {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+  return pairs.length ? `{${pairs.join(',')}}` : '';
+};
+
+// Every label the metric has, in order, with missing ones left empty
+const pickLabels = (labelNames, labels = {}) =>
+  Object.fromEntries(labelNames.map(name => [name, labels[name] === undefined || labels[name] === null ? '' : labels[name]]));
+
+const header = (name, help, type) => [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`];
+
+// Adds up something that happened, e.g. claims by outcome
+const createCounter = (name, help, labelNames = []) => {
+  const series = new Map();
+
+  const counter = {
+    inc: (labels, amount = 1) => {
+      const picked = pickLabels(labelNames, labels);
+      const key = JSON.stringify(picked);
+      const entry = series.get(key) || { labels: picked, value: 0 };
+      entry.value += amount;
+      series.set(key, entry);
+    },
+    render: () => [
+      ...header(name, help, 'counter'),
+      ...[...series.values()].map(entry => `${name}${formatLabels(entry.labels)} ${entry.value}`)
+    ]
+  };
+  metrics.push(counter);
+  return counter;
+};
+
+// How long things take, counted into buckets (in seconds)
+const DEFAULT_BUCKETS = [0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const createHistogram = (name, help, labelNames = [], buckets = DEFAULT_BUCKETS) => {
+  const series = new Map();
+
+  const histogram = {
+    observe: (labels, value) => {
+      const picked = pickLabels(labelNames, labels);
+      const key = JSON.stringify(picked);
+      const entry = series.get(key) || { labels: picked, counts: buckets.map(() => 0), sum: 0, count: 0 };
+      buckets.forEach((bound, index) => {
+        if (value <= bound) entry.counts[index] += 1;
+      });
+      entry.sum += value;
+      entry.count += 1;
+      series.set(key, entry);
+    },
+    render: () => [
+      ...header(name, help, 'histogram'),
+      ...[...series.values()].flatMap(entry => [
+        ...buckets.map((bound, index) => `${name}_bucket${formatLabels({ ...entry.labels, le: bound })} ${entry.counts[index]}`),
+        `${name}_bucket${formatLabels({ ...entry.labels, le: '+Inf' })} ${entry.count}`,
+        `${name}_sum${formatLabels(entry.labels)} ${entry.sum}`,
+        `${name}_count${formatLabels(entry.labels)} ${entry.count}`
+      ])
+    ]
+  };
+  metrics.push(histogram);
+  return histogram;
+};
+
+// A value read when the metrics are scraped. collect() returns [{ labels, value }].
+const createGauge = (name, help, collect) => {
+  const gauge = {
+    render: async () => [
+      ...header(name, help, 'gauge'),
+      ...(await collect()).map(({ labels = {}, value }) => `${name}${formatLabels(labels)} ${value}`)
+    ]
+  };
+  metrics.push(gauge);
+  return gauge;
+};
+
+const claimsTotal = createCounter(
+  'coupon_claims_total',
+  'Claim attempts by outcome (success, denied or error) and the reason for denials',
+  ['campaign', 'outcome', 'reason']
+);
+
+const claimDuration = createHistogram(
+  'coupon_claim_duration_seconds',
+  'How long claim requests take to answer',
+  ['outcome']
+);
+
+const replenishmentsTotal = createCounter(
+  'coupon_replenishments_total',
+  'Times a campaign ran low and more coupons were generated',
+  ['campaign', 'result']
+);
+
+const replenishedTotal = createCounter(
+  'coupon_replenished_total',
+  'Coupons generated by replenishment',
+  ['campaign']
+);
+
+// Campaign slugs by id, for labelling the stock gauges
+const campaignSlugs = async () => {
+  const campaigns = await Campaign.find({}, { slug: 1 });
+  return new Map(campaigns.map(campaign => [campaign._id.toString(), campaign.slug]));
+};
+
+// Stock can only be read while the database is up. Without it the gauges are just left out.
+const databaseReady = () => mongoose.connection.readyState === 1;
+
+createGauge('coupons_claimable', 'Coupons that can be claimed right now, by campaign', async () => {
+  if (!databaseReady()) return [];
+  const [slugs, groups] = await Promise.all([
+    campaignSlugs(),
+    Coupon.aggregate([
+      { $match: Coupon.claimableFilter(new Date()) },
+      { $group: { _id: '$campaign', count: { $sum: 1 } } }
+    ])
+  ]);
+  const counts = new Map(groups.map(group => [String(group._id), group.count]));
+  // Campaigns that have run out still show up, at zero
+  return [...slugs].map(([id, slug]) => ({ labels: { campaign: slug }, value: counts.get(id) || 0 }));
+});
+
+createGauge('coupons', 'Coupons by campaign and status', async () => {
+  if (!databaseReady()) return [];
+  const [slugs, groups] = await Promise.all([
+    campaignSlugs(),
+    Coupon.aggregate([{ $group: { _id: { campaign: '$campaign', status: '$status' }, count: { $sum: 1 } } }])
+  ]);
+  return groups.map(group => ({
+    labels: { campaign: slugs.get(String(group._id.campaign)) || 'unknown', status: group._id.status },
+    value: group.count
+  }));
+});
+
+createGauge('coupon_streams_open', 'Live update streams currently open', async () => [
+  { value: countWatchers() }
+]);
+
+createGauge('mongodb_up', 'Whether the database connection is up (1) or not (0)', async () => [
+  { value: databaseReady() ? 1 : 0 }
+]);
+
+createGauge('process_resident_memory_bytes', 'Resident memory of the server process', async () => [
+  { value: process.memoryUsage().rss }
+]);
+
+createGauge('process_uptime_seconds', 'How long the server process has been running', async () => [
+  { value: Math.round(process.uptime()) }
+]);
+
+// Records a finished claim attempt. outcome is success, denied or error, and reason
+// says why a claim was denied (e.g. ip_cooldown, session_cooldown, no_stock).
+const recordClaim = ({ campaign, outcome, reason = null, durationMs }) => {
+  claimsTotal.inc({ campaign, outcome, reason });
+  claimDuration.observe({ outcome }, durationMs / 1000);
+};
+
+const recordReplenishment = ({ campaign, created, failed = false }) => {
+  replenishmentsTotal.inc({ campaign, result: failed ? 'failed' : 'succeeded' });
+  if (created) replenishedTotal.inc({ campaign }, created);
+};
+
+// Everything, in Prometheus text format
+const renderMetrics = async () => {
+  const sections = await Promise.all(metrics.map(metric => metric.render()));
+  return `${sections.flat().join('\n')}\n`;
+};
+
+module.exports = {
+  recordClaim,
+  recordReplenishment,
+  renderMetrics,
+  createCounter,
+  createHistogram,
+  createGauge
+};
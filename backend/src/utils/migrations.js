@@ -0,0 +1,62 @@
+const Campaign = require('../models/Campaign');
+const Coupon = require('../models/Coupon');
+const ClaimEvent = require('../models/ClaimEvent');
+const ClaimTracker = require('../models/ClaimTracker');
+const { logger } = require('./logger');
+
+// Before campaigns existed there was one global pool. Move anything that
+// predates campaigns into the default campaign so it keeps being served.
+const migrateToCampaigns = async () => {
+  const defaultCampaign = await Campaign.getDefault();
+
+  const [coupons, trackers] = await Promise.all([
+    Coupon.updateMany({ campaign: { $exists: false } }, { $set: { campaign: defaultCampaign._id } }),
+    ClaimTracker.updateMany({ campaign: { $exists: false } }, { $set: { campaign: defaultCampaign._id } })
+  ]);
+
+  if (coupons.modifiedCount || trackers.modifiedCount) {
+    logger.info('Moved legacy data into the default campaign', {
+      coupons: coupons.modifiedCount,
+      trackers: trackers.modifiedCount
+    });
+  }
+
+  // sequenceNumber and identifier used to be globally unique, now they're only
+  // unique per campaign. syncIndexes drops the old indexes and builds the new ones.
+  await Promise.all([Coupon.syncIndexes(), ClaimTracker.syncIndexes()]);
+};
+
+// Coupons used to have a plain isActive flag instead of a status. Work out the
+// status from what we know about each one, and drop the old flag.
+const migrateCouponStatuses = async () => {
+  const legacy = { status: { $exists: false } };
+  // isActive isn't in the schema any more, so these need strict off to touch it
+  const options = { strict: false };
+
+  const results = await Promise.all([
+    Coupon.updateMany({ ...legacy, isActive: true }, { $set: { status: 'available' }, $unset: { isActive: '' } }, options),
+    Coupon.updateMany({ ...legacy, isActive: false, voidedAt: { $ne: null } }, { $set: { status: 'voided' }, $unset: { isActive: '' } }, options),
+    Coupon.updateMany({ ...legacy, isActive: false, claimedBy: { $ne: null } }, { $set: { status: 'claimed' }, $unset: { isActive: '' } }, options)
+  ]);
+
+  // Anything left was switched off without being claimed, which is what voided means now
+  const leftovers = await Coupon.updateMany(legacy, { $set: { status: 'voided' }, $unset: { isActive: '' } }, options);
+
+  const migrated = results.reduce((sum, result) => sum + result.modifiedCount, leftovers.modifiedCount);
+  if (migrated) {
+    logger.info('Gave legacy coupons a status', { count: migrated });
+  }
+};
+
+// Everything that needs to happen to older data before the app starts serving it
+const runMigrations = async () => {
+  await migrateToCampaigns();
+  await migrateCouponStatuses();
+  // Brings the claim events' TTL index in line with CLAIM_EVENT_RETENTION_DAYS,
+  // which Mongo won't do by itself when the setting changes
+  await ClaimEvent.syncIndexes();
+};
+
+module.exports = {
+  runMigrations
+};
@@ -0,0 +1,121 @@
+const crypto = require('crypto');
+const Coupon = require('../models/Coupon');
+const UsedChallenge = require('../models/UsedChallenge');
+const { signToken, verifyToken } = require('./tokens');
+const { config } = require('../config');
+const { logger } = require('./logger');
+
+// Hashcash-style challenges for claims. The server hands out a signed token with a
+// difficulty in bits, and the browser has to find a number (the solution) where
+// SHA-256("<token>:<solution>") starts with that many zero bits. Each extra bit
+// doubles the work, so 16 bits is a second or two for a person and adds up fast
+// for a bot making thousands of claims.
+//
+// CHALLENGE_MODE decides when claims need one:
+//   flagged - only when an abuse rule answers challenge (the default)
+//   always  - for every claim
+//   off     - never hand out challenges (challenged claims are just refused)
+const CHALLENGE_MODE = config.challenge.mode;
+const BASE_DIFFICULTY = config.challenge.difficulty;
+const MAX_DIFFICULTY = config.challenge.maxDifficulty;
+// Claims per minute across a campaign before challenges start getting harder
+const VELOCITY_THRESHOLD = config.challenge.velocityPerMinute;
+const CHALLENGE_TTL_MS = 5 * 60 * 1000;
+const VELOCITY_CACHE_MS = 5 * 1000;
+
+let secret = config.challenge.secret;
+if (!secret && CHALLENGE_MODE !== 'off') {
+  logger.warn('CHALLENGE_SECRET is not set, using a random one. Challenges will stop working when the server restarts.');
+  secret = crypto.randomBytes(32).toString('hex');
+}
+
+const getChallengeMode = () => CHALLENGE_MODE;
+
+// Difficulty for each campaign, worked out from its recent claims. Only kept for a
+// few seconds, so a spike is noticed quickly without counting claims on every request.
+const difficultyCache = new Map();
+
+// The base difficulty, plus 2 bits for every doubling of the claim rate over the
+// threshold (so 4x the usual rate means 16x the work per claim), up to the max
+const getDifficulty = async (campaign, now = new Date()) => {
+  const key = campaign._id.toString();
+  const cached = difficultyCache.get(key);
+  if (cached && now.getTime() - cached.at < VELOCITY_CACHE_MS) return cached.difficulty;
+
+  const claimsLastMinute = await Coupon.countDocuments({
+    campaign: campaign._id,
+    claimedAt: { $gt: new Date(now.getTime() - 60 * 1000) }
+  });
+
+  let difficulty = BASE_DIFFICULTY;
+  if (VELOCITY_THRESHOLD > 0 && claimsLastMinute > VELOCITY_THRESHOLD) {
+    difficulty += 2 * Math.ceil(Math.log2(claimsLastMinute / VELOCITY_THRESHOLD));
+  }
+  difficulty = Math.min(difficulty, MAX_DIFFICULTY);
+
+  difficultyCache.set(key, { at: now.getTime(), difficulty });
+  return difficulty;
+};
+
+// A new challenge for this campaign and browser session
+const issueChallenge = async (campaign, sessionId, now = new Date()) => {
+  const difficulty = await getDifficulty(campaign, now);
+  const token = signToken({
+    nonce: crypto.randomBytes(16).toString('base64url'),
+    cid: campaign._id.toString(),
+    sid: sessionId,
+    bits: difficulty
+  }, secret, CHALLENGE_TTL_MS);
+
+  return {
+    algorithm: 'sha256',
+    token,
+    difficulty,
+    expiresAt: new Date(now.getTime() + CHALLENGE_TTL_MS)
+  };
+};
+
+const countLeadingZeroBits = (buffer) => {
+  let bits = 0;
+  for (const byte of buffer) {
+    if (byte === 0) {
+      bits += 8;
+      continue;
+    }
+    return bits + Math.clz32(byte) - 24;
+  }
+  return bits;
+};
+
+// Checks a solved challenge ({ token, solution }) from a claim and spends it.
+// Returns { valid: true } or { valid: false, reason }.
+const verifyChallenge = async (answer, { campaign, sessionId }) => {
+  if (!answer || typeof answer.token !== 'string' || answer.solution === undefined) {
+    return { valid: false, reason: 'missing' };
+  }
+
+  // verifyToken also turns away expired tokens
+  const payload = secret ? verifyToken(answer.token, secret) : null;
+  if (!payload) return { valid: false, reason: 'invalid' };
+  if (payload.cid !== campaign._id.toString() || payload.sid !== sessionId) {
+    return { valid: false, reason: 'wrong_session' };
+  }
+
+  const solution = String(answer.solution);
+  if (!/^\d{1,16}$/.test(solution)) return { valid: false, reason: 'unsolved' };
+  const hash = crypto.createHash('sha256').update(`${answer.token}:${solution}`).digest();
+  if (countLeadingZeroBits(hash) < payload.bits) return { valid: false, reason: 'unsolved' };
+
+  const fresh = await UsedChallenge.spend(payload.nonce, campaign, new Date(payload.exp));
+  if (!fresh) return { valid: false, reason: 'already_used' };
+
+  return { valid: true };
+};
+
+module.exports = {
+  getChallengeMode,
+  getDifficulty,
+  issueChallenge,
+  verifyChallenge,
+  countLeadingZeroBits
+};
@@ -0,0 +1,153 @@
+const crypto = require('crypto');
+const os = require('os');
+const ScheduledJob = require('../models/ScheduledJob');
+const { logger } = require('./logger');
+
+// Runs background jobs on an interval inside the server process. Every server
+// schedules every job, and a lock in the ScheduledJob collection makes sure only
+// one of them runs it each time it's due, so adding servers doesn't add runs.
+// Jobs are defined in ./jobs.js.
+
+// Identifies this process as the holder of a lock
+const OWNER = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+
+// Timers don't fire exactly on time, so a job counts as due a little before its
+// interval is up. Otherwise a timer that's a few milliseconds early would skip a run.
+const DUE_EARLY_FRACTION = 0.1;
+
+// How long a run can hold the lock by default before another server may assume
+// it died and take over
+const DEFAULT_LOCK_SECONDS = 5 * 60;
+
+// name -> { name, description, intervalMs, lockMs, run, timer, runningHere }
+const jobs = new Map();
+
+// Adds a job. run() does the work and can return a small summary of what it did,
+// which is kept with the job's status.
+const defineJob = ({ name, description, intervalSeconds, lockSeconds = DEFAULT_LOCK_SECONDS, run }) => {
+  jobs.set(name, {
+    name,
+    description,
+    intervalMs: intervalSeconds * 1000,
+    lockMs: lockSeconds * 1000,
+    run,
+    timer: null,
+    runningHere: null
+  });
+};
+
+// Takes the lock for a job and runs it, or returns { ran: false } if it isn't
+// due (unless forced) or another server has it
+const attemptJob = async (job, force) => {
+  const startedAt = new Date();
+  const lock = await ScheduledJob.acquire(job.name, OWNER, { now: startedAt, lockMs: job.lockMs, force });
+  if (!lock) return { ran: false };
+
+  let result = null;
+  let error = null;
+  try {
+    result = (await job.run()) || null;
+  } catch (runError) {
+    error = runError;
+    logger.error('Background job failed', { job: job.name, error });
+  }
+
+  const finishedAt = new Date();
+  const nextRunAt = new Date(startedAt.getTime() + job.intervalMs * (1 - DUE_EARLY_FRACTION));
+  await ScheduledJob.finish(job.name, OWNER, { startedAt, finishedAt, nextRunAt, result, error });
+  logger.debug('Background job finished', { job: job.name, durationMs: finishedAt - startedAt, result });
+  return error ? { ran: true, error } : { ran: true, result };
+};
+
+// Runs a job now if it's due and no other server has it. force runs it even if it
+// isn't due yet, as long as it isn't running anywhere. Returns { ran: false } if
+// the job was skipped, or { ran: true, result } or { ran: true, error }.
+const runJob = async (name, { force = false } = {}) => {
+  const job = jobs.get(name);
+  if (!job) throw new Error(`Unknown job "${name}"`);
+
+  // An attempt already going here answers everyone who asks in the meantime, from
+  // the moment it starts asking for the lock. The one exception: a check that found
+  // the job wasn't due doesn't answer a forced run, which then tries for itself.
+  if (job.runningHere) {
+    const shared = await job.runningHere;
+    if (shared.ran || !force) return shared;
+    return runJob(name, { force });
+  }
+
+  const attempt = attemptJob(job, force);
+  job.runningHere = attempt;
+  try {
+    return await attempt;
+  } finally {
+    if (job.runningHere === attempt) job.runningHere = null;
+  }
+};
+
+// Asks for a job to run as soon as possible, without waiting for it, e.g. when a
+// claim finds the pool empty. Does nothing if it's already running somewhere.
+const triggerJob = (name) => {
+  runJob(name, { force: true }).catch(error => logger.error('Error running background job', { job: name, error }));
+};
+
+// Starts every job's timer, and runs each once straight away if it's due
+const startScheduler = () => {
+  for (const job of jobs.values()) {
+    if (job.timer) continue;
+    const tick = () => runJob(job.name).catch(error => logger.error('Error running background job', { job: job.name, error }));
+    tick();
+    job.timer = setInterval(tick, job.intervalMs);
+    job.timer.unref(); // Don't keep the process alive just for this
+  }
+  logger.info('Background jobs started', {
+    jobs: [...jobs.values()].map(job => ({ name: job.name, intervalSeconds: job.intervalMs / 1000 }))
+  });
+};
+
+const stopScheduler = () => {
+  for (const job of jobs.values()) {
+    clearInterval(job.timer);
+    job.timer = null;
+  }
+};
+
+// Every job with its schedule and how its last run went, whichever server ran it
+const getJobStatuses = async () => {
+  const documents = await ScheduledJob.find({ _id: { $in: [...jobs.keys()] } });
+  const byName = new Map(documents.map(document => [document._id, document]));
+
+  return [...jobs.values()].map(job => {
+    const document = byName.get(job.name);
+    return {
+      name: job.name,
+      description: job.description,
+      intervalSeconds: job.intervalMs / 1000,
+      scheduled: Boolean(job.timer),
+      running: Boolean(document && document.running),
+      runningOn: document && document.running ? document.owner : null,
+      nextRunAt: document && !document.running ? document.lockedUntil : null,
+      lastStartedAt: document ? document.lastStartedAt : null,
+      lastFinishedAt: document ? document.lastFinishedAt : null,
+      lastStatus: document ? document.lastStatus : null,
+      lastError: document ? document.lastError : null,
+      lastResult: document ? document.lastResult : null,
+      lastDurationMs: document ? document.lastDurationMs : null,
+      lastRanBy: document ? document.owner : null,
+      runs: document ? document.runs : 0,
+      failures: document ? document.failures : 0
+    };
+  });
+};
+
+const getJobNames = () => [...jobs.keys()];
+
+module.exports = {
+  OWNER,
+  defineJob,
+  runJob,
+  triggerJob,
+  startScheduler,
+  stopScheduler,
+  getJobStatuses,
+  getJobNames
+};
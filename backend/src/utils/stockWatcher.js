@@ -0,0 +1,86 @@
+const Coupon = require('../models/Coupon');
+const { config } = require('../config');
+const { logger } = require('./logger');
+
+// Keeps track of how many coupons each campaign has left, for the live update
+// streams. Only campaigns someone is watching are checked, once every
+// STREAM_STOCK_POLL_SECONDS however many people are watching, and listeners only
+// hear about it when the count changes. Claims on this server ask for a check
+// straight away; claims on other servers and admin changes show up on the next poll.
+const POLL_MS = config.stream.stockPollSeconds * 1000;
+// Claims can come in bursts, so checks asked for in quick succession are run once
+const NOTIFY_DELAY_MS = 250;
+
+// campaign id -> { campaignId, count, listeners, timer, pending, checking }
+const watched = new Map();
+
+const check = async (entry) => {
+  if (entry.checking) return;
+  entry.checking = true;
+  try {
+    const count = await Coupon.countDocuments({ campaign: entry.campaignId, ...Coupon.claimableFilter(new Date()) });
+    if (count !== entry.count) {
+      entry.count = count;
+      const update = { availableCoupons: count, timestamp: new Date().toISOString() };
+      for (const listener of entry.listeners) {
+        listener(update);
+      }
+    }
+  } catch (error) {
+    logger.error('Error checking coupon stock', { error });
+  } finally {
+    entry.checking = false;
+  }
+};
+
+// Runs a check shortly, unless one is already coming up
+const scheduleCheck = (entry) => {
+  if (entry.pending) return;
+  entry.pending = setTimeout(() => {
+    entry.pending = null;
+    check(entry);
+  }, NOTIFY_DELAY_MS);
+};
+
+// Calls listener({ availableCoupons, timestamp }) whenever the campaign's claimable
+// stock changes. Pass the count the listener already knows about, if any, so it
+// isn't told it again. Returns a function that stops listening.
+const watchStock = (campaign, listener, knownCount = null) => {
+  const key = campaign._id.toString();
+  let entry = watched.get(key);
+  if (!entry) {
+    entry = { campaignId: campaign._id, count: knownCount, listeners: new Set(), timer: null, pending: null, checking: false };
+    entry.timer = setInterval(() => check(entry), POLL_MS);
+    entry.timer.unref();
+    watched.set(key, entry);
+  } else if (knownCount !== null && knownCount !== entry.count) {
+    // Someone's count is out of date, so find out which and tell everyone
+    scheduleCheck(entry);
+  }
+  entry.listeners.add(listener);
+
+  return () => {
+    entry.listeners.delete(listener);
+    if (entry.listeners.size === 0) {
+      clearInterval(entry.timer);
+      clearTimeout(entry.pending);
+      watched.delete(key);
+    }
+  };
+};
+
+// Call when a campaign's stock has just changed, so watchers hear about it now
+// instead of on the next poll. Does nothing if nobody is watching.
+const notifyStockChanged = (campaignId) => {
+  const entry = watched.get(campaignId.toString());
+  if (entry) scheduleCheck(entry);
+};
+
+// How many streams are watching stock right now, across all campaigns
+const countWatchers = () => [...watched.values()].reduce((sum, entry) => sum + entry.listeners.size, 0);
+
+module.exports = {
+  watchStock,
+  notifyStockChanged,
+  countWatchers
+};
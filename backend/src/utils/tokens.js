@@ -0,0 +1,51 @@
+const crypto = require('crypto');
+
+// Compares two strings without leaking how much of them matched through timing
+const safeEqual = (a, b) => {
+  const bufferA = Buffer.from(String(a));
+  const bufferB = Buffer.from(String(b));
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+};
+
+// HMAC-SHA256 signature of some data, base64url encoded so it's safe in headers and cookies
+const sign = (data, secret) => crypto.createHmac('sha256', secret).update(data).digest('base64url');
+
+// SHA-256 hash, used for things we only ever need to compare (like API keys)
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+// Creates a signed token holding the payload, valid for expiresInMs.
+// Format: base64url(JSON payload).signature
+const signToken = (payload, secret, expiresInMs) => {
+  const body = Buffer.from(JSON.stringify({
+    ...payload,
+    exp: Date.now() + expiresInMs
+  })).toString('base64url');
+
+  return `${body}.${sign(body, secret)}`;
+};
+
+// Checks a token's signature and expiry. Returns the payload, or null if it's not valid.
+const verifyToken = (token, secret) => {
+  if (typeof token !== 'string') return null;
+
+  const [body, signature] = token.split('.');
+  if (!body || !signature || !safeEqual(signature, sign(body, secret))) {
+    return null;
+  }
+
+  try {
+    const payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+    if (!payload.exp || payload.exp <= Date.now()) return null;
+    return payload;
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = {
+  safeEqual,
+  sign,
+  sha256,
+  signToken,
+  verifyToken
+};
@@ -0,0 +1,141 @@
+// Checks how abuse rule modes and results turn into one decision, and that bad
+// rule settings are refused. The rules and IP lists are stubbed in memory here.
+// Run with: npm test
+process.env.LOG_LEVEL = 'error';
+process.env.ABUSE_RULES = JSON.stringify({
+  userAgent: { mode: 'enforce' },
+  subnetThrottle: { mode: 'monitor' },
+  poolVelocity: { mode: 'off' }
+});
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const IpRule = require('../src/models/IpRule');
+const { RULES, decide, evaluateClaim } = require('../src/abuse');
+const { loadRuleConfig } = require('../src/abuse/config');
+const { allow, deny, challenge } = require('../src/abuse/decisions');
+const { invalidateIpLists } = require('../src/utils/ipLists');
+
+const later = (minutes) => new Date(Date.parse('2025-03-05T10:00:00Z') + minutes * 60 * 1000);
+
+describe('abuse decisions', () => {
+  it('allows when no enforced rule flags the claim', () => {
+    assert.deepEqual(decide([]), { action: 'allow' });
+    assert.deepEqual(decide([{ rule: 'ipCooldown', mode: 'enforce', ...allow() }]), { action: 'allow' });
+  });
+
+  it('ignores what monitored rules say', () => {
+    const results = [
+      { rule: 'userAgent', mode: 'monitor', ...deny('bot') },
+      { rule: 'poolVelocity', mode: 'monitor', ...challenge('fast') },
+      { rule: 'ipCooldown', mode: 'enforce', ...allow() }
+    ];
+    assert.deepEqual(decide(results), { action: 'allow' });
+  });
+
+  it('takes the first enforced challenge when nothing denies', () => {
+    const results = [
+      { rule: 'ipCooldown', mode: 'enforce', ...allow() },
+      { rule: 'userAgent', mode: 'enforce', ...challenge('no_user_agent') },
+      { rule: 'poolVelocity', mode: 'enforce', ...challenge('pool_velocity') }
+    ];
+    assert.equal(decide(results).rule, 'userAgent');
+  });
+
+  it('prefers any enforced denial over a challenge, and the one that lasts longest', () => {
+    const results = [
+      { rule: 'userAgent', mode: 'enforce', ...challenge('no_user_agent') },
+      { rule: 'ipCooldown', mode: 'enforce', ...deny('ip_cooldown', { retryAt: later(1) }) },
+      { rule: 'sessionCooldown', mode: 'enforce', ...deny('session_cooldown', { retryAt: later(5) }) },
+      { rule: 'subnetThrottle', mode: 'monitor', ...deny('subnet_throttle', { retryAt: null }) }
+    ];
+    assert.equal(decide(results).rule, 'sessionCooldown');
+
+    // A denial that never ends outlasts everything
+    results.push({ rule: 'blocklist', mode: 'enforce', ...deny('blocked', { retryAt: null }) });
+    assert.equal(decide(results).rule, 'blocklist');
+  });
+});
+
+describe('evaluating a claim', () => {
+  const campaign = { _id: 'c1', slug: 'spring' };
+  let said;
+  let ran;
+
+  for (const rule of RULES) {
+    rule.evaluate = async () => {
+      ran.push(rule.name);
+      return said[rule.name] || allow();
+    };
+  }
+
+  beforeEach(() => {
+    said = {};
+    ran = [];
+    IpRule.findActive = async () => [];
+    invalidateIpLists();
+  });
+
+  const evaluate = () => evaluateClaim({ campaign, ipAddress: '203.0.113.7', sessionId: 's1', userAgent: 'test' });
+
+  it("doesn't run rules that are off", async () => {
+    said.poolVelocity = deny('pool_velocity');
+    const decision = await evaluate();
+    assert.equal(decision.action, 'allow');
+    assert.ok(!ran.includes('poolVelocity'));
+    assert.deepEqual(decision.results.map(result => result.rule), RULES.map(rule => rule.name).filter(name => name !== 'poolVelocity'));
+  });
+
+  it('reports monitored rules without acting on them', async () => {
+    said.subnetThrottle = deny('subnet_throttle');
+    const decision = await evaluate();
+    assert.equal(decision.action, 'allow');
+    const subnet = decision.results.find(result => result.rule === 'subnetThrottle');
+    assert.equal(subnet.mode, 'monitor');
+    assert.equal(subnet.action, 'deny');
+  });
+
+  it('acts on enforced challenges and denials', async () => {
+    said.userAgent = challenge('no_user_agent');
+    assert.equal((await evaluate()).action, 'challenge');
+
+    said.ipCooldown = deny('ip_cooldown', { retryAt: later(1) });
+    const decision = await evaluate();
+    assert.equal(decision.action, 'deny');
+    assert.equal(decision.rule, 'ipCooldown');
+  });
+
+  it('skips rules allowlisted addresses are exempt from', async () => {
+    IpRule.findActive = async () => [new IpRule({ list: 'allow', range: '203.0.113.7/32' })];
+    said.userAgent = deny('no_user_agent');
+    said.ipCooldown = deny('ip_cooldown');
+
+    // userAgent is exempt for allowlisted addresses, cooldowns aren't
+    const decision = await evaluate();
+    assert.ok(!ran.includes('userAgent'));
+    assert.equal(decision.rule, 'ipCooldown');
+  });
+});
+
+describe('abuse rule settings', () => {
+  const load = (rules = {}, { nodeEnv = 'production', blocklist = [] } = {}) => loadRuleConfig({ nodeEnv, rules, blocklist });
+
+  it('layers the environment and ABUSE_RULES over the defaults', () => {
+    assert.equal(load().subnetThrottle.mode, 'monitor');
+    assert.equal(load({}, { nodeEnv: 'development' }).subnetThrottle.mode, 'off');
+    const config = load({ subnetThrottle: { mode: 'enforce', maxAddresses: 3 } }, { nodeEnv: 'development' });
+    assert.equal(config.subnetThrottle.mode, 'enforce');
+    assert.equal(config.subnetThrottle.maxAddresses, 3);
+    assert.equal(config.subnetThrottle.action, 'challenge');
+  });
+
+  it('adds ABUSE_BLOCKLIST to the blocklist rule', () => {
+    assert.deepEqual(load({}, { blocklist: ['203.0.113.0/24'] }).blocklist, { mode: 'enforce', entries: ['203.0.113.0/24'] });
+  });
+
+  it('refuses modes, actions and rules it does not know', () => {
+    assert.throws(() => load({ userAgent: { mode: 'strict' } }), /userAgent has mode "strict"/);
+    assert.throws(() => load({ poolVelocity: { action: 'block' } }), /poolVelocity has action "block"/);
+    assert.throws(() => load({ captcha: { mode: 'enforce' } }), /Unknown abuse rules: captcha/);
+  });
+});
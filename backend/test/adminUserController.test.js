@@ -0,0 +1,63 @@
+// Checks how admin users are updated, and that owners can't lock themselves out.
+// The admin users are kept in memory here instead of in MongoDB.
+// Run with: npm test
+process.env.LOG_LEVEL = 'error';
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const AdminUser = require('../src/models/AdminUser');
+const adminUserController = require('../src/controllers/adminUserController');
+
+// Remembers the status and body the handler sent
+const createResponse = () => ({
+  statusCode: 200,
+  body: null,
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  json(body) {
+    this.body = body;
+    return this;
+  }
+});
+
+describe('updating an admin user', () => {
+  let owner;
+  let operator;
+  beforeEach(() => {
+    owner = new AdminUser({ email: 'owner@example.com', name: 'Owner', passwordHash: 'unset', role: 'owner' });
+    operator = new AdminUser({ email: 'ops@example.com', name: 'Ops', passwordHash: 'unset', role: 'operator' });
+    for (const user of [owner, operator]) user.save = async () => user;
+    AdminUser.findById = async (id) => [owner, operator].find(user => user._id.equals(id)) || null;
+  });
+
+  const updateUser = async (user, body) => {
+    const res = createResponse();
+    await adminUserController.updateUser({ admin: { type: 'user', id: owner._id }, params: { id: String(user._id) }, body }, res);
+    return res;
+  };
+
+  it('turns a user off and on again', async () => {
+    assert.equal((await updateUser(operator, { isActive: false })).body.user.isActive, false);
+    assert.equal(operator.isActive, false);
+    assert.equal((await updateUser(operator, { isActive: true })).body.user.isActive, true);
+  });
+
+  it('refuses isActive values that are not true or false', async () => {
+    for (const isActive of ['false', 'true', 0, 1, null]) {
+      const res = await updateUser(operator, { isActive });
+      assert.equal(res.statusCode, 400, JSON.stringify(isActive));
+      assert.equal(res.body.message, 'isActive must be true or false');
+    }
+    assert.equal(operator.isActive, true);
+  });
+
+  it("doesn't let owners disable or demote themselves", async () => {
+    assert.equal((await updateUser(owner, { isActive: 'false' })).statusCode, 400);
+    assert.equal((await updateUser(owner, { isActive: false })).body.message, 'You cannot demote or disable yourself');
+    assert.equal((await updateUser(owner, { role: 'viewer' })).body.message, 'You cannot demote or disable yourself');
+    assert.equal(owner.isActive, true);
+    assert.equal(owner.role, 'owner');
+  });
+});
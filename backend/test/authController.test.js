@@ -0,0 +1,60 @@
+// Checks that admins can change their own password and get a working token back.
+// The admin user is kept in memory here instead of in MongoDB.
+// Run with: npm test
+process.env.ADMIN_TOKEN_SECRET = 'a-secret-just-for-these-tests';
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const AdminUser = require('../src/models/AdminUser');
+const authController = require('../src/controllers/authController');
+const { verifyToken } = require('../src/utils/tokens');
+
+// Remembers the status and body the handler sent
+const createResponse = () => ({
+  statusCode: 200,
+  body: null,
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  json(body) {
+    this.body = body;
+    return this;
+  }
+});
+
+describe('changing a password', () => {
+  let user;
+  beforeEach(async () => {
+    user = new AdminUser({ email: 'ops@example.com', name: 'Ops', passwordHash: 'unset', role: 'operator' });
+    await user.setPassword('the-old-password');
+    user.save = async () => user;
+    AdminUser.findById = async () => user;
+  });
+
+  const changePassword = async (body) => {
+    const res = createResponse();
+    await authController.changePassword({ admin: { type: 'user', id: user._id }, body }, res);
+    return res;
+  };
+
+  it('changes the password and returns a token for the new version', async () => {
+    const versionBefore = user.tokenVersion;
+    const res = await changePassword({ currentPassword: 'the-old-password', newPassword: 'a-brand-new-password' });
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(await user.verifyPassword('a-brand-new-password'), true);
+    assert.equal(await user.verifyPassword('the-old-password'), false);
+
+    const payload = verifyToken(res.body.token, process.env.ADMIN_TOKEN_SECRET);
+    assert.equal(payload.sub, user._id.toString());
+    assert.equal(payload.ver, user.tokenVersion);
+    assert.ok(user.tokenVersion > versionBefore);
+  });
+
+  it('refuses a wrong current password', async () => {
+    const res = await changePassword({ currentPassword: 'not-the-password', newPassword: 'a-brand-new-password' });
+    assert.equal(res.statusCode, 401);
+    assert.equal(await user.verifyPassword('the-old-password'), true);
+  });
+});
@@ -0,0 +1,41 @@
+// Checks how analytics date ranges are read and split into buckets.
+// Run with: npm test
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseRange, bucketStarts, truncate } = require('../src/utils/claimAnalytics');
+
+describe('claim analytics ranges', () => {
+  const now = new Date('2025-03-05T10:30:00Z'); // A Wednesday
+
+  it('defaults to the last 7 days by day', () => {
+    const { range } = parseRange({}, now);
+    assert.equal(range.to.toISOString(), now.toISOString());
+    assert.equal(range.from.toISOString(), '2025-02-26T10:30:00.000Z');
+    assert.equal(range.granularity, 'day');
+  });
+
+  it('defaults to hourly buckets for short ranges', () => {
+    const { range } = parseRange({ from: '2025-03-04T00:00:00Z', to: '2025-03-05T00:00:00Z' }, now);
+    assert.equal(range.granularity, 'hour');
+    assert.equal(bucketStarts(range.from, range.to, range.granularity).length, 24);
+  });
+
+  it('refuses bad ranges and too many buckets', () => {
+    assert.match(parseRange({ from: 'yesterday' }, now).error, /from must be a date/);
+    assert.match(parseRange({ from: '2025-03-05', to: '2025-03-01' }, now).error, /before/);
+    assert.match(parseRange({ granularity: 'minute' }, now).error, /granularity/);
+    assert.match(parseRange({ from: '2024-01-01', granularity: 'hour' }, now).error, /the most is 1000/);
+  });
+
+  it('starts weeks on Monday in UTC', () => {
+    assert.equal(truncate(now, 'week').toISOString(), '2025-03-03T00:00:00.000Z');
+    assert.equal(truncate(new Date('2025-03-09T23:59:00Z'), 'week').toISOString(), '2025-03-03T00:00:00.000Z');
+    assert.equal(truncate(now, 'day').toISOString(), '2025-03-05T00:00:00.000Z');
+    assert.equal(truncate(now, 'hour').toISOString(), '2025-03-05T10:00:00.000Z');
+  });
+
+  it('includes the bucket the range starts in', () => {
+    const starts = bucketStarts(new Date('2025-03-01T10:30:00Z'), new Date('2025-03-03T00:00:00Z'), 'day');
+    assert.deepEqual(starts.map(date => date.toISOString()), ['2025-03-01T00:00:00.000Z', '2025-03-02T00:00:00.000Z']);
+  });
+});
@@ -0,0 +1,150 @@
+// Fires lots of claims at the same time against a throwaway in-memory MongoDB and
+// checks nobody gets more coupons than their cooldown and claim limit allow.
+// Run with: npm test
+
+// The controller logs every claim, which drowns out the test output
+process.env.LOG_LEVEL = 'error';
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const Campaign = require('../src/models/Campaign');
+const Coupon = require('../src/models/Coupon');
+const ClaimTracker = require('../src/models/ClaimTracker');
+const couponController = require('../src/controllers/couponController');
+const { generateCoupons } = require('../src/utils/couponGenerator');
+const { COOKIE_NAME, signSessionId } = require('../src/utils/claimSession');
+
+const PARALLEL_CLAIMS = 25;
+
+// Just enough of an Express response to see what the controller sent back
+const createResponse = () => {
+  const res = {
+    statusCode: 200,
+    body: null,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+    cookie() {
+      return this;
+    },
+    setHeader() {}
+  };
+  return res;
+};
+
+// Session IDs are 24 random characters, so pad the test's readable names out to that
+const sessionCookie = (name) => signSessionId(name.padEnd(24, '0'));
+
+// Claims from a campaign as if a request came in from this IP and session
+const claim = async (campaign, ip, sessionId) => {
+  const req = {
+    campaign,
+    ip,
+    cookies: sessionId ? { [COOKIE_NAME]: sessionCookie(sessionId) } : {},
+    get: () => 'Mozilla/5.0 (concurrency test)'
+  };
+  const res = createResponse();
+  await couponController.claimCoupon(req, res);
+  return res;
+};
+
+// Runs the same claim many times at once
+const claimInParallel = (count, makeClaim) =>
+  Promise.all(Array.from({ length: count }, (_, index) => makeClaim(index)));
+
+const succeeded = (responses) => responses.filter(res => res.statusCode === 200);
+
+describe('claiming coupons concurrently', () => {
+  let mongod;
+  let campaign;
+
+  before(async () => {
+    mongod = await MongoMemoryServer.create();
+    await mongoose.connect(mongod.getUri());
+    await Promise.all([Coupon.syncIndexes(), ClaimTracker.syncIndexes(), Campaign.syncIndexes()]);
+  });
+
+  after(async () => {
+    await mongoose.disconnect();
+    await mongod?.stop();
+  });
+
+  beforeEach(async () => {
+    await Promise.all([Campaign.deleteMany({}), Coupon.deleteMany({}), ClaimTracker.deleteMany({})]);
+    campaign = await Campaign.create({ name: 'Race', slug: 'race', cooldownMs: 60 * 1000 });
+    await generateCoupons(100, campaign);
+  });
+
+  it('gives one coupon per cooldown window to the same IP', async () => {
+    const responses = await claimInParallel(PARALLEL_CLAIMS, () => claim(campaign, '203.0.113.7'));
+
+    assert.equal(succeeded(responses).length, 1);
+    for (const res of responses.filter(item => item.statusCode !== 200)) {
+      assert.ok([409, 429].includes(res.statusCode), `unexpected status ${res.statusCode}`);
+    }
+    assert.equal(await Coupon.countDocuments({ status: 'claimed' }), 1);
+    assert.equal(await Coupon.countDocuments({ status: 'reserved' }), 0);
+
+    const tracker = await ClaimTracker.findOne({ identifier: '203.0.113.7', type: 'ip' });
+    assert.equal(tracker.claimCount, 1);
+  });
+
+  it('gives one coupon per cooldown window to the same session across IPs', async () => {
+    const responses = await claimInParallel(PARALLEL_CLAIMS, index => claim(campaign, `198.51.100.${index}`, 'session-1'));
+
+    assert.equal(succeeded(responses).length, 1);
+    assert.equal(await Coupon.countDocuments({ status: 'claimed' }), 1);
+    // IPs that lost the race on the session shouldn't be left in a cooldown
+    assert.equal(await ClaimTracker.countDocuments({ type: 'ip' }), 1);
+  });
+
+  it('never gives out more than the claim limit, even without a cooldown', async () => {
+    campaign.cooldownMs = 0;
+    campaign.maxClaimsPerUser = 3;
+    await campaign.save();
+
+    const responses = await claimInParallel(PARALLEL_CLAIMS, () => claim(campaign, '203.0.113.8'));
+    assert.ok(succeeded(responses).length <= 3);
+
+    // Requests that collided are told to retry, so keep going until the limit says no
+    for (let i = 0; i < 5; i++) {
+      await claim(campaign, '203.0.113.8');
+    }
+    assert.equal(await Coupon.countDocuments({ status: 'claimed' }), 3);
+    const tracker = await ClaimTracker.findOne({ identifier: '203.0.113.8', type: 'ip' });
+    assert.equal(tracker.claimCount, 3);
+  });
+
+  it('never gives out more than a rolling-window limit', async () => {
+    campaign.cooldownMs = 0;
+    campaign.claimLimits = [{ scope: 'ip', max: 2, windowMs: 60 * 60 * 1000 }];
+    await campaign.save();
+
+    await claimInParallel(PARALLEL_CLAIMS, () => claim(campaign, '203.0.113.10'));
+    for (let i = 0; i < 5; i++) {
+      await claim(campaign, '203.0.113.10');
+    }
+
+    assert.equal(await Coupon.countDocuments({ status: 'claimed' }), 2);
+    const res = await claim(campaign, '203.0.113.10');
+    assert.equal(res.statusCode, 429);
+    assert.equal(res.body.reason, 'claim_limit');
+    assert.ok(new Date(res.body.limit.resetsAt) > new Date());
+  });
+
+  it('gives different users different coupons', async () => {
+    const responses = await claimInParallel(PARALLEL_CLAIMS, index => claim(campaign, `192.0.2.${index}`, `session-${index}`));
+
+    const codes = succeeded(responses).map(res => res.body.coupon);
+    assert.equal(codes.length, PARALLEL_CLAIMS);
+    assert.equal(new Set(codes).size, PARALLEL_CLAIMS);
+    assert.equal(await Coupon.countDocuments({ status: 'claimed' }), PARALLEL_CLAIMS);
+  });
+});
@@ -0,0 +1,54 @@
+// Checks how claim event searches are read from the query string.
+// Run with: npm test
+process.env.IPV6_GROUP_PREFIX = '64';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildClaimEventFilter } = require('../src/utils/claimEventFilter');
+const { hashIdentifier } = require('../src/utils/logger');
+const { getClientIp } = require('../src/utils/clientIp');
+
+describe('claim event filters', () => {
+  it('hashes addresses the same way events are stored', () => {
+    const { filter } = buildClaimEventFilter({ ip: '::ffff:203.0.113.7' });
+    assert.equal(filter.ipHash, hashIdentifier('ip', '203.0.113.7'));
+    assert.ok(!JSON.stringify(filter).includes('203.0.113'));
+  });
+
+  it('writes IPv6 addresses the way clients are identified', () => {
+    const stored = hashIdentifier('ip', getClientIp({ ip: '2001:db8::1' }));
+    assert.equal(buildClaimEventFilter({ ip: '2001:DB8:0:0:0:0:0:1' }).filter.ipHash, stored);
+    assert.equal(buildClaimEventFilter({ ip: '2001:db8::abcd' }).filter.ipHash, stored);
+    assert.equal(
+      buildClaimEventFilter({ subnet: '2001:DB8:0:0:FFFF::1' }).filter.subnetHash,
+      hashIdentifier('subnet', '2001:db8::/64')
+    );
+  });
+
+  it('finds a whole subnet from any address in it', () => {
+    const a = buildClaimEventFilter({ subnet: '203.0.113.7' }).filter;
+    const b = buildClaimEventFilter({ subnet: '203.0.113.0/24' }).filter;
+    assert.equal(a.subnetHash, hashIdentifier('subnet', '203.0.113.0/24'));
+    assert.equal(a.subnetHash, b.subnetHash);
+  });
+
+  it('reads outcome, reasons and dates', () => {
+    const { filter } = buildClaimEventFilter({
+      outcome: 'denied',
+      reason: 'ip_cooldown, session_cooldown',
+      from: '2025-03-01',
+      session: 'abc'
+    });
+    assert.equal(filter.outcome, 'denied');
+    assert.deepEqual(filter.reason, { $in: ['ip_cooldown', 'session_cooldown'] });
+    assert.equal(filter.createdAt.$gte.toISOString(), '2025-03-01T00:00:00.000Z');
+    assert.equal(filter.sessionId, 'abc');
+  });
+
+  it('refuses bad values', () => {
+    assert.match(buildClaimEventFilter({ outcome: 'maybe' }).error, /outcome/);
+    assert.match(buildClaimEventFilter({ ip: 'not-an-ip' }).error, /ip must be/);
+    assert.match(buildClaimEventFilter({ subnet: 'nope' }).error, /subnet must be/);
+    assert.match(buildClaimEventFilter({ to: 'tomorrow' }).error, /to must be a date/);
+  });
+});
@@ -0,0 +1,76 @@
+// Checks claim session cookies are random, signed, and only trusted when the signature matches.
+// Run with: npm test
+
+// The tampered cookies below are logged as warnings, which would only clutter the output
+process.env.LOG_LEVEL = 'error';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { COOKIE_NAME, signSessionId, readClaimSession, ensureClaimSession } = require('../src/utils/claimSession');
+
+const createRequest = (cookie) => ({
+  ip: '203.0.113.7',
+  cookies: cookie === undefined ? {} : { [COOKIE_NAME]: cookie },
+  get: () => 'Mozilla/5.0 (session test)'
+});
+
+// Remembers the cookies the code set
+const createResponse = () => ({
+  cookies: {},
+  cookie(name, value, options) {
+    this.cookies[name] = { value, options };
+    return this;
+  }
+});
+
+describe('claim session cookies', () => {
+  it('starts a new signed session when there is no cookie', () => {
+    const res = createResponse();
+    const session = ensureClaimSession(createRequest(), res);
+
+    assert.equal(session.isNew, true);
+    assert.equal(res.cookies[COOKIE_NAME].value, signSessionId(session.id));
+    assert.equal(res.cookies[COOKIE_NAME].options.httpOnly, true);
+    assert.deepEqual(readClaimSession(createRequest(res.cookies[COOKIE_NAME].value)), { id: session.id, status: 'valid' });
+  });
+
+  it('gives every visitor a different session', () => {
+    const ids = new Set(Array.from({ length: 50 }, () => ensureClaimSession(createRequest(), createResponse()).id));
+    assert.equal(ids.size, 50);
+  });
+
+  it('keeps a valid session without setting the cookie again', () => {
+    const { id } = ensureClaimSession(createRequest(), createResponse());
+    const res = createResponse();
+    const session = ensureClaimSession(createRequest(signSessionId(id)), res);
+
+    assert.deepEqual(session, { id, isNew: false });
+    assert.deepEqual(res.cookies, {});
+  });
+
+  it('rejects and replaces a cookie whose ID or signature was changed', () => {
+    const { id } = ensureClaimSession(createRequest(), createResponse());
+    const [, signature] = signSessionId(id).split('.');
+    const forged = `${'A'.repeat(24)}.${signature}`;
+
+    assert.equal(readClaimSession(createRequest(forged)).status, 'invalid');
+    assert.equal(readClaimSession(createRequest(`${id}.${signature.slice(1)}x`)).status, 'invalid');
+    assert.equal(readClaimSession(createRequest(id)).status, 'invalid');
+
+    const res = createResponse();
+    const session = ensureClaimSession(createRequest(forged), res);
+    assert.equal(session.isNew, true);
+    assert.notEqual(session.id, 'A'.repeat(24));
+    assert.ok(res.cookies[COOKIE_NAME]);
+  });
+
+  it('quietly replaces the old timestamp cookies', () => {
+    assert.equal(readClaimSession(createRequest('1700000000000')).status, 'legacy');
+
+    const res = createResponse();
+    const session = ensureClaimSession(createRequest('1700000000000'), res);
+    assert.equal(session.isNew, true);
+    assert.equal(res.cookies[COOKIE_NAME].value, signSessionId(session.id));
+    assert.deepEqual(readClaimSession(createRequest(res.cookies[COOKIE_NAME].value)), { id: session.id, status: 'valid' });
+  });
+});
@@ -0,0 +1,37 @@
+// Checks how the client address is worked out behind proxies.
+// Run with: npm test
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { isInRange } = require('../src/utils/ipAddress');
+const { loadTrustedProxies, isTrustedProxy, getClientIp } = require('../src/utils/clientIp');
+
+describe('client IP resolution', () => {
+  it('reads trusted proxies from presets, ranges and addresses', () => {
+    const ranges = loadTrustedProxies('private, 2600:1f18::/32,198.51.100.4');
+    const trusted = (address) => ranges.some(range => isInRange(address, range));
+
+    assert.ok(trusted('10.1.2.3'));
+    assert.ok(trusted('::ffff:192.168.0.9'));
+    assert.ok(trusted('2600:1f18::1'));
+    assert.ok(trusted('198.51.100.4'));
+    assert.ok(!trusted('198.51.100.5'));
+    assert.ok(!trusted('203.0.113.1'));
+  });
+
+  it('refuses trusted proxy entries it cannot read', () => {
+    assert.throws(() => loadTrustedProxies('loopback,proxy.example.com'), /TRUSTED_PROXIES/);
+    assert.throws(() => loadTrustedProxies('10.0.0.0/33'), /TRUSTED_PROXIES/);
+  });
+
+  it('only trusts loopback by default', () => {
+    assert.ok(isTrustedProxy('127.0.0.1'));
+    assert.ok(isTrustedProxy('::1'));
+    assert.ok(!isTrustedProxy('10.0.0.1'));
+  });
+
+  it('writes the same client the same way every time', () => {
+    assert.equal(getClientIp({ ip: '::ffff:203.0.113.7' }), '203.0.113.7');
+    assert.equal(getClientIp({ ip: '2001:DB8:0:0:0:0:0:1' }), '2001:db8::1');
+    assert.equal(getClientIp({ ip: '2001:db8::1' }), '2001:db8::1');
+  });
+});
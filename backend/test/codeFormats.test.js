@@ -0,0 +1,100 @@
+// Checks coupon codes are generated and verified the way their format says.
+// Run with: npm test
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { ALPHABETS, getFormatError, computeCheckChar, generateCode, verifyCode } = require('../src/utils/codeFormats');
+
+describe('computeCheckChar', () => {
+  it('matches the Luhn check digit for plain digits', () => {
+    // 7992739871 is the usual Luhn example, its check digit is 3
+    assert.equal(computeCheckChar('7992739871'.split(''), ALPHABETS.digits), '3');
+  });
+
+  it('changes when a single character is mistyped', () => {
+    const alphabet = ALPHABETS.alphanumeric;
+    const check = computeCheckChar('ABCD1234'.split(''), alphabet);
+    for (const typo of ['ABCE1234', 'ZBCD1234', 'ABCD1235']) {
+      assert.notEqual(computeCheckChar(typo.split(''), alphabet), check, typo);
+    }
+  });
+});
+
+describe('generateCode', () => {
+  it('makes 8 alphanumeric characters by default', () => {
+    assert.match(generateCode({}), /^[A-Z0-9]{8}$/);
+  });
+
+  it('adds prefix, suffix and groups around the random part', () => {
+    const code = generateCode({ alphabet: 'digits', length: 8, prefix: 'sale-', suffix: '-x', groupSize: 4, separator: '.' });
+    assert.match(code, /^SALE-\d{4}\.\d{4}-X$/);
+  });
+
+  it('only fills in the placeholders of a template', () => {
+    assert.match(generateCode({ template: 'SPRING-XXXX', alphabet: 'digits' }), /^SPRING-\d{4}$/);
+  });
+
+  it('keeps an escaped X as it is', () => {
+    assert.match(generateCode({ template: '\\XMAS-XXXX', alphabet: 'digits' }), /^XMAS-\d{4}$/);
+  });
+});
+
+describe('verifyCode', () => {
+  const formats = [
+    {},
+    { alphabet: 'unambiguous', length: 10, groupSize: 5, checkDigit: true },
+    { template: 'SPRING-XXXX-XXXX', checkDigit: true },
+    { template: '\\XMAS-XXXX', alphabet: 'digits' }
+  ];
+
+  it('accepts codes it generated, in any case', () => {
+    for (const format of formats) {
+      const code = generateCode(format);
+      assert.deepEqual(verifyCode(code, format), { valid: true }, code);
+      assert.deepEqual(verifyCode(` ${code.toLowerCase()} `, format), { valid: true }, code);
+    }
+  });
+
+  it('says why a code is wrong', () => {
+    const format = { alphabet: 'digits', length: 6, prefix: 'GO', checkDigit: true };
+    const code = generateCode(format);
+    const typo = code.slice(0, -2) + ((Number(code[code.length - 2]) + 1) % 10) + code[code.length - 1];
+
+    assert.deepEqual(verifyCode(code.slice(0, -1), format), { valid: false, reason: 'invalid_length' });
+    assert.deepEqual(verifyCode('NO' + code.slice(2), format), { valid: false, reason: 'invalid_format' });
+    assert.deepEqual(verifyCode('GO' + 'A' + code.slice(3), format), { valid: false, reason: 'invalid_characters' });
+    assert.deepEqual(verifyCode(typo, format), { valid: false, reason: 'invalid_check_digit' });
+  });
+
+  it('needs the literal part of an escaped template to match', () => {
+    const format = { template: '\\XMAS-XXXX', alphabet: 'digits' };
+    assert.deepEqual(verifyCode('XMAS-1234', format), { valid: true });
+    assert.deepEqual(verifyCode('JMAS-1234', format), { valid: false, reason: 'invalid_format' });
+  });
+});
+
+describe('getFormatError', () => {
+  it('accepts the default and sensible formats', () => {
+    assert.equal(getFormatError({}), null);
+    assert.equal(getFormatError({ template: 'SPRING-XXXX-XXXX', alphabet: 'unambiguous', checkDigit: true }), null);
+    assert.equal(getFormatError({ template: '\\XMAS-XXXX' }), null);
+  });
+
+  it('rejects formats that would make bad codes', () => {
+    const cases = [
+      [{ alphabet: 'A' }, /at least 2 characters/],
+      [{ alphabet: 'ABCA' }, /repeated characters/],
+      [{ alphabet: 'ab!' }, /only use A-Z and 0-9/],
+      [{ prefix: 'a b' }, /prefix and suffix/],
+      [{ separator: '/' }, /separator/],
+      [{ length: 3 }, /length must be/],
+      [{ groupSize: -1 }, /groupSize/],
+      [{ template: 'SALE XXXX' }, /template can only use/],
+      [{ template: 'XXXX-\\' }, /\\ that isn't followed/],
+      [{ template: '\\XMAS-XXX' }, /at least 4 X placeholders/],
+      [{ length: 65 }, /longer than 64/]
+    ];
+    for (const [format, message] of cases) {
+      assert.match(getFormatError(format), message, JSON.stringify(format));
+    }
+  });
+});
@@ -0,0 +1,56 @@
+// Checks settings that depend on each other are caught when the server starts.
+// Run with: npm test
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadConfig } = require('../src/config');
+
+// Every secret production needs
+const SECRETS = {
+  LOG_HASH_SECRET: 'a-long-random-string',
+  CLAIM_SESSION_SECRET: 'another-long-random-string',
+  ADMIN_TOKEN_SECRET: 'yet-another-long-random-string',
+  CHALLENGE_SECRET: 'one-more-long-random-string'
+};
+
+const without = (name) => {
+  const env = { NODE_ENV: 'production', ...SECRETS };
+  delete env[name];
+  return env;
+};
+
+describe('config', () => {
+  it('starts in production with every secret set', () => {
+    const config = loadConfig({ NODE_ENV: 'production', ...SECRETS });
+    assert.equal(config.logging.hashSecret, SECRETS.LOG_HASH_SECRET);
+    assert.equal(config.claims.sessionSecret, SECRETS.CLAIM_SESSION_SECRET);
+    assert.equal(config.admin.tokenSecret, SECRETS.ADMIN_TOKEN_SECRET);
+    assert.equal(config.challenge.secret, SECRETS.CHALLENGE_SECRET);
+  });
+
+  it('needs LOG_HASH_SECRET in production', () => {
+    assert.throws(() => loadConfig(without('LOG_HASH_SECRET')), /LOG_HASH_SECRET must be set in production/);
+    assert.equal(loadConfig({ NODE_ENV: 'development' }).logging.hashSecret, null);
+  });
+
+  it('needs CLAIM_SESSION_SECRET in production', () => {
+    assert.throws(() => loadConfig(without('CLAIM_SESSION_SECRET')), /CLAIM_SESSION_SECRET must be set in production/);
+    assert.equal(loadConfig({ NODE_ENV: 'development' }).claims.sessionSecret, null);
+  });
+
+  it('needs ADMIN_TOKEN_SECRET in production', () => {
+    assert.throws(() => loadConfig(without('ADMIN_TOKEN_SECRET')), /ADMIN_TOKEN_SECRET must be set in production/);
+    assert.equal(loadConfig({ NODE_ENV: 'development' }).admin.tokenSecret, null);
+  });
+
+  it('needs CHALLENGE_SECRET in production unless challenges are off', () => {
+    assert.throws(() => loadConfig(without('CHALLENGE_SECRET')), /CHALLENGE_SECRET must be set in production/);
+    assert.equal(loadConfig({ ...without('CHALLENGE_SECRET'), CHALLENGE_MODE: 'off' }).challenge.secret, null);
+  });
+
+  it('lists every missing secret at once', () => {
+    assert.throws(() => loadConfig({ NODE_ENV: 'production' }), (error) => {
+      for (const name of Object.keys(SECRETS)) assert.match(error.message, new RegExp(`${name} must be set`));
+      return true;
+    });
+  });
+});
@@ -0,0 +1,28 @@
+// Checks how coupon list and export filters are read from the query string.
+// Run with: npm test
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { getDateError, buildCouponFilter } = require('../src/utils/couponFilters');
+
+describe('coupon filters', () => {
+  it('refuses dates it cannot read', () => {
+    assert.equal(getDateError({}), null);
+    assert.equal(getDateError({ from: '2025-03-01', to: '2025-03-08T12:00:00Z' }), null);
+    assert.equal(getDateError({ from: 'last tuesday' }), 'from must be a date');
+    assert.equal(getDateError({ from: '2025-03-01', to: '2025-13-45' }), 'to must be a date');
+  });
+
+  it('builds the date range on the field asked for', async () => {
+    const filter = await buildCouponFilter({ from: '2025-03-01', to: '2025-03-08', dateField: 'claimedAt' });
+    assert.equal(filter.claimedAt.$gte.toISOString(), '2025-03-01T00:00:00.000Z');
+    assert.equal(filter.claimedAt.$lte.toISOString(), '2025-03-08T00:00:00.000Z');
+    assert.equal(filter.createdAt, undefined);
+  });
+
+  it('reads statuses, claimant and code prefix', async () => {
+    const filter = await buildCouponFilter({ status: 'claimed, redeemed', claimedBy: 'abc', code: 'sp.r' });
+    assert.deepEqual(filter.$or, [{ status: 'claimed' }, { status: 'redeemed' }]);
+    assert.equal(filter.claimedBy, 'abc');
+    assert.deepEqual(filter.code, { $regex: '^SP\\.R' });
+  });
+});
@@ -0,0 +1,64 @@
+// Checks CSV files from imports are read correctly and exports read back the same.
+// Run with: npm test
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCsv, toCsvRow } = require('../src/utils/csv');
+
+describe('parseCsv', () => {
+  it('splits plain rows and fields', () => {
+    assert.deepEqual(parseCsv('code,expiresAt\nABCD1234,2025-06-01\n'), [
+      ['code', 'expiresAt'],
+      ['ABCD1234', '2025-06-01']
+    ]);
+  });
+
+  it('keeps commas inside quoted fields', () => {
+    assert.deepEqual(parseCsv('"SPRING, 2025",x\n'), [['SPRING, 2025', 'x']]);
+  });
+
+  it('reads doubled quotes as one quote', () => {
+    assert.deepEqual(parseCsv('"say ""hi""",""""\n'), [['say "hi"', '"']]);
+  });
+
+  it('handles CRLF and old Mac line endings', () => {
+    assert.deepEqual(parseCsv('a,b\r\nc,d\re,f'), [['a', 'b'], ['c', 'd'], ['e', 'f']]);
+  });
+
+  it('keeps newlines inside quoted fields', () => {
+    assert.deepEqual(parseCsv('"line one\r\nline two",x\nnext,row'), [
+      ['line one\r\nline two', 'x'],
+      ['next', 'row']
+    ]);
+  });
+
+  it('drops a byte order mark, blank lines and keeps empty fields', () => {
+    assert.deepEqual(parseCsv('\ufeffcode,note\n\n ,\nABCD,\n,EFGH'), [
+      ['code', 'note'],
+      ['ABCD', ''],
+      ['', 'EFGH']
+    ]);
+  });
+
+  it('reads a last line without a newline', () => {
+    assert.deepEqual(parseCsv('a\nb'), [['a'], ['b']]);
+  });
+});
+
+describe('toCsvRow', () => {
+  it('quotes only where needed and writes dates and empty values', () => {
+    assert.equal(
+      toCsvRow(['ABCD', 'a,b', null, undefined, new Date('2025-03-01T00:00:00Z'), 3]),
+      'ABCD,"a,b",,,2025-03-01T00:00:00.000Z,3\n'
+    );
+  });
+
+  it('reads back exactly what it wrote', () => {
+    const rows = [
+      ['code', 'note', 'count'],
+      ['ABCD', 'has, a comma', '1'],
+      ['EFGH', 'has "quotes"', ''],
+      ['IJKL', 'two\nlines and\r\nCRLF', '2']
+    ];
+    assert.deepEqual(parseCsv(rows.map(toCsvRow).join('')), rows);
+  });
+});
@@ -0,0 +1,63 @@
+// Checks how addresses and CIDR ranges are read, matched and written out.
+// Run with: npm test
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeIp, parseIp, parseCidr, isInRange, formatRange, subnetOf } = require('../src/utils/ipAddress');
+
+describe('ip addresses', () => {
+  it('reads IPv4, IPv6 and IPv4-mapped addresses', () => {
+    assert.deepEqual(parseIp('203.0.113.7'), { version: 4, value: 0xcb007107n });
+    assert.deepEqual(parseIp('::1'), { version: 6, value: 1n });
+    assert.deepEqual(parseIp('2001:db8::1'), parseIp('2001:DB8:0:0:0:0:0:1'));
+    assert.deepEqual(parseIp('::ffff:203.0.113.7'), parseIp('203.0.113.7'));
+    assert.equal(normalizeIp(' ::FFFF:203.0.113.7 '), '203.0.113.7');
+    // An IPv4 tail on a real IPv6 address is part of the address, not a mapping
+    assert.deepEqual(parseIp('64:ff9b::203.0.113.7'), { version: 6, value: (0x64ff9bn << 96n) + 0xcb007107n });
+  });
+
+  it("returns null for things that aren't addresses", () => {
+    for (const value of ['', 'localhost', '256.0.0.1', '203.0.113', '2001:db8::g', null, undefined]) {
+      assert.equal(parseIp(value), null, String(value));
+    }
+  });
+
+  it('reads CIDR ranges and single addresses', () => {
+    assert.deepEqual(parseCidr('10.1.2.3/8'), { version: 4, base: 10n << 24n, prefixLength: 8 });
+    assert.deepEqual(parseCidr('203.0.113.7'), { version: 4, base: 0xcb007107n, prefixLength: 32 });
+    assert.equal(parseCidr('2001:db8::1').prefixLength, 128);
+    assert.equal(parseCidr('::/0').base, 0n);
+  });
+
+  it('refuses bad prefixes', () => {
+    for (const cidr of ['10.0.0.0/33', '2001:db8::/129', '10.0.0.0/-1', '10.0.0.0/8.5', '10.0.0.0/', '10.0.0.0/ 8', '10.0.0.0/0x8', '10.0.0.0/8/16', '10.0.0.0/abc', 'nope/8']) {
+      assert.equal(parseCidr(cidr), null, cidr);
+    }
+  });
+
+  it('matches addresses against ranges of the same version only', () => {
+    const v4 = parseCidr('203.0.113.0/24');
+    const v6 = parseCidr('2001:db8::/32');
+    assert.ok(isInRange('203.0.113.255', v4));
+    assert.ok(isInRange('::ffff:203.0.113.9', v4));
+    assert.ok(!isInRange('203.0.114.0', v4));
+    assert.ok(isInRange('2001:db8:ffff::1', v6));
+    assert.ok(!isInRange('2001:db9::1', v6));
+    assert.ok(!isInRange('::ffff:203.0.113.9', v6));
+    assert.ok(!isInRange('not-an-ip', v4));
+    assert.ok(isInRange('198.51.100.1', parseCidr('0.0.0.0/0')));
+  });
+
+  it('writes ranges in their usual form', () => {
+    assert.equal(formatRange(parseCidr('10.1.2.3/8')), '10.0.0.0/8');
+    assert.equal(formatRange(parseCidr('2001:DB8:0:1:2:3:4:5/64')), '2001:db8:0:1::/64');
+    assert.equal(formatRange(parseCidr('2001:db8::1')), '2001:db8:0:0:0:0:0:1/128');
+    assert.equal(formatRange(parseCidr('::/0')), '::/0');
+  });
+
+  it('finds the /24 or /64 an address is in', () => {
+    assert.equal(subnetOf('203.0.113.7'), '203.0.113.0/24');
+    assert.equal(subnetOf('::ffff:203.0.113.7'), '203.0.113.0/24');
+    assert.equal(subnetOf('2001:db8:0:1:2:3:4:5'), '2001:db8:0:1::/64');
+    assert.equal(subnetOf('nope'), null);
+  });
+});
@@ -0,0 +1,64 @@
+// Checks addresses are matched against the blocklist and allowlist, and that the
+// allowlist wins. The entries are kept in memory here instead of in MongoDB.
+// Run with: npm test
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const IpRule = require('../src/models/IpRule');
+const { matchIpLists, invalidateIpLists } = require('../src/utils/ipLists');
+const { parseCidr } = require('../src/utils/ipAddress');
+const blocklistRule = require('../src/abuse/rules/blocklist');
+
+let rules = [];
+IpRule.findActive = async () => rules;
+
+const entry = (list, range, expiresAt = null) => new IpRule({ list, range, expiresAt, reason: `${list} ${range}` });
+
+describe('ip lists', () => {
+  const now = new Date('2025-03-05T10:00:00Z');
+  beforeEach(() => {
+    rules = [];
+    invalidateIpLists();
+  });
+
+  it('matches IPv4, IPv6 and IPv4-mapped addresses', async () => {
+    rules = [entry('block', '203.0.113.0/24'), entry('block', '2001:db8::/32')];
+    assert.equal((await matchIpLists('203.0.113.7', { now })).blocked.range, '203.0.113.0/24');
+    assert.equal((await matchIpLists('::ffff:203.0.113.7', { now })).blocked.range, '203.0.113.0/24');
+    assert.equal((await matchIpLists('2001:DB8:1::1', { now })).blocked.range, '2001:db8::/32');
+    assert.deepEqual(await matchIpLists('198.51.100.1', { now }), { allowed: null, blocked: null });
+    assert.deepEqual(await matchIpLists('not-an-ip', { now }), { allowed: null, blocked: null });
+  });
+
+  it('picks the most specific entry, then a permanent one', async () => {
+    rules = [
+      entry('block', '203.0.0.0/16'),
+      entry('block', '203.0.113.0/24', new Date('2025-03-06T00:00:00Z')),
+      entry('block', '203.0.113.0/24')
+    ];
+    const { blocked } = await matchIpLists('203.0.113.7', { now });
+    assert.equal(blocked.range, '203.0.113.0/24');
+    assert.equal(blocked.expiresAt, null);
+  });
+
+  it('ignores entries that have expired', async () => {
+    rules = [entry('block', '203.0.113.0/24', new Date('2025-03-05T09:00:00Z'))];
+    assert.equal((await matchIpLists('203.0.113.7', { now })).blocked, null);
+  });
+
+  it('includes ranges from ABUSE_BLOCKLIST', async () => {
+    const { blocked } = await matchIpLists('2001:db8::1', { now, extraBlocked: [parseCidr('2001:db8::/48')] });
+    assert.equal(blocked.range, '2001:db8::/48');
+    assert.equal(blocked.reason, 'ABUSE_BLOCKLIST');
+  });
+
+  it('lets allowlisted addresses through a blocked range', async () => {
+    rules = [entry('block', '203.0.113.0/24'), entry('allow', '203.0.113.7/32')];
+    const check = async (ipAddress) => blocklistRule.evaluate({ getIpLists: () => matchIpLists(ipAddress, { now }) });
+
+    const lists = await matchIpLists('203.0.113.7', { now });
+    assert.equal(lists.allowed.range, '203.0.113.7/32');
+    assert.equal(lists.blocked.range, '203.0.113.0/24');
+    assert.equal((await check('203.0.113.7')).action, 'allow');
+    assert.equal((await check('203.0.113.8')).action, 'deny');
+  });
+});
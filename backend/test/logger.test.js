@@ -0,0 +1,61 @@
+// Checks that logs carry request IDs and keep personal data out.
+// Run with: npm test
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { logger, runWithRequestId, sanitize } = require('../src/utils/logger');
+
+// Runs fn and returns the log entries it wrote to stdout
+const captureLogs = (fn) => {
+  const lines = [];
+  const write = process.stdout.write;
+  process.stdout.write = (chunk) => {
+    lines.push(String(chunk));
+    return true;
+  };
+  try {
+    fn();
+  } finally {
+    process.stdout.write = write;
+  }
+  return lines.map(line => JSON.parse(line));
+};
+
+describe('logger', () => {
+  it('writes one JSON entry per line with the request ID', () => {
+    const [entry] = captureLogs(() => {
+      runWithRequestId('req-12345678', () => logger.info('Claim attempt', { campaign: 'default' }));
+    });
+
+    assert.equal(entry.level, 'info');
+    assert.equal(entry.msg, 'Claim attempt');
+    assert.equal(entry.requestId, 'req-12345678');
+    assert.equal(entry.campaign, 'default');
+    assert.ok(!Number.isNaN(Date.parse(entry.time)));
+  });
+
+  it('hashes addresses and sessions the same way every time', () => {
+    const first = sanitize({ ipAddress: '203.0.113.7', sessionId: 'abc' });
+    const again = sanitize({ nested: { ip: '203.0.113.7' } });
+
+    assert.match(first.ipAddress, /^ip_[0-9a-f]{16}$/);
+    assert.match(first.sessionId, /^session_[0-9a-f]{16}$/);
+    assert.equal(again.nested.ip, first.ipAddress);
+    assert.ok(!JSON.stringify(first).includes('203.0.113.7'));
+  });
+
+  it('never logs secrets', () => {
+    const fields = sanitize({ headers: { cookie: 'claim_session=abc', authorization: 'Bearer xyz' }, password: 'hunter2' });
+
+    assert.equal(fields.headers.cookie, '[redacted]');
+    assert.equal(fields.headers.authorization, '[redacted]');
+    assert.equal(fields.password, '[redacted]');
+  });
+
+  it('turns errors into something readable', () => {
+    const fields = sanitize({ error: new TypeError('boom') });
+
+    assert.equal(fields.error.name, 'TypeError');
+    assert.equal(fields.error.message, 'boom');
+    assert.ok(fields.error.stack);
+  });
+});
@@ -0,0 +1,38 @@
+// Checks the Prometheus text output.
+// Run with: npm test
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { recordClaim, recordReplenishment, renderMetrics } = require('../src/utils/metrics');
+
+describe('metrics', () => {
+  it('counts claims by outcome and reason', async () => {
+    recordClaim({ campaign: 'default', outcome: 'success', durationMs: 40 });
+    recordClaim({ campaign: 'default', outcome: 'denied', reason: 'ip_cooldown', durationMs: 5 });
+    recordClaim({ campaign: 'default', outcome: 'denied', reason: 'ip_cooldown', durationMs: 5 });
+
+    const text = await renderMetrics();
+    assert.match(text, /^# TYPE coupon_claims_total counter$/m);
+    assert.match(text, /^coupon_claims_total\{campaign="default",outcome="success",reason=""\} 1$/m);
+    assert.match(text, /^coupon_claims_total\{campaign="default",outcome="denied",reason="ip_cooldown"\} 2$/m);
+  });
+
+  it('puts claim latency into cumulative buckets', async () => {
+    const text = await renderMetrics();
+    assert.match(text, /^coupon_claim_duration_seconds_bucket\{outcome="success",le="0.025"\} 0$/m);
+    assert.match(text, /^coupon_claim_duration_seconds_bucket\{outcome="success",le="0.05"\} 1$/m);
+    assert.match(text, /^coupon_claim_duration_seconds_bucket\{outcome="success",le="\+Inf"\} 1$/m);
+    assert.match(text, /^coupon_claim_duration_seconds_count\{outcome="denied"\} 2$/m);
+  });
+
+  it('escapes label values', async () => {
+    recordReplenishment({ campaign: 'say "hi"', created: 50 });
+
+    const text = await renderMetrics();
+    assert.match(text, /^coupon_replenished_total\{campaign="say \\"hi\\""\} 50$/m);
+  });
+
+  it('reports the database as down without failing', async () => {
+    const text = await renderMetrics();
+    assert.match(text, /^mongodb_up 0$/m);
+  });
+});
@@ -0,0 +1,99 @@
+// Checks that proof-of-work challenges only count when solved, fresh, untouched and unused.
+// Spent challenges are kept in memory here instead of in MongoDB.
+// Run with: npm test
+process.env.LOG_LEVEL = 'error';
+process.env.CHALLENGE_SECRET = 'a-secret-just-for-these-tests';
+process.env.CHALLENGE_DIFFICULTY = '8';
+
+const crypto = require('crypto');
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Coupon = require('../src/models/Coupon');
+const UsedChallenge = require('../src/models/UsedChallenge');
+const { issueChallenge, verifyChallenge, countLeadingZeroBits } = require('../src/utils/proofOfWork');
+const { signToken } = require('../src/utils/tokens');
+
+Coupon.countDocuments = async () => 0;
+
+const spent = new Set();
+UsedChallenge.create = async ({ nonce }) => {
+  if (spent.has(nonce)) throw Object.assign(new Error('duplicate key'), { code: 11000 });
+  spent.add(nonce);
+};
+
+const leadingZeroBits = (token, solution) =>
+  countLeadingZeroBits(crypto.createHash('sha256').update(`${token}:${solution}`).digest());
+
+// The first solution that does (or with meetsDifficulty false, doesn't) have enough zero bits
+const solve = (token, difficulty, meetsDifficulty = true) => {
+  for (let solution = 0; ; solution++) {
+    if ((leadingZeroBits(token, solution) >= difficulty) === meetsDifficulty) return solution;
+  }
+};
+
+describe('countLeadingZeroBits', () => {
+  it('counts zero bits across bytes', () => {
+    assert.equal(countLeadingZeroBits(Buffer.from([0x80])), 0);
+    assert.equal(countLeadingZeroBits(Buffer.from([0x01])), 7);
+    assert.equal(countLeadingZeroBits(Buffer.from([0x00, 0x00, 0x10, 0xff])), 19);
+    assert.equal(countLeadingZeroBits(Buffer.from([0x00, 0x00])), 16);
+    assert.equal(countLeadingZeroBits(Buffer.alloc(0)), 0);
+  });
+});
+
+describe('verifyChallenge', () => {
+  const campaign = { _id: new mongoose.Types.ObjectId() };
+  const sessionId = 'session-1';
+  const context = { campaign, sessionId };
+  let challenge;
+
+  beforeEach(async () => {
+    spent.clear();
+    challenge = await issueChallenge(campaign, sessionId);
+  });
+
+  it('accepts a solved challenge once', async () => {
+    assert.equal(challenge.difficulty, 8);
+    const answer = { token: challenge.token, solution: solve(challenge.token, challenge.difficulty) };
+    assert.deepEqual(await verifyChallenge(answer, context), { valid: true });
+    assert.deepEqual(await verifyChallenge(answer, context), { valid: false, reason: 'already_used' });
+  });
+
+  it('refuses a solution below the difficulty', async () => {
+    const answer = { token: challenge.token, solution: solve(challenge.token, challenge.difficulty, false) };
+    assert.deepEqual(await verifyChallenge(answer, context), { valid: false, reason: 'unsolved' });
+    assert.deepEqual(await verifyChallenge({ token: challenge.token, solution: '1e3' }, context), { valid: false, reason: 'unsolved' });
+    assert.equal(spent.size, 0);
+  });
+
+  it('refuses a challenge that has expired', async () => {
+    const [body] = challenge.token.split('.');
+    const payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+    const token = signToken(payload, process.env.CHALLENGE_SECRET, -1000);
+    const answer = { token, solution: solve(token, payload.bits) };
+    assert.deepEqual(await verifyChallenge(answer, context), { valid: false, reason: 'invalid' });
+  });
+
+  it('refuses a challenge that was tampered with', async () => {
+    // Lowering the difficulty changes the token, so its signature no longer matches
+    const [body, signature] = challenge.token.split('.');
+    const payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+    const token = `${Buffer.from(JSON.stringify({ ...payload, bits: 0 })).toString('base64url')}.${signature}`;
+    assert.deepEqual(await verifyChallenge({ token, solution: 0 }, context), { valid: false, reason: 'invalid' });
+  });
+
+  it('refuses a challenge issued to another session or campaign', async () => {
+    const answer = { token: challenge.token, solution: solve(challenge.token, challenge.difficulty) };
+    assert.deepEqual(await verifyChallenge(answer, { campaign, sessionId: 'session-2' }), { valid: false, reason: 'wrong_session' });
+    assert.deepEqual(
+      await verifyChallenge(answer, { campaign: { _id: new mongoose.Types.ObjectId() }, sessionId }),
+      { valid: false, reason: 'wrong_session' }
+    );
+  });
+
+  it('needs a token and a solution', async () => {
+    assert.deepEqual(await verifyChallenge(null, context), { valid: false, reason: 'missing' });
+    assert.deepEqual(await verifyChallenge({ token: challenge.token }, context), { valid: false, reason: 'missing' });
+  });
+});
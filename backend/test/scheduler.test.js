@@ -0,0 +1,84 @@
+// Checks that background jobs only run when they hold the lock, and how runs are recorded.
+// The ScheduledJob lock is kept in memory here instead of in MongoDB.
+// Run with: npm test
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const ScheduledJob = require('../src/models/ScheduledJob');
+const { defineJob, runJob, OWNER } = require('../src/utils/scheduler');
+
+const locks = new Map();
+// How long each of the next acquire calls takes to reach the "database"
+const acquireDelays = [];
+ScheduledJob.acquire = async (name, owner, { now, lockMs, force }) => {
+  await new Promise(resolve => setTimeout(resolve, acquireDelays.shift() || 0));
+  const lock = locks.get(name);
+  const free = !lock || lock.lockedUntil <= now || (force && !lock.running);
+  if (!free) return null;
+  const taken = { ...lock, running: true, owner, lockedUntil: new Date(now.getTime() + lockMs) };
+  locks.set(name, taken);
+  return taken;
+};
+ScheduledJob.finish = async (name, owner, { nextRunAt, result, error }) => {
+  locks.set(name, { running: false, owner, lockedUntil: nextRunAt, result, error });
+};
+
+describe('scheduler', () => {
+  let runs;
+  beforeEach(() => {
+    locks.clear();
+    acquireDelays.length = 0;
+    runs = 0;
+  });
+
+  defineJob({ name: 'count', intervalSeconds: 60, run: async () => ({ runs: ++runs }) });
+  defineJob({ name: 'broken', intervalSeconds: 60, run: async () => { throw new Error('nope'); } });
+
+  it('runs a job and keeps what it reported', async () => {
+    assert.deepEqual(await runJob('count'), { ran: true, result: { runs: 1 } });
+    assert.equal(locks.get('count').running, false);
+    assert.equal(locks.get('count').owner, OWNER);
+  });
+
+  it("doesn't run a job again before it's due, unless forced", async () => {
+    await runJob('count');
+    assert.deepEqual(await runJob('count'), { ran: false });
+    assert.equal((await runJob('count', { force: true })).ran, true);
+    assert.equal(runs, 2);
+  });
+
+  it('skips a job another server is running, even when forced', async () => {
+    locks.set('count', { running: true, owner: 'elsewhere', lockedUntil: new Date(Date.now() + 60000) });
+    assert.deepEqual(await runJob('count', { force: true }), { ran: false });
+    assert.equal(runs, 0);
+  });
+
+  it('shares one run between callers in the same process', async () => {
+    const [first, second] = await Promise.all([runJob('count'), runJob('count', { force: true })]);
+    assert.equal(first, second);
+    assert.equal(runs, 1);
+  });
+
+  it('shares a run with a caller that arrives while the lock is being taken', async () => {
+    // Without sharing, the second caller's lock request would land after the first
+    // run finished, find the job not due and report it as skipped
+    acquireDelays.push(10, 30);
+    const [first, second] = await Promise.all([runJob('count'), runJob('count')]);
+    assert.deepEqual(first, { ran: true, result: { runs: 1 } });
+    assert.equal(second, first);
+    assert.equal(runs, 1);
+  });
+
+  it("doesn't turn away a forced run because a check at the same time found the job wasn't due", async () => {
+    locks.set('count', { running: false, owner: 'elsewhere', lockedUntil: new Date(Date.now() + 60000) });
+    const [scheduled, forced] = await Promise.all([runJob('count'), runJob('count', { force: true })]);
+    assert.deepEqual(scheduled, { ran: false });
+    assert.deepEqual(forced, { ran: true, result: { runs: 1 } });
+  });
+
+  it('records failed runs', async () => {
+    const outcome = await runJob('broken');
+    assert.equal(outcome.ran, true);
+    assert.equal(outcome.error.message, 'nope');
+    assert.equal(locks.get('broken').error.message, 'nope');
+  });
+});
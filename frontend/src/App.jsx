@@ -5,10 +5,13 @@ import { motion, AnimatePresence } from 'framer-motion';
 import { Transition } from '@headlessui/react';
 import { ClipboardDocumentIcon, ClockIcon, GiftIcon } from '@heroicons/react/24/outline';
 import toast, { Toaster } from 'react-hot-toast';
+import { solveChallenge } from './challenge/solveChallenge';
+import { debugLog } from './debug';
+import { subscribeToUpdates } from './live/subscribeToUpdates';
 
 // API endpoint for our backend service
 const API_URL = 'https://the-sales-studio.onrender.com/api';
-console.log('Environment Variables:', {
+debugLog('Environment Variables:', {
   API_URL: API_URL,
   NODE_ENV: process.env.NODE_ENV,
   ORIGIN: window.location.origin
@@ -28,14 +31,11 @@ const api = axios.create({
   }
 });
 
-// Log all outgoing API requests for debugging
+// Log outgoing API requests when debugging (never headers or bodies, which carry
+// cookies and coupon codes)
 api.interceptors.request.use(
   config => {
-    console.log('Making request to:', config.baseURL + config.url, {
-      method: config.method,
-      headers: config.headers,
-      data: config.data
-    });
+    debugLog('Making request to:', config.baseURL + config.url, { method: config.method });
     return config;
   },
   error => {
@@ -44,14 +44,14 @@ api.interceptors.request.use(
   }
 );
 
-// Log all API responses for debugging
+// Log API responses when debugging. The request ID matches the backend's logs,
+// so it's what to quote when reporting a problem.
 api.interceptors.response.use(
   response => {
-    console.log('Received response:', {
+    debugLog('Received response:', {
       status: response.status,
       url: response.config.url,
-      data: response.data,
-      headers: response.headers
+      requestId: response.headers['x-request-id']
     });
     return response;
   },
@@ -59,9 +59,8 @@ api.interceptors.response.use(
     console.error('API Error:', {
       message: error.message,
       status: error.response?.status,
-      data: error.response?.data,
-      headers: error.response?.headers,
-      url: error.config?.url
+      url: error.config?.url,
+      requestId: error.response?.headers?.['x-request-id']
     });
     return Promise.reject(error);
   }
@@ -70,6 +69,7 @@ api.interceptors.response.use(
 function App() {
   // State variables to manage the app's behavior
   const [loading, setLoading] = useState(false);
+  const [verifying, setVerifying] = useState(false);
   const [error, setError] = useState(null);
   const [success, setSuccess] = useState(null);
   const [eligibility, setEligibility] = useState({ 
@@ -82,6 +82,9 @@ function App() {
   const [copyStatus, setCopyStatus] = useState('Copy');
   const countdownRef = useRef(null);
   const remainingTimeRef = useRef(0);
+  // Whether the live update stream is connected. While it is, the backend tells us
+  // about stock and cooldowns itself, so there's no need to poll.
+  const [live, setLive] = useState(false);
 
   // Helper function to format milliseconds into human readable time
   const formatTime = useCallback((ms) => {
@@ -114,7 +117,8 @@ function App() {
       if (remainingTimeRef.current <= 0) {
         clearInterval(countdownRef.current);
         setCountdown("You can claim now");
-        // Check if user can claim again
+        // Check if user can claim again. The live stream says so too, but this also
+        // covers waits it doesn't know about yet (e.g. a claim handled by another server)
         const checkCurrentEligibility = async () => {
           try {
             const response = await api.get('/coupons/check-eligibility');
@@ -136,26 +140,30 @@ function App() {
     };
   }, [formatTime]);
 
+  // Show what the backend said about whether the user can claim
+  const applyEligibility = useCallback((data) => {
+    setEligibility(data);
+    if (data.remainingTime?.total > 0) {
+      startCountdown(data.remainingTime.total);
+    }
+  }, [startCountdown]);
+
   // Check if user is eligible to claim a coupon
   const checkEligibility = useCallback(async () => {
     try {
       setError(null);
-      console.log('Checking eligibility...');
+      debugLog('Checking eligibility...');
       const response = await api.get('/coupons/check-eligibility');
-      console.log('Eligibility response:', response.data);
+      debugLog('Eligibility response:', response.data);
       
       if (response.data) {
-        setEligibility(response.data);
-        if (response.data.remainingTime?.total > 0) {
-          startCountdown(response.data.remainingTime.total);
-        }
+        applyEligibility(response.data);
       } else {
         throw new Error('Invalid response format');
       }
     } catch (err) {
       console.error('Error checking eligibility:', {
         message: err.message,
-        response: err.response?.data,
         status: err.response?.status
       });
       const errorMessage = err.response?.data?.message || err.message || 'Failed to check eligibility. Please try again later.';
@@ -167,7 +175,7 @@ function App() {
         availableCoupons: 0
       });
     }
-  }, [startCountdown]);
+  }, [applyEligibility]);
 
   // Handle copying coupon code to clipboard
   const handleCopy = useCallback(async () => {
@@ -194,18 +202,30 @@ function App() {
     }
   }, [success]);
 
-  // Check eligibility periodically
+  // Check eligibility once, then follow the live stream for changes to stock and
+  // when the user's wait is over
   useEffect(() => {
     checkEligibility();
-    const eligibilityInterval = setInterval(checkEligibility, 60000);
-    
+    const unsubscribe = subscribeToUpdates(`${API_URL}/coupons/stream`, {
+      onEligibility: applyEligibility,
+      onStock: ({ availableCoupons }) => setEligibility(current => ({ ...current, availableCoupons })),
+      onLiveChange: setLive
+    });
+
     return () => {
-      clearInterval(eligibilityInterval);
+      unsubscribe();
       if (countdownRef.current) {
         clearInterval(countdownRef.current);
       }
     };
-  }, [checkEligibility]);
+  }, [checkEligibility, applyEligibility]);
+
+  // Fall back to checking eligibility periodically while the stream is down
+  useEffect(() => {
+    if (live) return undefined;
+    const eligibilityInterval = setInterval(checkEligibility, 60000);
+    return () => clearInterval(eligibilityInterval);
+  }, [live, checkEligibility]);
 
   // Handle claiming a new coupon
   const claimCoupon = useCallback(async () => {
@@ -214,8 +234,29 @@ function App() {
     setSuccess(null);
     setShowCopyModal(false);
 
+    // Solves a challenge from the backend before sending the claim
+    const withChallenge = async (challenge) => {
+      if (!challenge) return {};
+      setVerifying(true);
+      try {
+        return { challenge: await solveChallenge(challenge) };
+      } finally {
+        setVerifying(false);
+      }
+    };
+
     try {
-      const response = await api.post('/coupons/claim');
+      let response = await api.post('/coupons/claim', await withChallenge(eligibility.challenge));
+      // The backend wants a (new) challenge solved first, and sent one along
+      if (response.status === 403 && response.data?.reason === 'challenge_required' && response.data.challenge?.token) {
+        response = await api.post('/coupons/claim', await withChallenge(response.data.challenge));
+      }
+      if (response.status !== 200) {
+        const error = new Error(response.data?.message || 'Error claiming coupon');
+        error.response = response;
+        throw error;
+      }
+
       if (response.data) {
         setSuccess(response.data);
         setShowCopyModal(true);
@@ -232,7 +273,7 @@ function App() {
     } finally {
       setLoading(false);
     }
-  }, [checkEligibility, startCountdown]);
+  }, [checkEligibility, startCountdown, eligibility.challenge]);
 
   // Main app UI with gradient background and card layout
   return (
@@ -311,7 +352,7 @@ function App() {
                     }`}
                   >
                     <GiftIcon className="h-6 w-6 mr-2" />
-                    {loading ? 'Claiming...' : 'Claim Coupon'}
+                    {verifying ? 'Verifying...' : loading ? 'Claiming...' : 'Claim Coupon'}
                   </motion.button>
                 )}
 
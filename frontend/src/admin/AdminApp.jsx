@@ -0,0 +1,95 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Routes, Route, NavLink, Navigate } from 'react-router-dom';
+import { Toaster } from 'react-hot-toast';
+import { ArrowRightOnRectangleIcon, GiftIcon } from '@heroicons/react/24/outline';
+import adminApi, { getToken, clearToken, setUnauthorizedHandler } from '../api/adminApi';
+import LoginPage from './LoginPage';
+import Dashboard from './Dashboard';
+import CouponTable from './CouponTable';
+import ClaimHistory from './ClaimHistory';
+
+const NAV_ITEMS = [
+  { to: '/admin', label: 'Inventory', end: true },
+  { to: '/admin/coupons', label: 'Coupons' },
+  { to: '/admin/claims', label: 'Claim History' }
+];
+
+// The admin area: sign in, then inventory, coupons and claim history
+function AdminApp() {
+  const [user, setUser] = useState(null);
+  const [checking, setChecking] = useState(Boolean(getToken()));
+
+  const logout = useCallback(() => {
+    clearToken();
+    setUser(null);
+  }, []);
+
+  // If we already have a token from earlier, find out who it belongs to
+  useEffect(() => {
+    setUnauthorizedHandler(() => setUser(null));
+    if (!getToken()) return;
+
+    adminApi.get('/auth/me')
+      .then(response => setUser(response.data.user))
+      .catch(() => clearToken())
+      .finally(() => setChecking(false));
+  }, []);
+
+  if (checking) {
+    return <div className="min-h-screen flex items-center justify-center text-gray-500">Loading...</div>;
+  }
+
+  if (!user) {
+    return <LoginPage onLogin={setUser} />;
+  }
+
+  // Viewers can look around, operators and owners can change things
+  const canOperate = user.role === 'operator' || user.role === 'owner';
+
+  return (
+    <div className="min-h-screen bg-gray-100">
+      <Toaster position="top-center" />
+
+      <nav className="bg-white shadow">
+        <div className="max-w-6xl mx-auto px-4 flex items-center justify-between h-14">
+          <div className="flex items-center space-x-6">
+            <div className="flex items-center">
+              <GiftIcon className="h-6 w-6 text-indigo-500 mr-2" />
+              <span className="font-bold text-gray-900">Coupon Admin</span>
+            </div>
+            {NAV_ITEMS.map(item => (
+              <NavLink
+                key={item.to}
+                to={item.to}
+                end={item.end}
+                className={({ isActive }) => `text-sm font-medium ${
+                  isActive ? 'text-indigo-600' : 'text-gray-600 hover:text-gray-900'
+                }`}
+              >
+                {item.label}
+              </NavLink>
+            ))}
+          </div>
+          <div className="flex items-center space-x-4 text-sm text-gray-600">
+            <span>{user.email} ({user.role})</span>
+            <button onClick={logout} className="flex items-center hover:text-gray-900">
+              <ArrowRightOnRectangleIcon className="h-5 w-5 mr-1" />
+              Sign out
+            </button>
+          </div>
+        </div>
+      </nav>
+
+      <main className="max-w-6xl mx-auto px-4 py-8">
+        <Routes>
+          <Route index element={<Dashboard canOperate={canOperate} />} />
+          <Route path="coupons" element={<CouponTable canOperate={canOperate} />} />
+          <Route path="claims" element={<ClaimHistory />} />
+          <Route path="*" element={<Navigate to="/admin" replace />} />
+        </Routes>
+      </main>
+    </div>
+  );
+}
+
+export default AdminApp;
@@ -0,0 +1,117 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import toast from 'react-hot-toast';
+import adminApi, { getErrorMessage } from '../api/adminApi';
+import Pagination from './Pagination';
+
+const PAGE_SIZE = 25;
+
+// Who claimed which coupon and when, most recent first
+function ClaimHistory() {
+  const [filters, setFilters] = useState({ claimedBy: '', code: '', from: '', to: '' });
+  const [page, setPage] = useState(1);
+  const [data, setData] = useState({ coupons: [], pagination: null });
+  const [loading, setLoading] = useState(false);
+
+  const loadClaims = useCallback(async () => {
+    setLoading(true);
+    try {
+      const params = { page, limit: PAGE_SIZE, status: 'issued', dateField: 'claimedAt', sort: 'claimedAt' };
+      Object.entries(filters).forEach(([key, value]) => {
+        if (value) params[key] = value;
+      });
+      // The date pickers give local time, so send them as proper timestamps
+      if (filters.from) params.from = new Date(filters.from).toISOString();
+      if (filters.to) params.to = new Date(filters.to).toISOString();
+      const response = await adminApi.get('/coupons', { params });
+      setData(response.data);
+    } catch (err) {
+      toast.error(getErrorMessage(err, 'Failed to load claim history'));
+    } finally {
+      setLoading(false);
+    }
+  }, [filters, page]);
+
+  useEffect(() => {
+    loadClaims();
+  }, [loadClaims]);
+
+  const updateFilter = (key, value) => {
+    setFilters(current => ({ ...current, [key]: value }));
+    setPage(1);
+  };
+
+  return (
+    <div>
+      <h2 className="text-2xl font-bold text-gray-900 mb-6">Claim History</h2>
+
+      <div className="flex flex-wrap gap-3 mb-4">
+        <input
+          type="search"
+          placeholder="IP address..."
+          value={filters.claimedBy}
+          onChange={e => updateFilter('claimedBy', e.target.value.trim())}
+          className="rounded-lg border-gray-300 text-sm"
+        />
+        <input
+          type="search"
+          placeholder="Code..."
+          value={filters.code}
+          onChange={e => updateFilter('code', e.target.value)}
+          className="rounded-lg border-gray-300 text-sm"
+        />
+        <label className="flex items-center text-sm text-gray-600">
+          From
+          <input
+            type="datetime-local"
+            value={filters.from}
+            onChange={e => updateFilter('from', e.target.value)}
+            className="ml-2 rounded-lg border-gray-300 text-sm"
+          />
+        </label>
+        <label className="flex items-center text-sm text-gray-600">
+          To
+          <input
+            type="datetime-local"
+            value={filters.to}
+            onChange={e => updateFilter('to', e.target.value)}
+            className="ml-2 rounded-lg border-gray-300 text-sm"
+          />
+        </label>
+      </div>
+
+      <div className="bg-white shadow rounded-xl overflow-x-auto">
+        <table className="min-w-full divide-y divide-gray-200 text-sm">
+          <thead className="bg-gray-50 text-left text-gray-500">
+            <tr>
+              <th className="px-4 py-3">Claimed at</th>
+              <th className="px-4 py-3">Code</th>
+              <th className="px-4 py-3">Campaign</th>
+              <th className="px-4 py-3">Claimed by</th>
+              <th className="px-4 py-3">Status</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-100">
+            {data.coupons.map(coupon => (
+              <tr key={coupon._id} className={loading ? 'opacity-50' : ''}>
+                <td className="px-4 py-2 text-gray-500">{new Date(coupon.claimedAt).toLocaleString()}</td>
+                <td className="px-4 py-2 font-mono text-indigo-600">{coupon.code}</td>
+                <td className="px-4 py-2">{coupon.campaign?.name}</td>
+                <td className="px-4 py-2 font-mono">{coupon.claimedBy}</td>
+                <td className="px-4 py-2 capitalize">{coupon.status}</td>
+              </tr>
+            ))}
+            {!data.coupons.length && !loading && (
+              <tr>
+                <td colSpan={5} className="px-4 py-6 text-center text-gray-500">No claims found</td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      <Pagination pagination={data.pagination} onPageChange={setPage} />
+    </div>
+  );
+}
+
+export default ClaimHistory;
@@ -0,0 +1,212 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import toast from 'react-hot-toast';
+import { NoSymbolIcon, PlusIcon } from '@heroicons/react/24/outline';
+import adminApi, { getErrorMessage } from '../api/adminApi';
+import useInventory from './useInventory';
+import GenerateDialog from './GenerateDialog';
+import Pagination from './Pagination';
+
+const PAGE_SIZE = 20;
+
+// Label and badge colour for each lifecycle state
+const STATUSES = {
+  available: { label: 'Available', className: 'bg-green-100 text-green-700' },
+  reserved: { label: 'Reserved', className: 'bg-yellow-100 text-yellow-700' },
+  claimed: { label: 'Claimed', className: 'bg-indigo-100 text-indigo-700' },
+  redeemed: { label: 'Redeemed', className: 'bg-purple-100 text-purple-700' },
+  expired: { label: 'Expired', className: 'bg-orange-100 text-orange-700' },
+  voided: { label: 'Voided', className: 'bg-gray-100 text-gray-600' }
+};
+
+const getStatus = (coupon) => STATUSES[coupon.status] || { label: coupon.status, className: 'bg-gray-100 text-gray-600' };
+
+// Paginated list of every coupon, with filters and bulk void
+function CouponTable({ canOperate }) {
+  const { inventory, refresh: refreshInventory } = useInventory();
+  const [filters, setFilters] = useState({ campaign: '', status: '', code: '' });
+  const [page, setPage] = useState(1);
+  const [data, setData] = useState({ coupons: [], pagination: null, stats: null });
+  const [selected, setSelected] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [showGenerate, setShowGenerate] = useState(false);
+
+  // Load the current page of coupons
+  const loadCoupons = useCallback(async () => {
+    setLoading(true);
+    try {
+      const params = { page, limit: PAGE_SIZE };
+      Object.entries(filters).forEach(([key, value]) => {
+        if (value) params[key] = value;
+      });
+      const response = await adminApi.get('/coupons', { params });
+      setData(response.data);
+      setSelected([]);
+    } catch (err) {
+      toast.error(getErrorMessage(err, 'Failed to load coupons'));
+    } finally {
+      setLoading(false);
+    }
+  }, [filters, page]);
+
+  useEffect(() => {
+    loadCoupons();
+  }, [loadCoupons]);
+
+  const updateFilter = (key, value) => {
+    setFilters(current => ({ ...current, [key]: value }));
+    setPage(1);
+  };
+
+  const toggleSelected = (id) => {
+    setSelected(current => current.includes(id) ? current.filter(item => item !== id) : [...current, id]);
+  };
+
+  // Void everything that's ticked
+  const voidSelected = async () => {
+    if (!window.confirm(`Void ${selected.length} coupons? They will no longer be handed out.`)) return;
+
+    try {
+      const response = await adminApi.post('/coupons/void', { ids: selected });
+      toast.success(response.data.message);
+      loadCoupons();
+    } catch (err) {
+      toast.error(getErrorMessage(err, 'Failed to void coupons'));
+    }
+  };
+
+  // Only coupons that are still waiting to be handed out can be voided
+  const voidable = data.coupons.filter(coupon => coupon.status === 'available');
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-6">
+        <h2 className="text-2xl font-bold text-gray-900">Coupons</h2>
+        {canOperate && (
+          <div className="flex space-x-2">
+            <button
+              onClick={voidSelected}
+              disabled={!selected.length}
+              className="flex items-center py-2 px-3 rounded-md text-red-700 hover:bg-red-50 disabled:opacity-40 disabled:cursor-not-allowed"
+            >
+              <NoSymbolIcon className="h-5 w-5 mr-1" />
+              Void selected
+            </button>
+            <button
+              onClick={() => setShowGenerate(true)}
+              className="flex items-center py-2 px-3 rounded-md text-white bg-indigo-600 hover:bg-indigo-700"
+            >
+              <PlusIcon className="h-5 w-5 mr-1" />
+              Generate
+            </button>
+          </div>
+        )}
+      </div>
+
+      <div className="flex flex-wrap gap-3 mb-4">
+        <select
+          value={filters.campaign}
+          onChange={e => updateFilter('campaign', e.target.value)}
+          className="rounded-lg border-gray-300 text-sm"
+        >
+          <option value="">All campaigns</option>
+          {inventory.map(item => (
+            <option key={item.campaign.slug} value={item.campaign.slug}>{item.campaign.name}</option>
+          ))}
+        </select>
+        <select
+          value={filters.status}
+          onChange={e => updateFilter('status', e.target.value)}
+          className="rounded-lg border-gray-300 text-sm"
+        >
+          <option value="">Any status</option>
+          {Object.entries(STATUSES).map(([value, { label }]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+        <input
+          type="search"
+          placeholder="Search code..."
+          value={filters.code}
+          onChange={e => updateFilter('code', e.target.value)}
+          className="rounded-lg border-gray-300 text-sm"
+        />
+      </div>
+
+      {data.stats && (
+        <p className="text-sm text-gray-600 mb-2">
+          {data.stats.activeCoupons} available, {data.stats.claimedCoupons} claimed
+          ({data.stats.redeemedCoupons} redeemed), {data.stats.expiredCoupons} expired, {data.stats.voidedCoupons} voided
+          ({data.stats.usagePercentage} used)
+        </p>
+      )}
+
+      <div className="bg-white shadow rounded-xl overflow-x-auto">
+        <table className="min-w-full divide-y divide-gray-200 text-sm">
+          <thead className="bg-gray-50 text-left text-gray-500">
+            <tr>
+              {canOperate && <th className="px-4 py-3 w-8"></th>}
+              <th className="px-4 py-3">#</th>
+              <th className="px-4 py-3">Code</th>
+              <th className="px-4 py-3">Campaign</th>
+              <th className="px-4 py-3">Status</th>
+              <th className="px-4 py-3">Claimed</th>
+              <th className="px-4 py-3">Expires</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-100">
+            {data.coupons.map(coupon => {
+              const status = getStatus(coupon);
+              return (
+                <tr key={coupon._id} className={loading ? 'opacity-50' : ''}>
+                  {canOperate && (
+                    <td className="px-4 py-2">
+                      {voidable.includes(coupon) && (
+                        <input
+                          type="checkbox"
+                          checked={selected.includes(coupon._id)}
+                          onChange={() => toggleSelected(coupon._id)}
+                          className="rounded border-gray-300 text-indigo-600"
+                        />
+                      )}
+                    </td>
+                  )}
+                  <td className="px-4 py-2 text-gray-500">{coupon.sequenceNumber}</td>
+                  <td className="px-4 py-2 font-mono text-indigo-600">{coupon.code}</td>
+                  <td className="px-4 py-2">{coupon.campaign?.name}</td>
+                  <td className="px-4 py-2">
+                    <span className={`px-2 py-0.5 rounded-full text-xs ${status.className}`}>{status.label}</span>
+                  </td>
+                  <td className="px-4 py-2 text-gray-500">
+                    {coupon.claimedAt ? new Date(coupon.claimedAt).toLocaleString() : '-'}
+                  </td>
+                  <td className="px-4 py-2 text-gray-500">
+                    {coupon.expiresAt ? new Date(coupon.expiresAt).toLocaleString() : '-'}
+                  </td>
+                </tr>
+              );
+            })}
+            {!data.coupons.length && !loading && (
+              <tr>
+                <td colSpan={7} className="px-4 py-6 text-center text-gray-500">No coupons match these filters</td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      <Pagination pagination={data.pagination} onPageChange={setPage} />
+
+      <GenerateDialog
+        open={showGenerate}
+        onClose={() => setShowGenerate(false)}
+        campaigns={inventory}
+        onGenerated={() => {
+          loadCoupons();
+          refreshInventory();
+        }}
+      />
+    </div>
+  );
+}
+
+export default CouponTable;
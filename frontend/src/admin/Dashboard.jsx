@@ -0,0 +1,84 @@
+import React, { useState } from 'react';
+import { motion } from 'framer-motion';
+import { ArrowPathIcon, PlusIcon } from '@heroicons/react/24/outline';
+import useInventory from './useInventory';
+import GenerateDialog from './GenerateDialog';
+
+// Inventory refreshes on its own every 15 seconds
+const REFRESH_MS = 15000;
+
+// Small card showing one number
+function StatCard({ label, value, className }) {
+  return (
+    <div className="bg-gray-50 rounded-lg p-3 text-center">
+      <p className={`text-2xl font-semibold ${className}`}>{value}</p>
+      <p className="text-xs text-gray-500 mt-1">{label}</p>
+    </div>
+  );
+}
+
+// Overview of how many coupons each campaign has left
+function Dashboard({ canOperate }) {
+  const { inventory, error, loading, refresh } = useInventory(REFRESH_MS);
+  const [showGenerate, setShowGenerate] = useState(false);
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-6">
+        <h2 className="text-2xl font-bold text-gray-900">Inventory</h2>
+        <div className="flex space-x-2">
+          <button onClick={refresh} className="flex items-center py-2 px-3 rounded-md text-gray-700 hover:bg-gray-100">
+            <ArrowPathIcon className="h-5 w-5 mr-1" />
+            Refresh
+          </button>
+          {canOperate && (
+            <button
+              onClick={() => setShowGenerate(true)}
+              className="flex items-center py-2 px-3 rounded-md text-white bg-indigo-600 hover:bg-indigo-700"
+            >
+              <PlusIcon className="h-5 w-5 mr-1" />
+              Generate
+            </button>
+          )}
+        </div>
+      </div>
+
+      {error && <p className="text-sm text-red-600 mb-4">{error}</p>}
+      {loading && <p className="text-sm text-gray-500">Loading...</p>}
+
+      <div className="grid gap-4 md:grid-cols-2">
+        {inventory.map(item => (
+          <motion.div
+            key={item.campaign.slug}
+            initial={{ opacity: 0, y: 10 }}
+            animate={{ opacity: 1, y: 0 }}
+            className="bg-white shadow rounded-xl p-5"
+          >
+            <div className="flex items-baseline justify-between mb-4">
+              <h3 className="text-lg font-medium text-gray-900">{item.campaign.name}</h3>
+              <span className="text-xs font-mono text-gray-400">{item.campaign.slug}</span>
+            </div>
+            <div className="grid grid-cols-2 sm:grid-cols-4 gap-3">
+              <StatCard label="Available" value={item.remainingCoupons} className="text-green-600" />
+              <StatCard label="Claimed" value={item.claimedCoupons} className="text-indigo-600" />
+              <StatCard label="Expired" value={item.expiredCoupons} className="text-orange-600" />
+              <StatCard label="Voided" value={item.voidedCoupons} className="text-gray-500" />
+            </div>
+            {item.nextSequenceNumber !== undefined && (
+              <p className="text-xs text-gray-500 mt-3">Next coupon in line: #{item.nextSequenceNumber}</p>
+            )}
+          </motion.div>
+        ))}
+      </div>
+
+      <GenerateDialog
+        open={showGenerate}
+        onClose={() => setShowGenerate(false)}
+        campaigns={inventory}
+        onGenerated={refresh}
+      />
+    </div>
+  );
+}
+
+export default Dashboard;
@@ -0,0 +1,100 @@
+import React, { useState } from 'react';
+import { Dialog, DialogPanel, DialogTitle } from '@headlessui/react';
+import toast from 'react-hot-toast';
+import adminApi, { getErrorMessage } from '../api/adminApi';
+
+// Modal for generating a batch of random coupons in a campaign
+function GenerateDialog({ open, onClose, campaigns, onGenerated }) {
+  const [count, setCount] = useState(50);
+  const [campaign, setCampaign] = useState('');
+  const [expiresAt, setExpiresAt] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setLoading(true);
+
+    try {
+      const response = await adminApi.post('/coupons/generate', {
+        count: Number(count),
+        campaign: campaign || undefined,
+        // The picker gives local time, so send it as a proper timestamp
+        expiresAt: expiresAt ? new Date(expiresAt).toISOString() : undefined
+      });
+      toast.success(response.data.message);
+      onGenerated();
+      onClose();
+    } catch (err) {
+      toast.error(getErrorMessage(err, 'Failed to generate coupons'));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} className="relative z-10">
+      <div className="fixed inset-0 bg-gray-500 bg-opacity-75" aria-hidden="true" />
+      <div className="fixed inset-0 flex items-center justify-center p-4">
+        <DialogPanel className="w-full max-w-sm bg-white rounded-lg shadow-xl p-6">
+          <DialogTitle className="text-lg font-medium text-gray-900">Generate Coupons</DialogTitle>
+
+          <form onSubmit={handleSubmit} className="mt-4 space-y-4">
+            <label className="block">
+              <span className="text-sm font-medium text-gray-700">Campaign</span>
+              <select
+                value={campaign}
+                onChange={e => setCampaign(e.target.value)}
+                className="mt-1 block w-full rounded-lg border-gray-300 focus:border-indigo-500 focus:ring-indigo-500"
+              >
+                <option value="">Default</option>
+                {campaigns.map(item => (
+                  <option key={item.campaign.slug} value={item.campaign.slug}>{item.campaign.name}</option>
+                ))}
+              </select>
+            </label>
+
+            <label className="block">
+              <span className="text-sm font-medium text-gray-700">How many</span>
+              <input
+                type="number"
+                min="1"
+                max="10000"
+                required
+                value={count}
+                onChange={e => setCount(e.target.value)}
+                className="mt-1 block w-full rounded-lg border-gray-300 focus:border-indigo-500 focus:ring-indigo-500"
+              />
+            </label>
+
+            <label className="block">
+              <span className="text-sm font-medium text-gray-700">Expires at (optional)</span>
+              <input
+                type="datetime-local"
+                value={expiresAt}
+                onChange={e => setExpiresAt(e.target.value)}
+                className="mt-1 block w-full rounded-lg border-gray-300 focus:border-indigo-500 focus:ring-indigo-500"
+              />
+            </label>
+
+            <div className="flex justify-end space-x-2">
+              <button type="button" onClick={onClose} className="py-2 px-4 rounded-md text-gray-700 hover:bg-gray-100">
+                Cancel
+              </button>
+              <button
+                type="submit"
+                disabled={loading}
+                className={`py-2 px-4 rounded-md text-white font-medium ${
+                  loading ? 'bg-gray-400 cursor-not-allowed' : 'bg-indigo-600 hover:bg-indigo-700'
+                }`}
+              >
+                {loading ? 'Generating...' : 'Generate'}
+              </button>
+            </div>
+          </form>
+        </DialogPanel>
+      </div>
+    </Dialog>
+  );
+}
+
+export default GenerateDialog;
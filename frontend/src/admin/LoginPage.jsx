@@ -0,0 +1,85 @@
+import React, { useState } from 'react';
+import { motion } from 'framer-motion';
+import { LockClosedIcon } from '@heroicons/react/24/outline';
+import adminApi, { setToken, getErrorMessage } from '../api/adminApi';
+
+// Sign in form for operators
+function LoginPage({ onLogin }) {
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setLoading(true);
+    setError(null);
+
+    try {
+      const response = await adminApi.post('/auth/login', { email, password });
+      setToken(response.data.token);
+      onLogin(response.data.user);
+    } catch (err) {
+      setError(getErrorMessage(err, 'Failed to sign in'));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-indigo-100 via-purple-50 to-pink-100 flex items-center justify-center px-4">
+      <motion.form
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        transition={{ duration: 0.5 }}
+        onSubmit={handleSubmit}
+        className="w-full max-w-sm bg-white shadow-2xl rounded-3xl p-8 space-y-5"
+      >
+        <div className="flex items-center justify-center">
+          <LockClosedIcon className="h-8 w-8 text-indigo-500 mr-2" />
+          <h2 className="text-2xl font-extrabold text-gray-900">Admin Sign In</h2>
+        </div>
+
+        {error && (
+          <div className="bg-red-50 border-l-4 border-red-400 p-3 rounded-r-lg">
+            <p className="text-sm text-red-700">{error}</p>
+          </div>
+        )}
+
+        <label className="block">
+          <span className="text-sm font-medium text-gray-700">Email</span>
+          <input
+            type="email"
+            required
+            value={email}
+            onChange={e => setEmail(e.target.value)}
+            className="mt-1 block w-full rounded-lg border-gray-300 focus:border-indigo-500 focus:ring-indigo-500"
+          />
+        </label>
+
+        <label className="block">
+          <span className="text-sm font-medium text-gray-700">Password</span>
+          <input
+            type="password"
+            required
+            value={password}
+            onChange={e => setPassword(e.target.value)}
+            className="mt-1 block w-full rounded-lg border-gray-300 focus:border-indigo-500 focus:ring-indigo-500"
+          />
+        </label>
+
+        <button
+          type="submit"
+          disabled={loading}
+          className={`w-full py-2 px-4 rounded-lg text-white font-medium ${
+            loading ? 'bg-gray-400 cursor-not-allowed' : 'bg-gradient-to-r from-indigo-600 to-purple-600 hover:from-indigo-700 hover:to-purple-700'
+          }`}
+        >
+          {loading ? 'Signing in...' : 'Sign In'}
+        </button>
+      </motion.form>
+    </div>
+  );
+}
+
+export default LoginPage;
@@ -0,0 +1,34 @@
+import React from 'react';
+import { ChevronLeftIcon, ChevronRightIcon } from '@heroicons/react/24/outline';
+
+// Previous/next controls for the paginated coupon lists
+function Pagination({ pagination, onPageChange }) {
+  if (!pagination || pagination.totalPages <= 1) return null;
+
+  const { currentPage, totalPages, totalCoupons } = pagination;
+
+  return (
+    <div className="flex items-center justify-between mt-4 text-sm text-gray-600">
+      <span>{totalCoupons} coupons</span>
+      <div className="flex items-center space-x-2">
+        <button
+          onClick={() => onPageChange(currentPage - 1)}
+          disabled={currentPage <= 1}
+          className="p-1 rounded-md hover:bg-gray-100 disabled:opacity-40 disabled:cursor-not-allowed"
+        >
+          <ChevronLeftIcon className="h-5 w-5" />
+        </button>
+        <span>Page {currentPage} of {totalPages}</span>
+        <button
+          onClick={() => onPageChange(currentPage + 1)}
+          disabled={currentPage >= totalPages}
+          className="p-1 rounded-md hover:bg-gray-100 disabled:opacity-40 disabled:cursor-not-allowed"
+        >
+          <ChevronRightIcon className="h-5 w-5" />
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default Pagination;
@@ -0,0 +1,33 @@
+import { useState, useEffect, useCallback } from 'react';
+import adminApi, { getErrorMessage } from '../api/adminApi';
+
+// Loads per-campaign inventory counts, and keeps them fresh if refreshMs is given
+function useInventory(refreshMs) {
+  const [inventory, setInventory] = useState([]);
+  const [error, setError] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  const refresh = useCallback(async () => {
+    try {
+      const response = await adminApi.get('/coupons/inventory');
+      setInventory(response.data.inventory);
+      setError(null);
+    } catch (err) {
+      setError(getErrorMessage(err, 'Failed to load inventory'));
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    refresh();
+    if (!refreshMs) return undefined;
+
+    const interval = setInterval(refresh, refreshMs);
+    return () => clearInterval(interval);
+  }, [refresh, refreshMs]);
+
+  return { inventory, error, loading, refresh };
+}
+
+export default useInventory;
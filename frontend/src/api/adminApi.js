@@ -0,0 +1,50 @@
+import axios from 'axios';
+
+// Where the admin API lives, and where we keep the signed in admin's token
+const API_URL = process.env.REACT_APP_API_URL || 'https://the-sales-studio.onrender.com/api';
+const TOKEN_KEY = 'admin_token';
+
+export const getToken = () => sessionStorage.getItem(TOKEN_KEY);
+export const setToken = (token) => sessionStorage.setItem(TOKEN_KEY, token);
+export const clearToken = () => sessionStorage.removeItem(TOKEN_KEY);
+
+const adminApi = axios.create({
+  baseURL: `${API_URL}/admin`,
+  headers: {
+    'Content-Type': 'application/json',
+    'Accept': 'application/json'
+  },
+  timeout: 30000
+});
+
+// Send the session token with every request
+adminApi.interceptors.request.use(config => {
+  const token = getToken();
+  if (token) {
+    config.headers.Authorization = `Bearer ${token}`;
+  }
+  return config;
+});
+
+// Lets the admin app know when the session has expired so it can show the sign in page
+let onUnauthorized = () => {};
+export const setUnauthorizedHandler = (handler) => {
+  onUnauthorized = handler;
+};
+
+adminApi.interceptors.response.use(
+  response => response,
+  error => {
+    if (error.response?.status === 401 && !error.config?.url?.includes('/auth/login')) {
+      clearToken();
+      onUnauthorized();
+    }
+    return Promise.reject(error);
+  }
+);
+
+// Pulls a readable message out of an API error
+export const getErrorMessage = (error, fallback = 'Something went wrong') =>
+  error.response?.data?.message || error.message || fallback;
+
+export default adminApi;
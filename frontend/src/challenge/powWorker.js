@@ -0,0 +1,29 @@
+/* eslint-disable no-restricted-globals */
+// Solves a proof-of-work challenge off the main thread, so the page stays responsive.
+// Finds a number where SHA-256("<token>:<number>") starts with `difficulty` zero bits.
+
+const encoder = new TextEncoder();
+
+const leadingZeroBits = (bytes) => {
+  let bits = 0;
+  for (const byte of bytes) {
+    if (byte === 0) {
+      bits += 8;
+      continue;
+    }
+    return bits + Math.clz32(byte) - 24;
+  }
+  return bits;
+};
+
+self.onmessage = async (event) => {
+  const { token, difficulty } = event.data;
+
+  for (let solution = 0; ; solution++) {
+    const digest = await crypto.subtle.digest('SHA-256', encoder.encode(`${token}:${solution}`));
+    if (leadingZeroBits(new Uint8Array(digest)) >= difficulty) {
+      self.postMessage({ token, solution: String(solution) });
+      return;
+    }
+  }
+};
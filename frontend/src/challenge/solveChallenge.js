@@ -0,0 +1,16 @@
+// Solves a challenge from the backend in a Web Worker and resolves with what
+// the claim request needs to send back: { token, solution }
+export const solveChallenge = (challenge) => new Promise((resolve, reject) => {
+  const worker = new Worker(new URL('./powWorker.js', import.meta.url));
+
+  worker.onmessage = (event) => {
+    worker.terminate();
+    resolve(event.data);
+  };
+  worker.onerror = (error) => {
+    worker.terminate();
+    reject(new Error(error.message || 'Could not complete the check'));
+  };
+
+  worker.postMessage({ token: challenge.token, difficulty: challenge.difficulty });
+});
@@ -0,0 +1,10 @@
+// Debug logging for the browser console. It's on when running locally (npm start)
+// or when the build sets REACT_APP_DEBUG=true, and silent otherwise, so production
+// consoles don't fill up with requests, responses and cookies.
+export const DEBUG = process.env.NODE_ENV === 'development' || process.env.REACT_APP_DEBUG === 'true';
+
+export const debugLog = (...args) => {
+  if (DEBUG) {
+    console.log(...args);
+  }
+};
@@ -0,0 +1,46 @@
+import { debugLog } from '../debug';
+
+// How long to wait before opening the stream again after the backend turned it
+// away (the browser retries dropped connections by itself, but not refusals)
+const REOPEN_DELAY_MS = 30000;
+
+// Subscribes to the backend's live update stream. Calls onEligibility and onStock
+// with each update, and onLiveChange(true/false) as the stream connects and drops,
+// so the page can fall back to polling while it's down. Returns a function that
+// closes the stream.
+export const subscribeToUpdates = (url, { onEligibility, onStock, onLiveChange }) => {
+  if (typeof EventSource === 'undefined') {
+    onLiveChange(false);
+    return () => {};
+  }
+
+  let source = null;
+  let reopenTimer = null;
+  let stopped = false;
+
+  const open = () => {
+    source = new EventSource(url, { withCredentials: true });
+
+    source.onopen = () => {
+      debugLog('Live updates connected');
+      onLiveChange(true);
+    };
+    source.onerror = () => {
+      debugLog('Live updates dropped');
+      onLiveChange(false);
+      if (source.readyState === EventSource.CLOSED && !stopped) {
+        reopenTimer = setTimeout(open, REOPEN_DELAY_MS);
+      }
+    };
+    source.addEventListener('eligibility', (event) => onEligibility(JSON.parse(event.data)));
+    source.addEventListener('stock', (event) => onStock(JSON.parse(event.data)));
+  };
+
+  open();
+
+  return () => {
+    stopped = true;
+    clearTimeout(reopenTimer);
+    if (source) source.close();
+  };
+};